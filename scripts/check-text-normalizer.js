@@ -0,0 +1,49 @@
+// Run the text normalizer over known inputs and compare with the words the voice says
+//
+//   npm run check:normalizer
+//
+// Exits with an error if any case comes out different. Add a case here for every
+// normalization bug that gets fixed.
+
+import TextNormalizer from '../src/services/textNormalizer.js';
+
+const cases = [
+    // Dates need a year or a date word, otherwise N/M is a fraction
+    ['Fill it 3/4 full.', 'Fill it three quarters full.'],
+    ['2/3 of them', 'two thirds of them'],
+    ['See you on 3/14.', 'See you on march fourteenth.'],
+    ['Monday 3/4 works', 'Monday march fourth works'],
+    ['Due 3/14/2024.', 'Due march fourteenth twenty twenty four.'],
+    ['It is 2024-03-14 today', 'It is march fourteenth twenty twenty four today'],
+
+    // Phone numbers and numbers after "dial", "room", ... are read digit by digit
+    ['Call 1-800-555-1234 now.', 'Call one eight zero zero five five five one two three four now.'],
+    ['Call (555) 123-4567.', 'Call five five five one two three four five six seven.'],
+    ['Dial 911.', 'Dial nine one one.'],
+    ['Room 1205', 'Room one two zero five'],
+
+    // Years
+    ['In 1990 we met.', 'In nineteen ninety we met.'],
+    ['From 1990-2000.', 'From nineteen ninety to two thousand.'],
+    ['The 2020s were busy.', 'The twenty twenties were busy.'],
+
+    // Times keep the period that ends the sentence
+    ['Meet me at 3 pm. Bring snacks.', 'Meet me at three p m. Bring snacks.'],
+    ['3 p.m. tomorrow', 'three p m tomorrow'],
+
+    ['It costs $20.50.', 'It costs twenty dollars and fifty cents.']
+];
+
+const normalizer = new TextNormalizer();
+let failures = 0;
+
+for (const [input, expected] of cases) {
+    const actual = normalizer.normalize(input);
+    if (actual !== expected) {
+        failures++;
+        console.error(`FAIL ${JSON.stringify(input)}\n  expected ${JSON.stringify(expected)}\n  got      ${JSON.stringify(actual)}`);
+    }
+}
+
+console.log(`${cases.length - failures} of ${cases.length} normalizer cases pass`);
+process.exitCode = failures > 0 ? 1 : 0;
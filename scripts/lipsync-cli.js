@@ -0,0 +1,238 @@
+// Generate viseme timelines from the command line, without a browser
+//
+//   npm run lipsync -- script.txt --audio line.wav --out line.json
+//   npm run lipsync -- script.txt --duration 4.2 --format rhubarb-tsv --visemes prestonBlair --fps 24
+//
+// Options:
+//   --audio <file>       WAV or MP3 to take the duration from (WAV is also force-aligned)
+//   --duration <sec>     Audio duration, if there is no audio file (default: estimated from the text)
+//   --format <name>      json, rhubarb-tsv, rhubarb-json, papagayo, moho or oculus-csv (default json)
+//   --visemes <profile>  oculus, reduced or prestonBlair (default reduced)
+//   --language <code>    en, es, de or hi (default en)
+//   --fps <n>            Frame rate to snap the timeline to and to write frame-based formats at
+//   --phonemizer <mode>  mespeak or rules (default mespeak)
+//   --pronunciations <f> Pronunciation overrides exported from the app's settings panel
+//   --out <file>         Output file (default stdout)
+//   --verbose            Show the lip sync service's logging
+//
+// The text file may contain SSML. Nothing is fetched: the pronunciation lexicon and the
+// eSpeak voices are read from node_modules.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+    const options = {
+        text: null,
+        audio: null,
+        duration: null,
+        format: 'json',
+        visemes: 'reduced',
+        language: 'en',
+        fps: null,
+        phonemizer: 'mespeak',
+        pronunciations: null,
+        out: null,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--audio') options.audio = argv[++i];
+        else if (argv[i] === '--duration') options.duration = Number(argv[++i]);
+        else if (argv[i] === '--format') options.format = argv[++i];
+        else if (argv[i] === '--visemes') options.visemes = argv[++i];
+        else if (argv[i] === '--language') options.language = argv[++i];
+        else if (argv[i] === '--fps') options.fps = Number(argv[++i]);
+        else if (argv[i] === '--phonemizer') options.phonemizer = argv[++i];
+        else if (argv[i] === '--pronunciations') options.pronunciations = argv[++i];
+        else if (argv[i] === '--out') options.out = argv[++i];
+        else if (argv[i] === '--verbose') options.verbose = true;
+        else if (!argv[i].startsWith('--')) options.text = argv[i];
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+
+    if (!options.text) {
+        throw new Error('Usage: npm run lipsync -- <text file> [--audio file] [--format json] [--out file]');
+    }
+    return options;
+}
+
+// Mono samples of a PCM WAV file (16, 24 or 32 bit integer, or 32 bit float)
+function readWav(bytes) {
+    if (bytes.toString('ascii', 0, 4) !== 'RIFF' || bytes.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+    let format = null;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const tag = bytes.toString('ascii', offset, offset + 4);
+        const size = bytes.readUInt32LE(offset + 4);
+        const dataStart = offset + 8;
+
+        if (tag === 'fmt ') {
+            format = {
+                audioFormat: bytes.readUInt16LE(dataStart),
+                channels: bytes.readUInt16LE(dataStart + 2),
+                sampleRate: bytes.readUInt32LE(dataStart + 4),
+                bitsPerSample: bytes.readUInt16LE(dataStart + 14)
+            };
+        } else if (tag === 'data' && format) {
+            const bytesPerSample = format.bitsPerSample / 8;
+            const end = Math.min(dataStart + size, bytes.length);
+            const frameCount = Math.floor((end - dataStart) / (bytesPerSample * format.channels));
+            const samples = new Float32Array(frameCount);
+
+            const readSample = (position) => {
+                if (format.audioFormat === 3) return bytes.readFloatLE(position);
+                if (bytesPerSample === 2) return bytes.readInt16LE(position) / 32768;
+                if (bytesPerSample === 3) return bytes.readIntLE(position, 3) / 8388608;
+                if (bytesPerSample === 4) return bytes.readInt32LE(position) / 2147483648;
+                return (bytes[position] - 128) / 128;
+            };
+
+            for (let frame = 0; frame < frameCount; frame++) {
+                let sum = 0;
+                for (let channel = 0; channel < format.channels; channel++) {
+                    sum += readSample(dataStart + (frame * format.channels + channel) * bytesPerSample);
+                }
+                samples[frame] = sum / format.channels;
+            }
+
+            return { samples, sampleRate: format.sampleRate, duration: frameCount / format.sampleRate };
+        }
+
+        offset = dataStart + size + (size % 2);
+    }
+
+    return null;
+}
+
+// Duration of an MP3 file from its frame headers
+function readMp3Duration(bytes) {
+    const bitrates = {
+        1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],  // MPEG-1 Layer III
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]       // MPEG-2/2.5 Layer III
+    };
+    const sampleRates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+    // Skip an ID3v2 tag
+    let offset = 0;
+    if (bytes.toString('ascii', 0, 3) === 'ID3') {
+        offset = 10 + ((bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9]);
+    }
+
+    let duration = 0;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+            offset++;
+            continue;
+        }
+
+        const version = (bytes[offset + 1] >> 3) & 0x03;
+        const bitrateIndex = bytes[offset + 2] >> 4;
+        const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+        const padding = (bytes[offset + 2] >> 1) & 0x01;
+        if (version === 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+            offset++;
+            continue;
+        }
+
+        const bitrate = bitrates[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+        const sampleRate = sampleRates[version][sampleRateIndex];
+        const samplesPerFrame = version === 3 ? 1152 : 576;
+
+        duration += samplesPerFrame / sampleRate;
+        offset += Math.floor(samplesPerFrame / 8 * bitrate / sampleRate) + padding;
+    }
+
+    return duration;
+}
+
+function readAudio(file) {
+    const bytes = fs.readFileSync(file);
+
+    const wav = readWav(bytes);
+    if (wav) return wav;
+
+    const duration = readMp3Duration(bytes);
+    if (duration > 0) return { samples: null, sampleRate: null, duration };
+
+    throw new Error(`Can't read ${file} - use a WAV or MP3 file, or pass --duration`);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The service logs a lot; stdout may be the output file
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    // Vite resolves the app's source modules (extensionless imports, JSON voices) under plain Node
+    const server = await createServer({
+        root: rootDir,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false, watch: null },
+        optimizeDeps: { noDiscovery: true }
+    });
+
+    try {
+        const { default: PhonemeLipSyncService } = await server.ssrLoadModule('/src/services/phonemeLipSyncService.js');
+        const { default: TimelineSerializer } = await server.ssrLoadModule('/src/services/timelineSerializer.js');
+
+        const lipSync = new PhonemeLipSyncService(options.language);
+        lipSync.setVisemeProfile(options.visemes);
+        lipSync.setPhonemizer(options.phonemizer);
+        const serializer = new TimelineSerializer();
+
+        if (options.pronunciations) {
+            lipSync.pronunciationOverrides.importJSON(fs.readFileSync(options.pronunciations, 'utf8'));
+        }
+
+        const text = fs.readFileSync(options.text, 'utf8').trim();
+        const audio = options.audio ? readAudio(options.audio) : null;
+
+        await Promise.all([
+            lipSync.languagePack.useLexicon ? lipSync.lexicon.load() : null,
+            lipSync.phonemizer === 'mespeak' ? lipSync.meSpeakPhonemizer.load() : null
+        ]);
+
+        // Without audio the timeline keeps its own estimated length
+        const duration = audio
+            ? audio.duration
+            : options.duration || lipSync.textToPhonemes(text).reduce((sum, entry) => sum + entry.duration, 0);
+
+        let timeline = await lipSync.createVisemeTimeline(text, duration);
+        if (audio && audio.samples) {
+            timeline = lipSync.aligner.alignToSamples(timeline, audio.samples, audio.sampleRate);
+        }
+        if (options.fps) {
+            timeline = serializer.quantize(timeline, options.fps);
+        }
+
+        const output = serializer.export(timeline, options.format, {
+            fps: options.fps || undefined,
+            text: lipSync.ssmlParser.toPlainText(text),
+            soundFile: options.audio ? path.basename(options.audio) : ''
+        });
+
+        if (options.out) {
+            fs.writeFileSync(options.out, output);
+            console.error(`Wrote ${timeline.length} visemes (${duration.toFixed(2)}s) to ${options.out}`);
+        } else {
+            process.stdout.write(output);
+        }
+    } finally {
+        await server.close();
+    }
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
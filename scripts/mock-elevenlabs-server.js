@@ -0,0 +1,213 @@
+// Local stand-in for the ElevenLabs text-to-speech API
+//
+// Replays recorded /with-timestamps responses from a fixtures directory, so lip sync can be
+// developed and checked against real alignment payloads without network access.
+// Texts without a recording get a generated answer: meSpeak audio (WAV) with character
+// times spread over the words meSpeak speaks.
+//
+//   npm run mock:tts                 # replay on http://localhost:8787
+//   npm run mock:tts -- --record     # forward to ElevenLabs and save every answer as a fixture
+//
+// To record, run with --record and let the app speak through this server with a real API
+// key; every answer is written to fixtures/elevenlabs/<sha1 of the text>.json. The fixture
+// in the repo has ElevenLabs-shaped alignment timed from meSpeak and a short silent audio
+// stub (see its "source" field). `npm run replay:tts` checks the timelines of all fixtures.
+//
+// Then start the app with VITE_ELEVENLABS_BASE_URL=http://localhost:8787/v1
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import meSpeak from 'mespeak';
+import MeSpeakPhonemizer from '../src/services/meSpeakPhonemizer.js';
+
+const require = createRequire(import.meta.url);
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+
+function parseArgs(argv) {
+    const options = {
+        port: 8787,
+        fixtures: path.join(scriptDir, 'fixtures', 'elevenlabs'),
+        record: false,
+        upstream: 'https://api.elevenlabs.io/v1'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') options.port = Number(argv[++i]);
+        else if (argv[i] === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+        else if (argv[i] === '--record') options.record = true;
+        else if (argv[i] === '--upstream') options.upstream = argv[++i];
+    }
+
+    return options;
+}
+
+// Fixtures are keyed by the text, one JSON response per file
+function fixturePath(options, text) {
+    const hash = crypto.createHash('sha1').update(text).digest('hex').slice(0, 12);
+    return path.join(options.fixtures, `${hash}.json`);
+}
+
+// Build a with-timestamps response from meSpeak
+function generatePayload(phonemizer, text) {
+    const words = text.split(/\s+/).filter(word => word.length > 0);
+    const wav = meSpeak.speak(text, { rawdata: 'array', voice: phonemizer.voice, wordgap: phonemizer.wordGap });
+    const audio = phonemizer.decodeWav(wav);
+    const segments = phonemizer.findSpokenSegments(audio.samples, audio.sampleRate);
+    const duration = audio.samples.length / audio.sampleRate;
+
+    // One segment per word if meSpeak's word gaps line up, otherwise spread over all speech
+    const spans = segments.length === words.length
+        ? segments
+        : words.map((_, i) => {
+            const start = segments.length ? segments[0].start : 0;
+            const end = segments.length ? segments[segments.length - 1].end : duration;
+            const step = (end - start) / words.length;
+            return { start: start + i * step, end: start + (i + 1) * step };
+        });
+
+    const characters = [];
+    const startTimes = [];
+    const endTimes = [];
+    words.forEach((word, i) => {
+        if (i > 0) {
+            // The space covers the gap between the words
+            characters.push(' ');
+            startTimes.push(spans[i - 1].end);
+            endTimes.push(spans[i].start);
+        }
+
+        const step = (spans[i].end - spans[i].start) / word.length;
+        Array.from(word).forEach((character, j) => {
+            characters.push(character);
+            startTimes.push(Number((spans[i].start + j * step).toFixed(3)));
+            endTimes.push(Number((spans[i].start + (j + 1) * step).toFixed(3)));
+        });
+    });
+
+    const alignment = {
+        characters,
+        character_start_times_seconds: startTimes,
+        character_end_times_seconds: endTimes
+    };
+
+    return {
+        audio_base64: Buffer.from(wav).toString('base64'),
+        alignment,
+        normalized_alignment: alignment
+    };
+}
+
+async function recordPayload(options, request, body) {
+    const response = await fetch(`${options.upstream}${request.url.replace(/^\/v1/, '')}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'xi-api-key': request.headers['xi-api-key'] || ''
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        throw new Error(`ElevenLabs answered ${response.status}: ${await response.text()}`);
+    }
+
+    const payload = await response.json();
+    fs.mkdirSync(options.fixtures, { recursive: true });
+    fs.writeFileSync(fixturePath(options, body.text), JSON.stringify({ text: body.text, ...payload }, null, 2));
+    console.log(`Recorded fixture for "${body.text}"`);
+
+    return payload;
+}
+
+async function getPayload(options, phonemizer, request, body) {
+    if (options.record) {
+        return recordPayload(options, request, body);
+    }
+
+    const file = fixturePath(options, body.text);
+    if (fs.existsSync(file)) {
+        console.log(`Replaying ${path.basename(file)} for "${body.text}"`);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+
+    console.log(`No fixture for "${body.text}", generating with meSpeak`);
+    return generatePayload(phonemizer, body.text);
+}
+
+function readJson(request) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        request.on('data', chunk => { data += chunk; });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(data || '{}'));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+function send(response, status, contentType, body) {
+    response.writeHead(status, {
+        'Content-Type': contentType,
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, xi-api-key',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    response.end(body);
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    const phonemizer = new MeSpeakPhonemizer();
+    meSpeak.loadConfig(require('mespeak/src/mespeak_config.json'));
+    meSpeak.loadVoice(require('mespeak/voices/en/en-us.json'));
+
+    const server = http.createServer(async (request, response) => {
+        if (request.method === 'OPTIONS') {
+            send(response, 204, 'text/plain', '');
+            return;
+        }
+
+        const match = request.url.match(/^\/v1\/text-to-speech\/[^/]+(\/with-timestamps)?$/);
+        if (request.method !== 'POST' || !match) {
+            send(response, 404, 'application/json', JSON.stringify({ detail: 'Not found' }));
+            return;
+        }
+
+        try {
+            const body = await readJson(request);
+            if (!body.text) {
+                send(response, 400, 'application/json', JSON.stringify({ detail: 'text is required' }));
+                return;
+            }
+
+            const payload = await getPayload(options, phonemizer, request, body);
+
+            if (match[1]) {
+                send(response, 200, 'application/json', JSON.stringify(payload));
+            } else {
+                // The plain endpoint only returns the audio
+                const audio = Buffer.from(payload.audio_base64, 'base64');
+                const isWav = audio.subarray(0, 4).toString() === 'RIFF';
+                send(response, 200, isWav ? 'audio/wav' : 'audio/mpeg', audio);
+            }
+        } catch (error) {
+            console.error(error);
+            send(response, 500, 'application/json', JSON.stringify({ detail: error.message }));
+        }
+    });
+
+    server.listen(options.port, () => {
+        console.log(`Mock ElevenLabs API on http://localhost:${options.port}/v1 (${options.record ? 'recording' : 'replaying'} ${options.fixtures})`);
+    });
+}
+
+main();
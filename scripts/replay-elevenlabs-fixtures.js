@@ -0,0 +1,128 @@
+// Replay the recorded ElevenLabs answers through the app's alignment path
+//
+//   npm run replay:tts
+//   npm run replay:tts -- --fixtures <dir> --verbose
+//
+// Every fixture goes through ElevenLabsService.parseAlignment and
+// PhonemeLipSyncService.createVisemeTimelineFromAlignment, the same steps the app takes
+// after a with-timestamps request. Exits with an error if a fixture has no usable alignment,
+// or if its timeline is empty, has gaps, loses words or doesn't end with the audio.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const scriptDir = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.resolve(scriptDir, '..');
+
+function parseArgs(argv) {
+    const options = {
+        fixtures: path.join(scriptDir, 'fixtures', 'elevenlabs'),
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--fixtures') options.fixtures = path.resolve(argv[++i]);
+        else if (argv[i] === '--verbose') options.verbose = true;
+        else throw new Error(`Unknown option ${argv[i]}`);
+    }
+
+    return options;
+}
+
+// Problems with one fixture's timeline, empty if it matches the alignment
+function checkTimeline(timeline, alignment, duration) {
+    const problems = [];
+    if (timeline.length === 0) return ['the timeline is empty'];
+
+    timeline.forEach((entry, i) => {
+        const previousEnd = i > 0 ? timeline[i - 1].endTime : 0;
+        if (Math.abs(entry.startTime - previousEnd) > 1e-6) {
+            problems.push(`entry ${i} (${entry.phoneme}) starts at ${entry.startTime.toFixed(3)}s, not ${previousEnd.toFixed(3)}s`);
+        }
+    });
+
+    const end = timeline[timeline.length - 1].endTime;
+    if (Math.abs(end - duration) > 0.01) {
+        problems.push(`the timeline ends at ${end.toFixed(3)}s, the audio at ${duration.toFixed(3)}s`);
+    }
+
+    // Every spoken word of the alignment starts one timeline entry
+    const spoken = alignment.characters.join('').split(/\s+/).filter(word => /\w/.test(word));
+    const words = timeline.filter(entry => entry.word).map(entry => entry.word);
+    if (words.length !== spoken.length) {
+        problems.push(`the timeline has ${words.length} words (${words.join(' ')}), the alignment ${spoken.length}`);
+    }
+
+    return problems;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    // The services log every step
+    const log = console.log;
+    if (!options.verbose) {
+        console.log = () => {};
+    }
+
+    const files = fs.readdirSync(options.fixtures).filter(file => file.endsWith('.json')).sort();
+    if (files.length === 0) {
+        throw new Error(`No fixtures in ${options.fixtures}`);
+    }
+
+    // Vite resolves the app's source modules (extensionless imports, import.meta.env) under plain Node
+    const server = await createServer({
+        root: rootDir,
+        configFile: false,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false, watch: null },
+        optimizeDeps: { noDiscovery: true }
+    });
+
+    let failures = 0;
+    try {
+        const { default: ElevenLabsService } = await server.ssrLoadModule('/src/services/elevenLabsService.js');
+        const { default: PhonemeLipSyncService } = await server.ssrLoadModule('/src/services/phonemeLipSyncService.js');
+
+        const elevenLabs = new ElevenLabsService();
+        const lipSync = new PhonemeLipSyncService();
+
+        for (const file of files) {
+            const data = JSON.parse(fs.readFileSync(path.join(options.fixtures, file), 'utf8'));
+
+            // Same choice as textToSpeechWithTimestamps
+            const alignment = elevenLabs.parseAlignment(data.alignment || data.normalized_alignment);
+            let problems;
+            let timeline = [];
+            if (!alignment) {
+                problems = ['no alignment, or its arrays differ in length'];
+            } else {
+                // The audio may be a stub, so the duration comes from the last character
+                const duration = Math.max(0, ...alignment.characterEndTimes);
+                timeline = await lipSync.createVisemeTimelineFromAlignment(alignment, duration);
+                problems = checkTimeline(timeline, alignment, duration);
+            }
+
+            if (problems.length > 0) {
+                failures++;
+                console.error(`FAIL ${file} ${JSON.stringify(data.text)}\n  ${problems.join('\n  ')}`);
+            } else {
+                log(`ok   ${file} ${JSON.stringify(data.text)}: ${timeline.length} visemes, ` +
+                    timeline.filter(entry => entry.word).map(entry => entry.word).join(' '));
+            }
+        }
+    } finally {
+        await server.close();
+    }
+
+    log(`${files.length - failures} of ${files.length} fixtures replay`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
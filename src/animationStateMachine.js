@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+
+// Body animation state machine on top of an AnimationMixer
+//
+// One looping clip plays per state (idle, talking, listening, thinking...) and switching
+// state crossfades to the new clip over the transition's duration. Gestures are played
+// once as additive layers on top of whatever state is running.
+//
+// Events (addEventListener): 'statechange' { from, to, duration }, 'transitionend' { state },
+// 'gesturestart' { name } and 'gestureend' { name }
+export class AnimationStateMachine extends THREE.EventDispatcher {
+    constructor(mixer) {
+        super();
+        this.mixer = mixer;
+
+        // State name -> { name, clip, loop, timeScale, weight }
+        this.states = {};
+        // 'from->to' -> crossfade seconds; either side can be '*'
+        this.transitions = {};
+        this.defaultTransitionDuration = 0.5;
+
+        // Gesture name -> { name, clip, weight, fadeIn, fadeOut }
+        this.gestures = {};
+        // Gestures playing now: { gesture, action, fadingOut }
+        this.activeGestures = [];
+
+        this.currentState = null;
+        this.currentAction = null;
+        this.transitionEndTime = null;
+        this.time = 0;
+
+        this.onMixerFinished = this.onMixerFinished.bind(this);
+        this.mixer.addEventListener('finished', this.onMixerFinished);
+    }
+
+    addState(name, clip, { loop = THREE.LoopRepeat, timeScale = 1, weight = 1 } = {}) {
+        if (!clip) {
+            throw new Error(`Animation state "${name}" needs a clip`);
+        }
+        this.states[name] = { name, clip, loop, timeScale, weight };
+        return this.states[name];
+    }
+
+    hasState(name) {
+        return name in this.states;
+    }
+
+    getState() {
+        return this.currentState;
+    }
+
+    // Crossfade duration in seconds from one state to another ('*' matches any state)
+    addTransition(from, to, duration) {
+        this.transitions[`${from}->${to}`] = Math.max(0, duration);
+    }
+
+    getTransitionDuration(from, to) {
+        for (const key of [`${from}->${to}`, `*->${to}`, `${from}->*`]) {
+            if (key in this.transitions) return this.transitions[key];
+        }
+        return this.defaultTransitionDuration;
+    }
+
+    // Switch to a state, crossfading from the current one; does nothing if it is already
+    // the current state. Returns false for an unknown state
+    setState(name, duration = null) {
+        const state = this.states[name];
+        if (!state) {
+            console.warn(`Unknown animation state "${name}", expected one of: ${Object.keys(this.states).join(', ')}`);
+            return false;
+        }
+        if (name === this.currentState) return true;
+
+        const from = this.currentState;
+        const fadeDuration = duration !== null ? duration : from ? this.getTransitionDuration(from, name) : 0.3;
+        const action = this.mixer.clipAction(state.clip);
+
+        if (action === this.currentAction) {
+            // Another state on the same clip keeps it playing where it is
+            action.setEffectiveTimeScale(state.timeScale);
+            action.setEffectiveWeight(state.weight);
+            this.transitionEndTime = this.time;
+        } else {
+            action.reset();
+            action.setLoop(state.loop, Infinity);
+            action.clampWhenFinished = state.loop === THREE.LoopOnce;
+            action.setEffectiveTimeScale(state.timeScale);
+            action.setEffectiveWeight(state.weight);
+            action.play();
+
+            if (this.currentAction) {
+                this.currentAction.crossFadeTo(action, fadeDuration, false);
+            } else {
+                action.fadeIn(fadeDuration);
+            }
+            this.transitionEndTime = this.time + fadeDuration;
+        }
+
+        this.currentState = name;
+        this.currentAction = action;
+        this.dispatchEvent({ type: 'statechange', from, to: name, duration: fadeDuration });
+        return true;
+    }
+
+    // Gestures are made additive against their first frame, so they add to any state
+    addGesture(name, clip, { weight = 1, fadeIn = 0.2, fadeOut = 0.3 } = {}) {
+        const additiveClip = THREE.AnimationUtils.makeClipAdditive(clip.clone());
+        additiveClip.name = name;
+        this.gestures[name] = { name, clip: additiveClip, weight, fadeIn, fadeOut };
+        return this.gestures[name];
+    }
+
+    hasGesture(name) {
+        return name in this.gestures;
+    }
+
+    // Play a gesture once on top of the current state; returns false for an unknown gesture
+    playGesture(name) {
+        const gesture = this.gestures[name];
+        if (!gesture) {
+            console.warn(`Unknown gesture "${name}", expected one of: ${Object.keys(this.gestures).join(', ')}`);
+            return false;
+        }
+
+        const action = this.mixer.clipAction(gesture.clip);
+        action.blendMode = THREE.AdditiveAnimationBlendMode;
+        action.reset();
+        action.setLoop(THREE.LoopOnce, 1);
+        action.clampWhenFinished = false;
+        action.setEffectiveWeight(gesture.weight);
+        action.fadeIn(gesture.fadeIn);
+        action.play();
+
+        // Restarting a gesture that is still playing replaces it
+        this.activeGestures = this.activeGestures.filter(active => active.action !== action);
+        this.activeGestures.push({ gesture, action, fadingOut: false });
+        this.dispatchEvent({ type: 'gesturestart', name });
+        return true;
+    }
+
+    stopGesture(name) {
+        for (const active of this.activeGestures) {
+            if (active.gesture.name === name && !active.fadingOut) {
+                active.action.fadeOut(active.gesture.fadeOut);
+                active.fadingOut = true;
+            }
+        }
+    }
+
+    onMixerFinished(event) {
+        const active = this.activeGestures.find(gesture => gesture.action === event.action);
+        if (active) this.endGesture(active);
+    }
+
+    endGesture(active) {
+        this.activeGestures = this.activeGestures.filter(gesture => gesture !== active);
+        active.action.stop();
+        this.dispatchEvent({ type: 'gestureend', name: active.gesture.name });
+    }
+
+    // Advance the mixer by the frame delta (seconds) and fire the timed events
+    update(delta) {
+        this.time += delta;
+
+        // Gestures fade out over their last moments instead of snapping back
+        for (const active of this.activeGestures) {
+            const remaining = (active.gesture.clip.duration - active.action.time) / Math.abs(active.action.getEffectiveTimeScale() || 1);
+            if (!active.fadingOut && remaining <= active.gesture.fadeOut) {
+                active.action.fadeOut(Math.max(0, remaining));
+                active.fadingOut = true;
+            }
+        }
+
+        this.mixer.update(delta);
+
+        // A gesture that faded out before its last frame is disabled by the mixer and never finishes
+        for (const active of this.activeGestures.filter(gesture => gesture.fadingOut && !gesture.action.enabled)) {
+            this.endGesture(active);
+        }
+
+        if (this.transitionEndTime !== null && this.time >= this.transitionEndTime) {
+            this.transitionEndTime = null;
+            this.dispatchEvent({ type: 'transitionend', state: this.currentState });
+        }
+    }
+
+    dispose() {
+        this.mixer.removeEventListener('finished', this.onMixerFinished);
+    }
+}
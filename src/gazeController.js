@@ -0,0 +1,151 @@
+import * as THREE from 'three';
+
+// Where the avatar looks: eye contact with the user, small saccades between their eyes
+// (scheduled by the idle behavior) and glances away while thinking or talking
+//
+// The gaze is one pair of angles (yaw: + to the avatar's left, pitch: + up) in the avatar's
+// own frame. The neck and head turn part of the way within their joint limits and the eyes
+// cover the rest, so the eye morphs and the bones always add up to the same direction.
+export class GazeController {
+    constructor() {
+        // Share of the gaze the head and neck turn (0 without a head bone)
+        this.headFollow = 0.5;
+        this.neckShare = 0.4;
+
+        // Joint limits in radians
+        this.limits = {
+            neck: { yaw: 0.35, pitch: 0.25 },
+            head: { yaw: 0.5, pitch: 0.35 },
+            eyes: { yaw: 0.5, pitch: 0.35 }   // Angle at which an eyeLook morph reaches 1
+        };
+
+        // Smoothing time constants in seconds - the eyes jump, the head follows
+        this.eyeTimeConstant = 0.04;
+        this.headTimeConstant = 0.3;
+
+        // Glance-aways: seconds between them and how long they last, per state
+        this.glances = {
+            thinking: { interval: [1.5, 3], duration: [0.8, 1.6], yaw: [0.25, 0.45], pitch: [0.1, 0.25] },
+            speaking: { interval: [4, 9], duration: [0.5, 1.2], yaw: [0.2, 0.35], pitch: [-0.1, 0.05] },
+            listening: { interval: [8, 15], duration: [0.3, 0.6], yaw: [0.1, 0.2], pitch: [-0.1, 0] },
+            idle: { interval: [6, 12], duration: [0.4, 0.8], yaw: [0.15, 0.3], pitch: [-0.1, 0.1] }
+        };
+
+        this.thinking = false;
+
+        // Current angles
+        this.neck = { yaw: 0, pitch: 0 };
+        this.head = { yaw: 0, pitch: 0 };
+        this.eyeAngles = { yaw: 0, pitch: 0 };
+
+        // Eye morph values for the eyeLook shapes: x + to the avatar's right, y + up (-1 to 1)
+        this.eyes = { x: 0, y: 0 };
+
+        this.time = 0;
+        this.glance = null;
+        this.nextGlanceTime = this.randomBetween(this.glances.idle.interval);
+
+        this.localTarget = new THREE.Vector3();
+        this.localEyes = new THREE.Vector3();
+    }
+
+    setThinking(thinking) {
+        if (thinking === this.thinking) return;
+        this.thinking = thinking;
+
+        // Thinking starts with a look away soon, and stops looking away right after
+        this.nextGlanceTime = this.time + (thinking ? 0.3 : this.randomBetween(this.glances.idle.interval));
+        if (!thinking) this.glance = null;
+    }
+
+    randomBetween([min, max]) {
+        return min + Math.random() * (max - min);
+    }
+
+    // Angles from the avatar's eyes to the target, in the avatar's frame (it faces +Z)
+    getTargetAngles(model, eyePosition, targetPosition) {
+        this.localTarget.copy(targetPosition);
+        this.localEyes.copy(eyePosition);
+        model.worldToLocal(this.localTarget);
+        model.worldToLocal(this.localEyes);
+
+        const direction = this.localTarget.sub(this.localEyes);
+        return {
+            yaw: Math.atan2(direction.x, direction.z),
+            pitch: Math.atan2(direction.y, Math.hypot(direction.x, direction.z))
+        };
+    }
+
+    // Advance by the frame delta (seconds); without a target the avatar looks straight ahead
+    // While listening the avatar holds eye contact and only rarely looks away. The saccade
+    // is a small { yaw, pitch } offset around the point of contact that only the eyes follow
+    update(delta, { model = null, eyePosition = null, targetPosition = null, speaking = false, listening = false, saccade = null } = {}) {
+        this.time += delta;
+
+        const target = model && eyePosition && targetPosition
+            ? this.getTargetAngles(model, eyePosition, targetPosition)
+            : { yaw: 0, pitch: 0 };
+
+        this.updateGlance(speaking, listening);
+
+        const glanceYaw = this.glance ? this.glance.yaw : 0;
+        const glancePitch = this.glance ? this.glance.pitch : 0;
+        const gazeYaw = target.yaw + glanceYaw + (saccade ? saccade.yaw : 0);
+        const gazePitch = target.pitch + glancePitch + (saccade ? saccade.pitch : 0);
+
+        // Head and neck turn part of the way, ignoring the saccades, within their limits
+        const turnYaw = (target.yaw + glanceYaw) * this.headFollow;
+        const turnPitch = (target.pitch + glancePitch) * this.headFollow;
+        const neckTarget = {
+            yaw: this.clamp(turnYaw * this.neckShare, this.limits.neck.yaw),
+            pitch: this.clamp(turnPitch * this.neckShare, this.limits.neck.pitch)
+        };
+        const headTarget = {
+            yaw: this.clamp(turnYaw - neckTarget.yaw, this.limits.head.yaw),
+            pitch: this.clamp(turnPitch - neckTarget.pitch, this.limits.head.pitch)
+        };
+
+        const headBlend = 1 - Math.exp(-delta / this.headTimeConstant);
+        for (const axis of ['yaw', 'pitch']) {
+            this.neck[axis] += (neckTarget[axis] - this.neck[axis]) * headBlend;
+            this.head[axis] += (headTarget[axis] - this.head[axis]) * headBlend;
+        }
+
+        // The eyes cover whatever the head hasn't turned yet
+        const eyeBlend = 1 - Math.exp(-delta / this.eyeTimeConstant);
+        const eyeTarget = {
+            yaw: this.clamp(gazeYaw - this.neck.yaw - this.head.yaw, this.limits.eyes.yaw),
+            pitch: this.clamp(gazePitch - this.neck.pitch - this.head.pitch, this.limits.eyes.pitch)
+        };
+        for (const axis of ['yaw', 'pitch']) {
+            this.eyeAngles[axis] += (eyeTarget[axis] - this.eyeAngles[axis]) * eyeBlend;
+        }
+
+        this.eyes.x = -this.eyeAngles.yaw / this.limits.eyes.yaw;
+        this.eyes.y = this.eyeAngles.pitch / this.limits.eyes.pitch;
+    }
+
+    updateGlance(speaking, listening) {
+        const settings = this.thinking ? this.glances.thinking
+            : speaking ? this.glances.speaking
+            : listening ? this.glances.listening
+            : this.glances.idle;
+
+        if (this.glance && this.time >= this.glance.endTime) {
+            this.glance = null;
+            this.nextGlanceTime = this.time + this.randomBetween(settings.interval);
+        }
+        if (!this.glance && this.time >= this.nextGlanceTime) {
+            const side = Math.random() < 0.5 ? -1 : 1;
+            this.glance = {
+                yaw: side * this.randomBetween(settings.yaw),
+                pitch: this.randomBetween(settings.pitch),
+                endTime: this.time + this.randomBetween(settings.duration)
+            };
+        }
+    }
+
+    clamp(value, limit) {
+        return Math.max(-limit, Math.min(limit, value));
+    }
+}
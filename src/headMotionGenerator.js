@@ -0,0 +1,134 @@
+// Procedural head motion while the avatar talks: small nods on stressed syllables, a tilt
+// at phrase boundaries and a slow sway, read from the viseme timeline
+//
+// The angles are offsets for the head and neck bones on top of the animation clip
+// (pitch: + up, yaw: + to the avatar's left, roll: + toward the avatar's right shoulder).
+// Everything is scaled by the avatar's amplitude, so a calm avatar can move less.
+export class HeadMotionGenerator {
+    constructor() {
+        // Per-avatar scale of all the motion (0 turns it off)
+        this.amplitude = 1;
+
+        // Share of the motion the neck takes; the head does the rest (0 without a neck bone)
+        this.neckShare = 0.3;
+
+        // Angles in radians at an amplitude of 1
+        this.stressNodAngle = 0.03;     // Dip on a stressed syllable
+        this.phraseNodAngle = 0.05;     // Nod as a statement finishes
+        this.tiltAngle = 0.05;          // Tilt at a comma or the end of a question
+        this.questionLift = 0.03;       // Chin comes up slightly on a question
+        this.maxAngle = 0.15;           // Limit per axis after adding everything up
+
+        // Stressed syllables closer than this to the last nod don't nod again (seconds)
+        this.minNodSpacing = 0.4;
+
+        // Sway: per axis, the angle and the periods (seconds) of two slow waves
+        this.sway = {
+            yaw: { angle: 0.025, periods: [5.3, 3.1] },
+            pitch: { angle: 0.012, periods: [4.1, 2.3] },
+            roll: { angle: 0.018, periods: [6.7, 3.7] }
+        };
+        this.swayFadeIn = 0.6;
+
+        // Smoothing time constants in seconds - quick while talking, slower settling back to rest
+        this.timeConstant = 0.06;
+        this.restTimeConstant = 0.35;
+
+        // Nods and tilts of the current timeline: { type, start, end, strength, side? }
+        this.events = [];
+
+        // Current offsets
+        this.neck = { pitch: 0, yaw: 0, roll: 0 };
+        this.head = { pitch: 0, yaw: 0, roll: 0 };
+        this.rotation = { pitch: 0, yaw: 0, roll: 0 };
+    }
+
+    setAmplitude(amplitude) {
+        this.amplitude = Math.max(0, amplitude);
+    }
+
+    // Read the nods and tilts from a viseme timeline (stress, emphasis and sentence metadata)
+    setTimeline(timeline) {
+        this.events = [];
+        if (!timeline) return;
+
+        let lastNodTime = -Infinity;
+        let tiltSide = 1;
+
+        for (const entry of timeline) {
+            if (entry.stress === 'primary' && entry.startTime - lastNodTime >= this.minNodSpacing) {
+                // Emphasized words nod harder
+                const strength = Math.min(1.5, entry.emphasis || 1);
+                this.events.push({ type: 'nod', start: entry.startTime - 0.05, end: entry.startTime + 0.35, strength });
+                lastNodTime = entry.startTime;
+            }
+
+            if (entry.sentenceEnd === 'question') {
+                this.events.push({ type: 'question', start: entry.endTime - 0.4, end: entry.endTime + 0.8, strength: 1.5, side: tiltSide });
+                tiltSide = -tiltSide;
+            } else if (entry.sentenceEnd) {
+                this.events.push({ type: 'phraseNod', start: entry.endTime - 0.1, end: entry.endTime + 0.35, strength: 1 });
+            } else if (entry.phraseEnd) {
+                this.events.push({ type: 'tilt', start: entry.endTime - 0.3, end: entry.endTime + 0.7, strength: 1, side: tiltSide });
+                tiltSide = -tiltSide;
+            }
+        }
+    }
+
+    // Unsmoothed angles at a time (seconds) into the speech
+    getRotationAt(time) {
+        const rotation = { pitch: 0, yaw: 0, roll: 0 };
+
+        for (const event of this.events) {
+            const envelope = this.envelope(time, event.start, event.end) * event.strength;
+            if (envelope <= 0) continue;
+
+            if (event.type === 'nod') {
+                rotation.pitch -= this.stressNodAngle * envelope;
+            } else if (event.type === 'phraseNod') {
+                rotation.pitch -= this.phraseNodAngle * envelope;
+            } else {
+                rotation.roll += event.side * this.tiltAngle * envelope;
+                if (event.type === 'question') {
+                    rotation.pitch += this.questionLift * envelope;
+                }
+            }
+        }
+
+        const fadeIn = Math.min(1, Math.max(0, time) / this.swayFadeIn);
+        for (const [axis, { angle, periods }] of Object.entries(this.sway)) {
+            const [slow, fast] = periods;
+            const wave = 0.65 * Math.sin(2 * Math.PI * time / slow) + 0.35 * Math.sin(2 * Math.PI * time / fast + 1.3);
+            rotation[axis] += angle * wave * fadeIn;
+        }
+
+        for (const axis of Object.keys(rotation)) {
+            rotation[axis] = this.clamp(rotation[axis] * this.amplitude, this.maxAngle);
+        }
+        return rotation;
+    }
+
+    // Advance by the frame delta (seconds); time is the position in the speech, or null
+    // when the avatar isn't talking and the head settles back
+    update(delta, time = null) {
+        const speaking = time !== null;
+        const target = speaking ? this.getRotationAt(time) : { pitch: 0, yaw: 0, roll: 0 };
+        const blend = 1 - Math.exp(-delta / (speaking ? this.timeConstant : this.restTimeConstant));
+
+        for (const axis of Object.keys(this.rotation)) {
+            this.rotation[axis] += (target[axis] - this.rotation[axis]) * blend;
+            this.neck[axis] = this.rotation[axis] * this.neckShare;
+            this.head[axis] = this.rotation[axis] - this.neck[axis];
+        }
+    }
+
+    // 0 outside [start, end], rising to 1 in the middle
+    envelope(time, start, end) {
+        if (time <= start || time >= end) return 0;
+        return Math.sin(Math.PI * (time - start) / (end - start));
+    }
+
+    clamp(value, limit) {
+        return Math.max(-limit, Math.min(limit, value));
+    }
+}
@@ -0,0 +1,230 @@
+// Idle behavior scheduler: breathing, blinks, saccades, weight shifts and rare
+// micro-expressions, so the avatar never freezes between replies
+//
+// All timing comes from a seeded random generator. Two schedulers with the same seed and
+// persona, advanced by the same frame deltas, produce exactly the same motion.
+
+// Timing and size of each behavior per persona; intervals are [min, max] seconds
+const PERSONAS = {
+    calm: {
+        breathing: { rate: 12, depth: 1, jitter: 0.08 },          // Breaths per minute
+        blinks: { interval: [3, 6.5], duration: 0.18, doubleChance: 0.1 },
+        saccades: { interval: [0.6, 1.6], yaw: 0.02, pitch: 0.015 },
+        weightShifts: { interval: [14, 28], duration: 2.5, angle: 0.02 },
+        microExpressions: { interval: [18, 40], duration: [0.8, 1.4], intensity: 0.8 }
+    },
+    energetic: {
+        breathing: { rate: 17, depth: 0.8, jitter: 0.12 },
+        blinks: { interval: [1.8, 4], duration: 0.15, doubleChance: 0.2 },
+        saccades: { interval: [0.3, 0.9], yaw: 0.03, pitch: 0.02 },
+        weightShifts: { interval: [6, 14], duration: 1.5, angle: 0.03 },
+        microExpressions: { interval: [7, 16], duration: [0.5, 1], intensity: 1.2 }
+    }
+};
+
+// Small, short-lived expressions at full intensity
+const MICRO_EXPRESSIONS = [
+    { browInnerUp: 0.12 },
+    { mouthSmileLeft: 0.1, mouthSmileRight: 0.1 },
+    { mouthPressLeft: 0.12, mouthPressRight: 0.12 },
+    { browOuterUpLeft: 0.1, browOuterUpRight: 0.04 },
+    { mouthLeft: 0.08, cheekSquintLeft: 0.05 },
+    { mouthRight: 0.08, cheekSquintRight: 0.05 }
+];
+
+// Share of a breath spent breathing in
+const INHALE_SHARE = 0.4;
+
+// mulberry32: small, fast and good enough for animation timing
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export class IdleBehavior {
+    constructor({ persona = 'calm', seed = Math.floor(Math.random() * 4294967296) } = {}) {
+        this.persona = PERSONAS[persona] ? persona : 'calm';
+        this.settings = PERSONAS[this.persona];
+        this.setSeed(seed);
+    }
+
+    static getPersonaNames() {
+        return Object.keys(PERSONAS);
+    }
+
+    // Switch persona; the running schedule keeps going and picks up the new timing
+    // Returns false for an unknown persona
+    setPersona(name) {
+        if (!PERSONAS[name]) {
+            console.warn(`Unknown idle persona "${name}", expected one of: ${IdleBehavior.getPersonaNames().join(', ')}`);
+            return false;
+        }
+        this.persona = name;
+        this.settings = PERSONAS[name];
+        return true;
+    }
+
+    // Restart the schedule from a seed
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.time = 0;
+
+        // Breathing: 0 (breathed out) to 1 (breathed in)
+        this.breath = 0;
+        this.breathPhase = 0;
+        this.breathDuration = this.nextBreathDuration();
+
+        // Blink: 0 (open) to 1 (closed)
+        this.blink = 0;
+        this.blinkStartTime = null;
+        this.nextBlinkTime = this.randomBetween([1, 3]);
+
+        // Saccade offset for the gaze
+        this.saccade = { yaw: 0, pitch: 0 };
+        this.nextSaccadeTime = 0;
+
+        // Weight shift from one side to the other: -1 to 1, eased between positions
+        this.weightShift = 0;
+        this.shift = { from: 0, to: 0, startTime: 0 };
+        this.nextShiftTime = this.randomBetween(this.settings.weightShifts.interval);
+
+        this.microExpression = null;    // { morphs, startTime, duration }
+        this.nextMicroExpressionTime = this.randomBetween(this.settings.microExpressions.interval);
+
+        // Body offsets in radians (chest pitch: + leaning back, shoulder lift and hip roll: + up / to the avatar's left)
+        this.body = { chestPitch: 0, shoulderLift: 0, hipRoll: 0 };
+    }
+
+    randomBetween([min, max]) {
+        return min + this.random() * (max - min);
+    }
+
+    nextBreathDuration() {
+        const { rate, jitter } = this.settings.breathing;
+        return (60 / rate) * (1 + jitter * (this.random() * 2 - 1));
+    }
+
+    // Advance by the frame delta (seconds); micro-expressions only show while idle
+    // (not talking or listening)
+    update(delta, { idle = true } = {}) {
+        this.time += delta;
+
+        this.updateBreathing(delta);
+        this.updateBlink();
+        this.updateSaccade();
+        this.updateWeightShift();
+        this.updateMicroExpression(idle);
+
+        const { depth } = this.settings.breathing;
+        this.body = {
+            chestPitch: 0.015 * depth * this.breath,
+            shoulderLift: 0.01 * depth * this.breath,
+            hipRoll: this.settings.weightShifts.angle * this.weightShift
+        };
+    }
+
+    updateBreathing(delta) {
+        this.breathPhase += delta / this.breathDuration;
+        while (this.breathPhase >= 1) {
+            this.breathPhase -= 1;
+            this.breathDuration = this.nextBreathDuration();
+        }
+
+        // Quicker in-breath, longer out-breath
+        const phase = this.breathPhase;
+        this.breath = phase < INHALE_SHARE
+            ? this.smoothstep(phase / INHALE_SHARE)
+            : 1 - this.smoothstep((phase - INHALE_SHARE) / (1 - INHALE_SHARE));
+    }
+
+    updateBlink() {
+        const { interval, duration, doubleChance } = this.settings.blinks;
+
+        if (this.blinkStartTime === null && this.time >= this.nextBlinkTime) {
+            this.blinkStartTime = this.time;
+        }
+        if (this.blinkStartTime === null) {
+            this.blink = 0;
+            return;
+        }
+
+        const progress = (this.time - this.blinkStartTime) / duration;
+        if (progress >= 1) {
+            this.blink = 0;
+            this.blinkStartTime = null;
+            // Now and then a second blink follows right away
+            this.nextBlinkTime = this.time + (this.random() < doubleChance ? 0.12 : this.randomBetween(interval));
+            return;
+        }
+        this.blink = Math.sin(progress * Math.PI);
+    }
+
+    updateSaccade() {
+        if (this.time < this.nextSaccadeTime) return;
+
+        const { interval, yaw, pitch } = this.settings.saccades;
+        this.saccade = {
+            yaw: (this.random() * 2 - 1) * yaw,
+            pitch: (this.random() * 2 - 1) * pitch
+        };
+        this.nextSaccadeTime = this.time + this.randomBetween(interval);
+    }
+
+    updateWeightShift() {
+        const { interval, duration } = this.settings.weightShifts;
+
+        if (this.time >= this.nextShiftTime) {
+            // Over to the other side, by a varying amount
+            const side = this.shift.to > 0 ? -1 : 1;
+            this.shift = { from: this.weightShift, to: side * this.randomBetween([0.4, 1]), startTime: this.time };
+            this.nextShiftTime = this.time + duration + this.randomBetween(interval);
+        }
+
+        const progress = Math.min(1, (this.time - this.shift.startTime) / duration);
+        this.weightShift = this.shift.from + (this.shift.to - this.shift.from) * this.smoothstep(progress);
+    }
+
+    updateMicroExpression(idle) {
+        const { interval, duration } = this.settings.microExpressions;
+
+        if (this.microExpression && this.time >= this.microExpression.startTime + this.microExpression.duration) {
+            this.microExpression = null;
+        }
+        if (!this.microExpression && this.time >= this.nextMicroExpressionTime) {
+            // Skipped (not postponed) while the avatar is busy, so they stay rare
+            if (idle) {
+                const morphs = MICRO_EXPRESSIONS[Math.floor(this.random() * MICRO_EXPRESSIONS.length)];
+                this.microExpression = { morphs, startTime: this.time, duration: this.randomBetween(duration) };
+            }
+            this.nextMicroExpressionTime = this.time + this.randomBetween(interval);
+        }
+    }
+
+    // Morph weights to add to the face: nostrils flare a little on the in-breath, plus the
+    // current micro-expression
+    getMorphWeights() {
+        const nostrils = 0.04 * this.settings.breathing.depth * this.breath;
+        const weights = { noseSneerLeft: nostrils, noseSneerRight: nostrils };
+
+        if (this.microExpression) {
+            const progress = (this.time - this.microExpression.startTime) / this.microExpression.duration;
+            const envelope = Math.sin(Math.PI * Math.min(1, progress)) * this.settings.microExpressions.intensity;
+            for (const [morph, value] of Object.entries(this.microExpression.morphs)) {
+                weights[morph] = (weights[morph] || 0) + value * envelope;
+            }
+        }
+        return weights;
+    }
+
+    smoothstep(x) {
+        const t = Math.max(0, Math.min(1, x));
+        return t * t * (3 - 2 * t);
+    }
+}
@@ -0,0 +1,138 @@
+// How the avatar shows it is listening while the user speaks or types: an attentive face
+// with softened brows, a slight head tilt, slow nods and now and then a small backchannel
+// expression ("mm-hm", a brief smile, raised brows)
+//
+// Everything fades in with setActive(true) and eases out again when it is switched off,
+// e.g. as soon as the reply starts.
+export class ListeningBehavior {
+    constructor() {
+        // Fade time constants in seconds - settle in gently, make way quickly for the reply
+        this.fadeInTime = 0.5;
+        this.fadeOutTime = 0.2;
+
+        // Attentive face; the negative brow values soften a frown from the emotion layer
+        this.expression = {
+            browInnerUp: 0.15,
+            browDownLeft: -0.2, browDownRight: -0.2,
+            mouthSmileLeft: 0.08, mouthSmileRight: 0.08,
+            eyeWideLeft: 0.05, eyeWideRight: 0.05
+        };
+
+        // Head tilt toward one side (radians), held while listening
+        this.tiltAngle = 0.04;
+
+        // Slow nods: seconds between them, seconds per nod, angle, and how often they come in twos
+        this.nods = { interval: [3, 7], duration: 1.4, angle: 0.05, doubleChance: 0.3 };
+
+        // Backchannel micro-expressions, one at a time
+        this.backchannels = [
+            { name: 'mm-hm', duration: 0.9, morphs: { mouthPressLeft: 0.25, mouthPressRight: 0.25, mouthClose: 0.1 } },
+            { name: 'smile', duration: 1.2, morphs: { mouthSmileLeft: 0.2, mouthSmileRight: 0.2, cheekSquintLeft: 0.15, cheekSquintRight: 0.15 } },
+            { name: 'brows', duration: 0.8, morphs: { browInnerUp: 0.25, browOuterUpLeft: 0.15, browOuterUpRight: 0.15 } }
+        ];
+        this.backchannelInterval = [4, 9];
+
+        this.active = false;
+        this.blend = 0;
+        this.time = 0;
+
+        this.nod = null;            // { startTime, count }
+        this.nextNodTime = 0;
+        this.backchannel = null;    // { morphs, startTime, duration }
+        this.nextBackchannelTime = 0;
+        this.tiltSide = 1;
+
+        // Head offset (pitch: + up, roll: + toward the avatar's right shoulder)
+        this.head = { pitch: 0, roll: 0 };
+    }
+
+    setActive(active) {
+        if (active && !this.active) {
+            // The first nod comes soon after the user starts, the tilt picks a side
+            this.nextNodTime = this.time + this.randomBetween([1, 2.5]);
+            this.nextBackchannelTime = this.time + this.randomBetween(this.backchannelInterval);
+            this.tiltSide = Math.random() < 0.5 ? -1 : 1;
+        }
+        this.active = active;
+    }
+
+    // Still showing (fading out counts)
+    isActive() {
+        return this.active || this.blend > 0.001;
+    }
+
+    randomBetween([min, max]) {
+        return min + Math.random() * (max - min);
+    }
+
+    // Advance by the frame delta (seconds)
+    update(delta) {
+        this.time += delta;
+
+        const timeConstant = this.active ? this.fadeInTime : this.fadeOutTime;
+        this.blend += ((this.active ? 1 : 0) - this.blend) * (1 - Math.exp(-delta / timeConstant));
+
+        if (!this.isActive()) {
+            this.blend = 0;
+            this.nod = null;
+            this.backchannel = null;
+            this.head = { pitch: 0, roll: 0 };
+            return;
+        }
+
+        this.updateNod();
+        this.updateBackchannel();
+
+        this.head = {
+            pitch: this.getNodPitch() * this.blend,
+            roll: this.tiltSide * this.tiltAngle * this.blend
+        };
+    }
+
+    updateNod() {
+        if (this.nod && this.time >= this.nod.startTime + this.nods.duration * this.nod.count) {
+            this.nod = null;
+        }
+        if (!this.nod && this.active && this.time >= this.nextNodTime) {
+            const count = Math.random() < this.nods.doubleChance ? 2 : 1;
+            this.nod = { startTime: this.time, count };
+            this.nextNodTime = this.time + this.nods.duration * count + this.randomBetween(this.nods.interval);
+        }
+    }
+
+    updateBackchannel() {
+        if (this.backchannel && this.time >= this.backchannel.startTime + this.backchannel.duration) {
+            this.backchannel = null;
+        }
+        if (!this.backchannel && this.active && this.time >= this.nextBackchannelTime) {
+            const choice = this.backchannels[Math.floor(Math.random() * this.backchannels.length)];
+            this.backchannel = { ...choice, startTime: this.time };
+            this.nextBackchannelTime = this.time + choice.duration + this.randomBetween(this.backchannelInterval);
+        }
+    }
+
+    // Chin dips and comes back up once per nod
+    getNodPitch() {
+        if (!this.nod) return 0;
+        const progress = ((this.time - this.nod.startTime) / this.nods.duration) % 1;
+        return -this.nods.angle * Math.sin(Math.PI * progress);
+    }
+
+    // Morph weights to add to the face this frame
+    getMorphWeights() {
+        const weights = {};
+        if (this.blend <= 0) return weights;
+
+        for (const [morph, value] of Object.entries(this.expression)) {
+            weights[morph] = value * this.blend;
+        }
+        if (this.backchannel) {
+            const progress = (this.time - this.backchannel.startTime) / this.backchannel.duration;
+            const envelope = Math.sin(Math.PI * Math.min(1, progress));
+            for (const [morph, value] of Object.entries(this.backchannel.morphs)) {
+                weights[morph] = (weights[morph] || 0) + value * envelope * this.blend;
+            }
+        }
+        return weights;
+    }
+}
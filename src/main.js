@@ -4,8 +4,19 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { RGBELoader } from 'three/examples/jsm/loaders/RGBELoader';
 import * as Tone from 'tone';
 import { ModelLoader } from './modelLoader';
+import { GazeController } from './gazeController';
+import { HeadMotionGenerator } from './headMotionGenerator';
+import { ListeningBehavior } from './listeningBehavior';
+import { IdleBehavior } from './idleBehavior';
 import ElevenLabsService from './services/elevenLabsService';
 import PhonemeLipSyncService from './services/phonemeLipSyncService';
+import { getLanguagePack, getSupportedLanguages } from './services/languages';
+import AudioVisemeAnalyzer from './services/audioVisemeAnalyzer';
+import TimelineSerializer from './services/timelineSerializer';
+import ExpressionController from './services/expressionController';
+import EmotionClassifier from './services/emotionClassifier';
+import MorphCompositor from './services/morphCompositor';
+import { PronunciationPanel } from './pronunciationPanel';
 import AudioManager from './services/audioManager';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import * as VRInitializer from './vr-initializer';
@@ -14,11 +25,17 @@ class ChatbotSystem {
     constructor() {
         // State variables
         this.isRecording = false;
+        this.isTyping = false;
         this.processingResponse = false;
         this.networkErrorCount = 0;
         
         // Initialize core systems
         this.facialAnimation = new FacialAnimationSystem();
+        this.ttsService = new ElevenLabsService();
+        
+        // Conversation language: the one picked last time, else VITE_LANGUAGE, else English
+        this.languageStorageKey = 'chatbot.language';
+        this.setLanguage(this.loadLanguage() || import.meta.env.VITE_LANGUAGE || 'en');
         
         // Set up the chat interface when DOM is ready
         if (document.readyState === 'loading') {
@@ -44,6 +61,54 @@ class ChatbotSystem {
         }
     }
 
+    // Switch the conversation language: lip sync, speech recognition and the TTS model
+    // e.g. chatbot.setLanguage('es'); the choice is remembered for the next visit
+    setLanguage(language) {
+        const pack = this.facialAnimation.setLanguage(language);
+        this.ttsService.setModelId(pack.ttsModelId);
+
+        if (this.languageSelect) this.languageSelect.value = pack.code;
+        this.saveLanguage(pack.code);
+        return pack;
+    }
+
+    loadLanguage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage.getItem(this.languageStorageKey) : null;
+        } catch (error) {
+            console.warn('Failed to read the saved language:', error);
+            return null;
+        }
+    }
+
+    saveLanguage(code) {
+        try {
+            if (typeof localStorage !== 'undefined') localStorage.setItem(this.languageStorageKey, code);
+        } catch (error) {
+            console.warn('Failed to save the language:', error);
+        }
+    }
+
+    // Language picker in the chat header, next to the pronunciation settings
+    setupLanguageSelector() {
+        const header = document.querySelector('#chat-container .chat-header');
+        if (!header) return;
+
+        this.languageSelect = document.createElement('select');
+        this.languageSelect.id = 'language-select';
+        this.languageSelect.title = 'Language for speech recognition, the voice and lip sync';
+        for (const code of getSupportedLanguages()) {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = getLanguagePack(code).name;
+            this.languageSelect.appendChild(option);
+        }
+        this.languageSelect.value = this.facialAnimation.phonemeLipSync.getLanguagePack().code;
+        this.languageSelect.addEventListener('change', () => this.setLanguage(this.languageSelect.value));
+
+        header.appendChild(this.languageSelect);
+    }
+
     setupChatInterface() {
         this.chatMessages = document.getElementById('chat-messages');
         this.inputArea = document.getElementById('chat-input-area');
@@ -61,6 +126,24 @@ class ChatbotSystem {
             this.recordButton.addEventListener('click', () => this.toggleRecording());
         }
         
+        // The avatar listens while the text box has focus
+        if (this.textInput) {
+            this.textInput.addEventListener('focus', () => {
+                this.isTyping = true;
+                this.updateListening();
+            });
+            this.textInput.addEventListener('blur', () => {
+                this.isTyping = false;
+                this.updateListening();
+            });
+            this.isTyping = document.activeElement === this.textInput;
+            this.updateListening();
+        }
+        
+        // Settings panel for how names and terms are pronounced
+        this.pronunciationPanel = new PronunciationPanel(this.facialAnimation.phonemeLipSync.pronunciationOverrides);
+        this.setupLanguageSelector();
+        
         // Don't create the text input elements again as they're already in the HTML
         console.log('Chat interface setup completed');
         
@@ -83,6 +166,11 @@ class ChatbotSystem {
         }
     }
 
+    // The avatar shows it is listening while the user records or types, until a reply is on its way
+    updateListening() {
+        this.facialAnimation.setListeningMode((this.isRecording || this.isTyping) && !this.processingResponse);
+    }
+
     toggleRecording() {
             if (!this.isRecording) {
                 this.startRecording();
@@ -94,6 +182,7 @@ class ChatbotSystem {
     startRecording() {
         if (!this.isRecording) {
         this.isRecording = true;
+            this.updateListening();
             if (this.recordButton) {
                 this.recordButton.innerHTML = '<span class="record-icon"></span> Stop Recording';
                 this.recordButton.classList.add('recording');
@@ -117,6 +206,7 @@ class ChatbotSystem {
                 })
                 .finally(() => {
                     this.isRecording = false;
+                    this.updateListening();
                     if (this.recordButton) {
                         this.recordButton.innerHTML = '<span class="record-icon"></span> Start Recording';
                         this.recordButton.classList.remove('recording');
@@ -132,6 +222,7 @@ class ChatbotSystem {
         if (this.isRecording) {
             this.facialAnimation.stopListening();
         this.isRecording = false;
+            this.updateListening();
             if (this.recordButton) {
                 this.recordButton.innerHTML = '<span class="record-icon"></span> Start Recording';
                 this.recordButton.classList.remove('recording');
@@ -258,6 +349,7 @@ class ChatbotSystem {
 
     async generateResponse(userInput) {
         this.processingResponse = true;
+        this.updateListening();
         
         try {
             if (!userInput || !userInput.trim()) {
@@ -268,10 +360,14 @@ class ChatbotSystem {
             this.recordingStatus.textContent = 'Processing response...';
             
             // Get response from facial animation system (which will handle API call)
+            // The avatar glances away while it thinks of an answer
+            this.facialAnimation.gaze.setThinking(true);
             const response = await this.facialAnimation.generateResponse(userInput);
+            this.facialAnimation.gaze.setThinking(false);
             
-            // Add response to chat
-            this.addMessageToChat('assistant', response);
+            // Add response to chat (without any SSML markup or emotion tags)
+            const displayText = this.facialAnimation.emotionClassifier.stripTags(response);
+            this.addMessageToChat('assistant', this.facialAnimation.phonemeLipSync.ssmlParser.toPlainText(displayText));
             
             // Speak the response
             await this.facialAnimation.speakResponse(response);
@@ -279,7 +375,9 @@ class ChatbotSystem {
             console.error('Error generating response:', error);
             this.addMessageToChat('assistant', 'Sorry, I encountered an error while generating a response. Please try again.');
         } finally {
+            this.facialAnimation.gaze.setThinking(false);
             this.processingResponse = false;
+            this.updateListening();
             this.recordingStatus.textContent = 'Click to start speaking';
         }
     }
@@ -467,31 +565,87 @@ class FacialAnimationSystem {
     constructor() {
         this.initScene();
         this.audioManager = new AudioManager();
-        this.emotionalState = {
-            emphasis: 0
-        };
         
-        // Animation state
-        this.isBlinking = false;
-        this.blinkProgress = 0;
-        this.nextBlinkTime = null;
-        this.eyeLookTarget = { x: 0, y: 0 };
-        this.currentEyeLook = { x: 0, y: 0 };
-        this.eyeMovementTime = null;
+        // Emotion expressions layered over the lip sync (see setEmotion)
+        this.expressions = new ExpressionController();
+        
+        // Emotion of the reply being spoken, one entry per sentence
+        this.emotionClassifier = new EmotionClassifier();
+        this.emotionTrack = null;
+        this.activeTrackEntry = null;
+        this.trackEmotion = null;
+        this.emotionTrackLead = 0.2;       // The face changes slightly before the words
+        this.emotionTrackTransitionMs = 400;
+        
+        // Animation state - all times are in seconds of animation time, which the render
+        // loop advances by the real frame delta, so every frame rate looks the same
+        this.animationTime = 0;
+        // A gap longer than maxFrameDelta is a stall or a tab coming back from the background, not
+        // a slow frame: it counts as one normal frame so nothing jumps ahead. Slow devices below
+        // 4 fps are the only ones that get slowed down by this
+        this.maxFrameDelta = 0.25;
+        this.resumeFrameDelta = 1 / 60;
+        
+        // Breathing, blinks, saccades, weight shifts and micro-expressions on a seeded schedule
+        this.idle = new IdleBehavior({ persona: 'calm' });
+        this.chestBone = null;
+        this.leftShoulderBone = null;
+        this.rightShoulderBone = null;
+        this.hipsBone = null;
+        
+        // Eye contact with the user, turning the head and neck part of the way
+        this.gaze = new GazeController();
+        this.gazeTarget = new THREE.Vector3();
+        this.gazeEyePosition = new THREE.Vector3();
+        this.eyeHeightAboveHeadBone = 0.07;
         
         // Phoneme-based lip sync
         this.phonemeLipSync = new PhonemeLipSyncService();
         this.currentVisemeTimeline = null;
         this.audioStartTime = 0;
         
+        // Audio-driven lip sync for clips without a transcript
+        this.audioVisemeAnalyzer = new AudioVisemeAnalyzer();
+        this.liveLipSync = false;
+        this.maxLiveClipDuration = 300;    // Seconds, for clips whose duration can't be read
+        
+        // Timeline import/export; the last played timeline is kept for saving
+        this.timelineSerializer = new TimelineSerializer();
+        this.lastVisemeTimeline = null;
+        
+        // Expression cues from the sentence punctuation (brow raise on questions)
+        this.prosodyCues = null;
+        this.headBone = null;
+        this.neckBone = null;
+        
+        // Nods, tilts and sway of the head while talking, read from the timeline
+        this.headMotion = new HeadMotionGenerator();
+        
+        // Attentive face, nods and backchannels while the user talks or types
+        this.listening = new ListeningBehavior();
+        this.listeningRequested = false;
+        
+        // Bone rotations added on top of the mixer's pose this frame: [{ bone, x, y, z }]
+        this.appliedBoneOffsets = [];
+        
         // Animation variables
         this.clock = new THREE.Clock();
         this.modelLoader = new ModelLoader();
         
+        // Every animation source writes into its own layer; the layers are resolved once per frame
+        this.compositor = new MorphCompositor();
+        this.compositor.addLayer('base', { blendMode: 'additive' });       // resting face
+        this.compositor.addLayer('emotion', { blendMode: 'additive' });
+        this.compositor.addLayer('listening', { blendMode: 'additive' });
+        this.compositor.addLayer('idle', { blendMode: 'additive' });       // nostrils, micro-expressions
+        this.compositor.addLayer('viseme', { blendMode: 'additive' });
+        this.compositor.addLayer('blink', { blendMode: 'max' });
+        this.compositor.addLayer('gaze', { blendMode: 'override' });
+        this.compositor.addLayer('procedural', { blendMode: 'max' });      // jaw sway, brow cues
+        
         // Transition state for smooth lip sync ending
         this.transitionToRestingFace = false;
         this.transitionStartTime = null;
-        this.morphStartState = null;
         
         // Bind methods
         this.updateMorphTargets = this.updateMorphTargets.bind(this);
@@ -508,6 +662,61 @@ class FacialAnimationSystem {
         this.loadFacialModel();
     }
 
+    // Switch the lip sync language pack, returns the pack so callers can pick up
+    // its speech recognition locale and TTS model
+    setLanguage(language) {
+        this.phonemeLipSync.setLanguage(language);
+        return this.phonemeLipSync.getLanguagePack();
+    }
+
+    // Pick the viseme profile: 'oculus' (15 visemes), 'reduced' or 'prestonBlair' (10 shapes)
+    setVisemeProfile(name) {
+        this.phonemeLipSync.setVisemeProfile(name);
+    }
+
+    // Fade an emotion preset in or out, e.g. setEmotion('happy', 0.6, 500)
+    // Several emotions can be active at once; 'neutral' fades them all out
+    setEmotion(name, intensity = 1, transitionMs = 300) {
+        return this.expressions.setEmotion(name, intensity, transitionMs);
+    }
+
+    clearEmotions(transitionMs = 300) {
+        this.expressions.clearEmotions(transitionMs);
+    }
+
+    // Show that the avatar is listening (the user is recording or typing); it eases out
+    // by itself once a reply is spoken
+    setListeningMode(listening) {
+        this.listeningRequested = listening;
+    }
+
+    // Body animation state from what the avatar is doing: talking wins over listening
+    // (recording or typing), which wins over thinking
+    updateBodyState() {
+        const machine = this.modelLoader.getStateMachine();
+        if (!machine) return;
+        
+        let state = 'idle';
+        if (this.isAudioPlaying) {
+            state = 'talking';
+        } else if (this.listeningRequested) {
+            state = 'listening';
+        } else if (this.gaze.thinking) {
+            state = 'thinking';
+        }
+        machine.setState(state);
+    }
+
+    // Idle timing and energy: 'calm' or 'energetic'
+    setIdlePersona(name) {
+        return this.idle.setPersona(name);
+    }
+
+    // Scale the nods, tilts and sway while talking (1 is the default, 0 keeps the head still)
+    setHeadMotionAmplitude(amplitude) {
+        this.headMotion.setAmplitude(amplitude);
+    }
+
     async loadFacialModel() {
         try {
             const modelLoader = this.modelLoader;
@@ -523,6 +732,27 @@ class FacialAnimationSystem {
             
             // Find mesh with morph targets but don't apply animations yet
             this.morphTargetMesh = modelLoader.findMorphTargetMesh(model);
+            this.headBone = this.findBone(model, 'head');
+            this.neckBone = this.findBone(model, 'neck');
+            this.chestBone = this.findBone(model, 'spine2') || this.findBone(model, 'spine1');
+            this.leftShoulderBone = this.findBone(model, 'leftshoulder');
+            this.rightShoulderBone = this.findBone(model, 'rightshoulder');
+            this.hipsBone = this.findBone(model, 'hips');
+            
+            // Without a head bone the eyes do all the looking
+            this.gaze.headFollow = this.headBone ? this.gaze.headFollow : 0;
+            
+            // The speech head motion goes to whichever of the two bones the avatar has
+            if (!this.neckBone) {
+                this.headMotion.neckShare = 0;
+            } else if (!this.headBone) {
+                this.headMotion.neckShare = 1;
+            }
+            
+            // An avatar can set its own head motion amplitude in the glTF extras
+            if (typeof model.userData.headMotionAmplitude === 'number') {
+                this.headMotion.setAmplitude(model.userData.headMotionAmplitude);
+            }
             
             if (!this.morphTargetMesh) {
                 throw new Error('No mesh with morph targets found in the model');
@@ -546,6 +776,18 @@ class FacialAnimationSystem {
         }
     }
 
+    // Bone of the avatar skeleton by name, with or without a rig prefix (Head, mixamorig:Head)
+    findBone(model, name) {
+        const pattern = new RegExp(`(^|:)${name}$`, 'i');
+        let bone = null;
+        model.traverse(node => {
+            if (!bone && node.isBone && pattern.test(node.name)) {
+                bone = node;
+            }
+        });
+        return bone;
+    }
+
     async loadRoomModel(characterModel) {
         try {
             console.log('Loading room model...');
@@ -856,8 +1098,18 @@ class FacialAnimationSystem {
 
         console.log('Morph target groups:', this.morphGroups);
 
-        // Initialize all morph target influences to 0
-        this.morphTargetMesh.morphTargetInfluences.fill(0);
+        // Avatars with only ARKit blendshapes get their visemes mapped onto those
+        this.phonemeLipSync.setAvailableMorphs(this.availableMorphs);
+
+        // Emotion presets are built from the face's expression morphs
+        const groups = this.morphGroups;
+        this.expressions.setAvailableMorphs([
+            ...groups.brow, ...groups.eyes, ...groups.cheek, ...groups.nose, ...groups.mouth, ...groups.jaw
+        ]);
+
+        // Start from the resting face
+        this.applyRestingFace();
+        this.resolveMorphTargets();
     }
 
     initScene() {
@@ -973,14 +1225,21 @@ class FacialAnimationSystem {
                     this.controls.update();
                 }
                 
+            // Real time since the last frame drives all the animation
+            const frameDelta = this.clock.getDelta();
+            const delta = frameDelta > this.maxFrameDelta ? this.resumeFrameDelta : frameDelta;
+            
             // Update morph targets
-                this.updateMorphTargets();
+                this.updateMorphTargets(delta);
             
-            // Update animation mixer if available
-            if (this.modelLoader && this.modelLoader.getMixer()) {
-                const delta = this.clock.getDelta();
-                this.modelLoader.getMixer().update(delta);
-            }
+            // Take last frame's gaze turn, head motion and breathing off the bones before the mixer poses them again
+            this.removeBoneOffsets();
+            
+            // Move the body between idle, talking, listening and thinking, then advance the mixer
+            this.updateBodyState();
+            this.modelLoader.updateMixer(delta);
+            
+            this.applyBoneOffsets();
                 
                 // Render scene
                 this.renderer.render(this.scene, this.camera);
@@ -990,51 +1249,75 @@ class FacialAnimationSystem {
         this.renderer.setAnimationLoop(animate);
     }
 
-    updateMorphTargets() {
+    updateMorphTargets(delta = 0) {
         if (!this.morphTargetMesh) return;
 
-        // When not speaking, ensure morph targets are reset
-        if (!this.isAudioPlaying || !this.currentVisemeTimeline) {
-            // This is a safety check - if we're not speaking but the method was called,
-            // ensure all morphs are zeroed out and start transition if needed
-            if (!this.transitionToRestingFace) {
+        this.animationTime += delta;
+        this.expressions.update(delta);
+        
+        this.listening.setActive(this.listeningRequested && !this.isAudioPlaying);
+        this.listening.update(delta);
+        this.compositor.setWeights('listening', this.listening.getMorphWeights());
+        
+        this.idle.update(delta, { idle: !this.isAudioPlaying && !this.listening.isActive() });
+        this.compositor.setWeights('idle', this.idle.getMorphWeights());
+
+        // Blinking and eye movements run whether or not the avatar is talking
+        this.applyEyeMovements(delta);
+
+        if (this.isAudioPlaying && this.currentVisemeTimeline) {
+            this.applyPhonemeLipSync(delta);
+        } else {
+            // Ease the last mouth shape into the resting face once speech stops
+            if (!this.transitionToRestingFace && this.compositor.hasWeights('viseme')) {
                 this.transitionToRestingFace = true;
                 this.transitionStartTime = null;
             }
-            return;
+            this.applyRestingFaceTransition();
+            this.applyRestingFace();
+            this.compositor.clearLayer('procedural');
+            this.headMotion.update(delta);
+            
+            // The reply's emotion fades once it has been spoken; a set emotion still shows
+            this.endEmotionTrack();
+            this.compositor.setWeights('emotion', this.expressions.getMorphWeights());
         }
 
-        // Reset all morph target influences
-        this.morphTargetMesh.morphTargetInfluences.fill(0);
-        
-        // Apply minimal eye movements when speaking
-        this.applyEyeMovements();
-        
-        // Apply phoneme-based lip sync
-            this.applyPhonemeLipSync();
+        this.resolveMorphTargets();
     }
 
-    applyMorphTarget(name, value) {
-        if (!this.morphTargetMesh || !this.morphTargetMesh.morphTargetDictionary) return;
+    // The one place the morph influences are written
+    resolveMorphTargets() {
+        if (!this.morphTargetMesh) return;
+        this.compositor.resolve(this.morphTargetMesh.morphTargetDictionary, this.morphTargetMesh.morphTargetInfluences);
+    }
+
+    // Set a morph in one of the compositor layers (procedural by default); false if the avatar lacks it
+    applyMorphTarget(name, value, layer = 'procedural') {
+        if (!this.morphTargetMesh || !this.morphTargetMesh.morphTargetDictionary) return false;
         
-        const dict = this.morphTargetMesh.morphTargetDictionary;
-        if (name in dict) {
-            const index = dict[name];
-            this.morphTargetMesh.morphTargetInfluences[index] = value;
+        if (name in this.morphTargetMesh.morphTargetDictionary) {
+            this.compositor.set(layer, name, value);
             return true;
         }
         return false;
     }
 
-    applyPhonemeLipSync() {
+    applyPhonemeLipSync(delta = 0) {
         if (!this.morphTargetMesh || !this.isAudioPlaying || !this.currentVisemeTimeline) return;
         
         // Calculate current time in the audio playback
         const currentAudioTime = (performance.now() - this.audioStartTime) / 1000;
         
+        // In live mode the timeline is classified from the analyzer as the clip plays
+        if (this.liveLipSync) {
+            this.audioVisemeAnalyzer.updateLive(this.analyzer, currentAudioTime);
+        }
+        
         // Check if we've reached the end of the viseme timeline - use a stricter check
+        // (a live timeline always ends at the current time, playback end stops it instead)
         const lastViseme = this.currentVisemeTimeline[this.currentVisemeTimeline.length - 1];
-        if (lastViseme && currentAudioTime >= lastViseme.endTime) {
+        if (!this.liveLipSync && lastViseme && currentAudioTime >= lastViseme.endTime) {
             // We've reached the end of the timeline, immediately start transition to resting
             console.log('End of viseme timeline reached at time', currentAudioTime, 'ending at', lastViseme.endTime);
             this.isAudioPlaying = false;
@@ -1043,156 +1326,180 @@ class FacialAnimationSystem {
             return;
         }
         
-        // Get the current viseme based on audio time
-        const visemeData = this.phonemeLipSync.getVisemeAtTime(this.currentVisemeTimeline, currentAudioTime);
+        // Speech takes over from the resting face (and from a transition still running)
+        this.transitionToRestingFace = false;
+        this.transitionStartTime = null;
+        this.compositor.setLayerWeight('base', 0);
+        this.compositor.setLayerWeight('viseme', 1);
         
-        // Store the last 4 visemes to create smoother transitions
-        if (!this.lastVisemes) {
-            this.lastVisemes = Array(4).fill(visemeData);
-        } else {
-            // Shift the array and add the new viseme
-            this.lastVisemes.shift();
-            this.lastVisemes.push(visemeData);
-        }
+        this.applyEmotionTrack(currentAudioTime);
         
-        // Apply weighted averaging with emphasis on the current viseme for more responsive movements
-        // This creates more defined mouth shapes with some smoothing
-        const weights = [0.05, 0.10, 0.20, 0.65]; // More emphasis on current viseme (last one)
+        // Blend the visemes around the current time (coarticulation) into one weight per morph
+        const morphWeights = this.phonemeLipSync.getMorphWeightsAtTime(this.currentVisemeTimeline, currentAudioTime);
+        this.compositor.setWeights('viseme', morphWeights);
         
-        // Reset all viseme-related morphs before applying new ones
-        for (const morphName of this.morphGroups.viseme) {
-            this.applyMorphTarget(morphName, 0);
-        }
+        // The emotion goes on top, so a smile stays while the mouth forms the visemes
+        this.compositor.setWeights('emotion', this.expressions.adjustForSpeech(this.expressions.getMorphWeights(), morphWeights));
         
-        // Apply weighted visemes for smooth transition with more defined shapes
-        this.lastVisemes.forEach((viseme, index) => {
-            const weight = weights[index];
-            // Apply the primary viseme with weighted influence
-            if (viseme && viseme.viseme) {
-                this.applyMorphTarget(viseme.viseme, viseme.intensity * weight);
-            }
-        });
+        // Add jaw movement - slightly more noticeable for emphasized speech
+        this.compositor.clearLayer('procedural');
+        const currentViseme = this.phonemeLipSync.getVisemeAtTime(this.currentVisemeTimeline, currentAudioTime);
+        const jawCycleSpeed = 3; // Radians per second - slightly faster for more natural movement
+        const jawMovement = Math.sin(this.animationTime * jawCycleSpeed) * 0.01; // Increased amplitude
+        this.applyMorphTarget("jawLeft", Math.max(0, jawMovement) * 0.04 * currentViseme.intensity);
+        this.applyMorphTarget("jawRight", Math.max(0, -jawMovement) * 0.04 * currentViseme.intensity);
+        
+        // Brow raise from the sentence punctuation
+        this.applyProsodyCues(currentAudioTime);
+        
+        // Nods, tilts and sway (applied to the bones in the render loop)
+        this.headMotion.update(delta, currentAudioTime);
+    }
+
+    // Switch to the emotion of the sentence being spoken
+    applyEmotionTrack(time) {
+        if (!this.emotionTrack) return;
         
-        // Apply secondary morph targets from current viseme with enhanced intensities
-        const currentViseme = this.lastVisemes[3]; // Last in array (most recent)
-        if (currentViseme && currentViseme.secondaryMorphs) {
-            currentViseme.secondaryMorphs.morphs.forEach(morphName => {
-                // Apply with higher intensity for more defined movement
-                this.applyMorphTarget(morphName, currentViseme.intensity * currentViseme.secondaryMorphs.weight * 0.85);
-            });
-        }
+        const lookupTime = time + this.emotionTrackLead;
+        const entry = this.emotionTrack.find(item => lookupTime >= item.startTime && lookupTime < item.endTime) || null;
+        if (entry === this.activeTrackEntry) return;
+        this.activeTrackEntry = entry;
         
-        // Add jaw movement - slightly more noticeable for emphasized speech
-        const jawCycleSpeed = 0.003; // Slightly faster for more natural movement
-        const jawMovement = Math.sin(performance.now() * jawCycleSpeed) * 0.01; // Increased amplitude
-        this.applyMorphTarget("jawLeft", Math.max(0, jawMovement) * 0.04 * (currentViseme ? currentViseme.intensity : 0));
-        this.applyMorphTarget("jawRight", Math.max(0, -jawMovement) * 0.04 * (currentViseme ? currentViseme.intensity : 0));
-        
-        // Enhance jawOpen for vowels to make mouth open more
-        if (currentViseme && /viseme_(aa|O|E)/.test(currentViseme.viseme)) {
-            const jawOpenBoost = /viseme_aa/.test(currentViseme.viseme) ? 0.35 : 0.25;
-            this.applyMorphTarget("jawOpen", currentViseme.intensity * jawOpenBoost);
+        const emotion = entry && entry.emotion !== 'neutral' ? entry.emotion : null;
+        if (this.trackEmotion && this.trackEmotion !== emotion) {
+            this.expressions.setEmotion(this.trackEmotion, 0, this.emotionTrackTransitionMs);
+        }
+        if (emotion) {
+            this.expressions.setEmotion(emotion, entry.intensity, this.emotionTrackTransitionMs);
+        }
+        this.trackEmotion = emotion;
+    }
+    
+    endEmotionTrack() {
+        if (this.trackEmotion) {
+            this.expressions.setEmotion(this.trackEmotion, 0, this.emotionTrackTransitionMs * 2);
+            this.trackEmotion = null;
         }
+        this.activeTrackEntry = null;
+    }
+
+    applyProsodyCues(time) {
+        if (!this.prosodyCues) return;
         
-        // Add occasional subtle micro-expressions during speech
-        if (Math.random() < 0.003) { // Slightly more frequent
-            const microExpression = Math.random() < 0.5 ? "browInnerUp" : "browOuterUpLeft";
-            const intensity = 0.03; // Slightly more noticeable
-            this.applyMorphTarget(microExpression, intensity);
+        // Brows go up over the last word of a question and settle after it
+        let browRaise = 0;
+        for (const endTime of this.prosodyCues.questions) {
+            browRaise = Math.max(browRaise, this.headMotion.envelope(time, endTime - 0.5, endTime + 0.4));
+        }
+        if (browRaise > 0) {
+            // The procedural layer keeps the higher of this and an emotion that already lifts the brows
+            this.applyMorphTarget("browInnerUp", 0.35 * browRaise);
+            this.applyMorphTarget("browOuterUpLeft", 0.25 * browRaise);
+            this.applyMorphTarget("browOuterUpRight", 0.25 * browRaise);
+        }
+    }
+    
+    // The gaze turn, head motion, breathing and weight shifts are added on top of the mixer's
+    // pose, so they are removed again before the next update
+    removeBoneOffsets() {
+        for (const { bone, x, y, z } of this.appliedBoneOffsets) {
+            bone.rotation.x -= x;
+            bone.rotation.y -= y;
+            bone.rotation.z -= z;
+        }
+        this.appliedBoneOffsets = [];
+    }
+    
+    // Bones turn with yaw around Y (+ to the avatar's left), pitch around X (+ chin down)
+    // and roll around Z (+ toward the avatar's right shoulder)
+    applyBoneOffsets() {
+        const motion = this.headMotion;
+        const body = this.idle.body;
+        const offsets = [];
+        
+        // The hips shift the weight and the chest leans back the other way so the head stays level
+        if (this.hipsBone) {
+            offsets.push({ bone: this.hipsBone, x: 0, y: 0, z: -body.hipRoll });
+        }
+        if (this.chestBone) {
+            offsets.push({ bone: this.chestBone, x: -body.chestPitch, y: 0, z: body.hipRoll * 0.7 });
+        }
+        // The shoulders rise with the breath (mirrored rigs roll them opposite ways)
+        if (this.leftShoulderBone) {
+            offsets.push({ bone: this.leftShoulderBone, x: 0, y: 0, z: body.shoulderLift });
+        }
+        if (this.rightShoulderBone) {
+            offsets.push({ bone: this.rightShoulderBone, x: 0, y: 0, z: -body.shoulderLift });
+        }
+        if (this.neckBone) {
+            offsets.push({
+                bone: this.neckBone,
+                x: -(this.gaze.neck.pitch + motion.neck.pitch),
+                y: this.gaze.neck.yaw + motion.neck.yaw,
+                z: motion.neck.roll
+            });
+        }
+        if (this.headBone) {
+            offsets.push({
+                bone: this.headBone,
+                x: -(this.gaze.head.pitch + motion.head.pitch + this.listening.head.pitch),
+                y: this.gaze.head.yaw + motion.head.yaw,
+                z: motion.head.roll + this.listening.head.roll
+            });
         }
         
-        // Apply minimal rest-state influence to allow for more expressive speech
-        const restInfluence = 0.1; // Reduced to allow more movement
-        this.applyMorphTarget("mouthClose", 0.02 * restInfluence);
-        this.applyMorphTarget("mouthRollUpper", 0.02 * restInfluence);
+        for (const { bone, x, y, z } of offsets) {
+            bone.rotation.x += x;
+            bone.rotation.y += y;
+            bone.rotation.z += z;
+        }
+        this.appliedBoneOffsets = offsets;
     }
 
     applyRestingFace() {
         // Resting face - natural closed position
-        this.applyMorphTarget("viseme_sil", 0.2);
-        this.applyMorphTarget("mouthClose", 0.12);
-        this.applyMorphTarget("mouthRollUpper", 0.1);
-        this.applyMorphTarget("mouthRollLower", 0.1);
+        const restingFace = {
+            viseme_sil: 0.2,
+            mouthClose: 0.12,
+            mouthRollUpper: 0.1,
+            mouthRollLower: 0.1
+        };
         
         // Subtle idle movement
-        const idleTime = performance.now() * 0.0001;
+        const idleTime = this.animationTime * 0.1;
         const subtleMovement = Math.sin(idleTime) * 0.004;
-        this.applyMorphTarget("mouthLeft", Math.max(0, subtleMovement) * 0.004);
-        this.applyMorphTarget("mouthRight", Math.max(0, -subtleMovement) * 0.004);
+        restingFace.mouthLeft = Math.max(0, subtleMovement) * 0.004;
+        restingFace.mouthRight = Math.max(0, -subtleMovement) * 0.004;
+        
+        this.compositor.setWeights('base', restingFace);
+        if (!this.transitionToRestingFace) {
+            this.compositor.setLayerWeight('base', 1);
+        }
     }
 
-    // Method to smoothly transition to resting face
+    // Smoothly fade the last mouth shape out while the resting face fades in
     applyRestingFaceTransition() {
-        if (!this.transitionStartTime) {
-            this.transitionStartTime = performance.now();
-            this.transitionDuration = 300; // 300ms transition
-            
-            // Save current state of morphs
-            if (!this.morphStartState && this.morphTargetMesh) {
-                this.morphStartState = [...this.morphTargetMesh.morphTargetInfluences];
-            }
+        if (!this.transitionToRestingFace) return;
+        
+        if (this.transitionStartTime === null) {
+            this.transitionStartTime = this.animationTime;
+            this.transitionDuration = 0.3; // 300ms transition
         }
         
-        const now = performance.now();
-        const elapsed = now - this.transitionStartTime;
+        const elapsed = this.animationTime - this.transitionStartTime;
         const progress = Math.min(1.0, elapsed / this.transitionDuration);
         
         // Apply cubic easing for natural movement
         const easedProgress = this.cubicEaseOut(progress);
+        this.compositor.setLayerWeight('viseme', 1 - easedProgress);
+        this.compositor.setLayerWeight('base', easedProgress);
         
         if (progress >= 1.0) {
             // Transition complete
             this.transitionToRestingFace = false;
             this.transitionStartTime = null;
-            this.morphStartState = null;
-            
-            // Ensure all morph targets are reset
-            this.morphTargetMesh.morphTargetInfluences.fill(0);
-            
-            // Enable eye movements only
-            this.applyEyeMovements();
-            return;
-        }
-        
-        // Reset all morph targets first
-        this.morphTargetMesh.morphTargetInfluences.fill(0);
-        
-        // Apply eye movements during transition
-        this.applyEyeMovements();
-        
-        // Apply transition to neutral expression/closed mouth
-        if (this.morphStartState) {
-            const dictionary = this.morphTargetMesh.morphTargetDictionary;
-            
-            // Special treatment for mouth-related morphs
-            const mouthMorphs = [
-                'mouthClose', 'viseme_sil', 'mouthRollUpper', 'mouthRollLower',
-                'mouthStretchLeft', 'mouthStretchRight', 'mouthPucker', 'mouthFunnel',
-                'jawOpen', 'jawForward', 'jawLeft', 'jawRight'
-            ];
-            
-            // Gradually close mouth by zeroing mouth morphs and applying specific closed-mouth morphs
-            mouthMorphs.forEach(morphName => {
-                if (morphName in dictionary) {
-                    const index = dictionary[morphName];
-                    const startValue = this.morphStartState[index] || 0;
-                    
-                    // Special handling for closing morphs - increase their influence
-                    if (morphName === 'mouthClose' || morphName === 'viseme_sil' || morphName === 'mouthRollUpper') {
-                        // Target values for closed mouth
-                        const targetValue = morphName === 'mouthClose' ? 0.12 : 
-                                          morphName === 'viseme_sil' ? 0.2 : 
-                                          morphName === 'mouthRollUpper' ? 0.1 : 0;
-                        
-                        // Interpolate from current to target
-                        const value = startValue * (1 - easedProgress) + targetValue * easedProgress;
-                        this.morphTargetMesh.morphTargetInfluences[index] = value;
-                    } else {
-                        // For other mouth morphs, gradually reduce to zero
-                        this.morphTargetMesh.morphTargetInfluences[index] = startValue * (1 - easedProgress);
-                    }
-                }
-            });
+            this.compositor.clearLayer('viseme');
+            this.compositor.setLayerWeight('viseme', 1);
         }
     }
     
@@ -1201,90 +1508,71 @@ class FacialAnimationSystem {
         return 1 - Math.pow(1 - t, 3);
     }
 
-    applyEyeMovements() {
+    applyEyeMovements(delta) {
         if (!this.morphTargetMesh) return;
         
-        // Manage blinking
-        if (!this.nextBlinkTime) {
-            this.nextBlinkTime = performance.now() + Math.random() * 5000 + 1000;
-            this.isBlinking = false;
-            this.blinkProgress = 0;
-        }
-        
-        const now = performance.now();
-        
-        // Check if it's time to blink
-        if (!this.isBlinking && now > this.nextBlinkTime) {
-            this.isBlinking = true;
-            this.blinkProgress = 0;
-        }
-        
-        // Process blinking animation
-        if (this.isBlinking) {
-            this.blinkProgress += 0.1; // Speed of blink
-            
-            // Blink curve (0 to 1 and back to 0)
-            const blinkCurve = Math.sin(this.blinkProgress * Math.PI);
-            this.applyMorphTarget("eyesClosed", blinkCurve);
-            
-            // End of blink
-            if (this.blinkProgress >= 1) {
-                this.isBlinking = false;
-                this.nextBlinkTime = now + Math.random() * 5000 + 1000;
-            }
-        }
-        
-        // Natural eye movement
-        if (!this.eyeMovementTime || now > this.eyeMovementTime) {
-            this.eyeLookTarget = {
-                x: (Math.random() * 2 - 1) * 0.5,
-                y: (Math.random() * 2 - 1) * 0.3
-            };
-            this.eyeMovementTime = now + Math.random() * 3000 + 1000;
+        // Blinks come from the idle schedule (0 to 1 and back to 0)
+        if (this.idle.blink > 0) {
+            this.applyMorphTarget("eyesClosed", this.idle.blink, 'blink');
+        } else {
+            this.compositor.clearLayer('blink');
         }
         
-        // Smooth eye movement
-        this.currentEyeLook.x = this.smoothValue(this.currentEyeLook.x, this.eyeLookTarget.x, 0.05);
-        this.currentEyeLook.y = this.smoothValue(this.currentEyeLook.y, this.eyeLookTarget.y, 0.05);
-        
-        // Apply eye look influences
+        // Eye contact with the user, with saccades and glances away
+        this.updateGaze(delta);
         this.applyEyeLookInfluences();
     }
 
-    applyEyeLookInfluences() {
-        if (!this.morphTargetMesh) return;
+    // Look at the camera, or at the user's head in WebXR
+    updateGaze(delta) {
+        const camera = this.renderer.xr.isPresenting ? this.renderer.xr.getCamera() : this.camera;
+        this.gazeTarget.setFromMatrixPosition(camera.matrixWorld);
         
-        // Looking right
-        if (this.currentEyeLook.x > 0) {
-            this.applyMorphTarget("eyeLookOutRight", this.currentEyeLook.x);
-            this.applyMorphTarget("eyeLookInLeft", this.currentEyeLook.x);
-        } else {
-            // Looking left
-            this.applyMorphTarget("eyeLookOutLeft", -this.currentEyeLook.x);
-            this.applyMorphTarget("eyeLookInRight", -this.currentEyeLook.x);
+        let eyePosition = null;
+        if (this.headBone) {
+            eyePosition = this.headBone.getWorldPosition(this.gazeEyePosition);
+            eyePosition.y += this.eyeHeightAboveHeadBone;
         }
         
-        // Looking up/down
-        if (this.currentEyeLook.y > 0) {
-            this.applyMorphTarget("eyeLookUpLeft", this.currentEyeLook.y);
-            this.applyMorphTarget("eyeLookUpRight", this.currentEyeLook.y);
-            this.applyMorphTarget("eyesLookUp", this.currentEyeLook.y);
-        } else {
-            this.applyMorphTarget("eyeLookDownLeft", -this.currentEyeLook.y);
-            this.applyMorphTarget("eyeLookDownRight", -this.currentEyeLook.y);
-            this.applyMorphTarget("eyesLookDown", -this.currentEyeLook.y);
-        }
+        this.gaze.update(delta, {
+            model: this.characterModel,
+            eyePosition,
+            targetPosition: this.gazeTarget,
+            speaking: this.isAudioPlaying,
+            listening: this.listening.isActive(),
+            saccade: this.idle.saccade
+        });
     }
 
-    smoothValue(current, target, smoothFactor) {
-        return current * (1 - smoothFactor) + target * smoothFactor;
+    applyEyeLookInfluences() {
+        if (!this.morphTargetMesh) return;
+        
+        // The gaze layer owns every look direction, so the opposite side is set back to 0
+        const { x, y } = this.gaze.eyes;
+        const lookRight = Math.max(0, x);
+        const lookLeft = Math.max(0, -x);
+        const lookUp = Math.max(0, y);
+        const lookDown = Math.max(0, -y);
+        
+        this.compositor.setWeights('gaze', {
+            eyeLookOutRight: lookRight,
+            eyeLookInLeft: lookRight,
+            eyeLookOutLeft: lookLeft,
+            eyeLookInRight: lookLeft,
+            eyeLookUpLeft: lookUp,
+            eyeLookUpRight: lookUp,
+            eyesLookUp: lookUp,
+            eyeLookDownLeft: lookDown,
+            eyeLookDownRight: lookDown,
+            eyesLookDown: lookDown
+        });
     }
 
     // Add this method to test all morph targets
     testAllMorphTargets() {
         if (!this.availableMorphs) return;
         
-        const now = performance.now();
+        const now = this.animationTime * 1000;
         const testValue = (Math.sin(now * 0.001) + 1) / 2; // 0 to 1
 
         this.availableMorphs.forEach((morphName, index) => {
@@ -1297,6 +1585,24 @@ class FacialAnimationSystem {
         });
     }
 
+    // Stop any ongoing audio playback and lip sync
+    stopCurrentPlayback() {
+        if (this.isAudioPlaying) {
+            // Clean up any existing playback
+            this.audioManager.stop();
+            this.isAudioPlaying = false;
+            this.currentVisemeTimeline = null;
+            this.liveLipSync = false;
+            
+            // Ensure any ongoing transition is completed
+            this.transitionToRestingFace = false;
+            this.transitionStartTime = null;
+            this.compositor.clearLayer('viseme');
+            this.compositor.clearLayer('procedural');
+            this.compositor.setLayerWeight('viseme', 1);
+        }
+    }
+
     async speakResponse(text) {
         if (!this.morphTargetMesh) return;
 
@@ -1304,17 +1610,13 @@ class FacialAnimationSystem {
             console.log('Starting speech response with text:', text);
             
             // Stop any ongoing audio playback
-            if (this.isAudioPlaying) {
-                // Clean up any existing playback
-                this.audioManager.stop();
-                this.isAudioPlaying = false;
-                this.currentVisemeTimeline = null;
-                this.lastVisemes = null;
-                
-                // Ensure any ongoing transition is completed
-                this.transitionToRestingFace = false;
-                this.morphTargetMesh.morphTargetInfluences.fill(0);
-            }
+            this.stopCurrentPlayback();
+            
+            // Read the emotion of each sentence; [emotion: ...] tags from the LLM take precedence
+            const { sentences } = this.emotionClassifier.classify(this.phonemeLipSync.ssmlParser.toPlainText(text), {
+                delimiters: this.phonemeLipSync.getLanguagePack().sentenceDelimiters
+            });
+            text = this.emotionClassifier.stripTags(text);
             
             // Generate speech from text
             const audioData = await window.chatbot.ttsService.textToSpeech(text);
@@ -1326,123 +1628,277 @@ class FacialAnimationSystem {
             
             console.log('Received audio data with duration:', audioData.duration);
             
-            // Generate viseme timeline based on text and audio duration
-            this.currentVisemeTimeline = await this.phonemeLipSync.createVisemeTimeline(text, audioData.duration);
+            let visemeTimeline;
+            // SSML keeps its breaks, rates and pronunciations, so it goes through the text timeline
+            // and is aligned to the audio afterwards
+            if (audioData.alignment && !this.phonemeLipSync.ssmlParser.isSsml(text)) {
+                // The TTS reported when every character is spoken - build the timeline from that
+                visemeTimeline = await this.phonemeLipSync.createVisemeTimelineFromAlignment(audioData.alignment, audioData.duration);
+            } else {
+                // Decode the speech so the timeline can be aligned to its real pauses and syllables
+                let audioBuffer = null;
+                try {
+                    audioBuffer = await window.chatbot.ttsService.decodeAudio(audioData.blob);
+                } catch (decodeError) {
+                    console.warn('Could not decode TTS audio, using estimated timing:', decodeError);
+                }
+                
+                // Generate viseme timeline based on text and audio duration
+                visemeTimeline = await this.phonemeLipSync.createVisemeTimeline(text, audioData.duration, audioBuffer);
+            }
+            
+            const emotionTrack = this.emotionClassifier.createTrack(sentences, visemeTimeline);
+            return await this.playVisemeTimeline(visemeTimeline, audioData.url, audioData.duration, emotionTrack);
+        } catch (error) {
+            console.error('Error in speech response:', error);
+            this.isAudioPlaying = false;
+            throw error;
+        }
+    }
+
+    // Lip sync a pre-recorded clip or voice-over that has no transcript
+    // The visemes are read from the audio itself: offline from the decoded clip by default,
+    // or live from the audio analyzer while it plays ({ live: true })
+    async playAudioWithLipSync(url, { live = false } = {}) {
+        if (!this.morphTargetMesh) return;
+
+        try {
+            this.stopCurrentPlayback();
+            await this.audioManager.initialize();
             
-            // Log the timeline for debugging
-            console.log('Viseme timeline created with', this.currentVisemeTimeline.length, 'visemes');
-            if (this.currentVisemeTimeline.length > 0) {
-                const lastViseme = this.currentVisemeTimeline[this.currentVisemeTimeline.length - 1];
-                console.log('Last viseme ends at', lastViseme.endTime, 'audio duration is', audioData.duration);
+            if (live) {
+                return await this.playLiveLipSync(url);
             }
             
-            let playbackStarted = false;
-            let cleanupDone = false;
+            const response = await fetch(url);
+            const arrayBuffer = await response.arrayBuffer();
+            const audioBuffer = await this.audioManager.getAudioContext().decodeAudioData(arrayBuffer);
             
-            // Function to clean up resources when audio is done
-            const cleanupAudio = () => {
-                if (cleanupDone) return;
-                cleanupDone = true;
-                
-                console.log('Audio playback completed, cleaning up resources');
+            const visemeTimeline = this.audioVisemeAnalyzer.analyzeBuffer(audioBuffer);
+            
+            return await this.playVisemeTimeline(visemeTimeline, url, audioBuffer.duration);
+        } catch (error) {
+            console.error('Error in audio lip sync:', error);
+            this.isAudioPlaying = false;
+            throw error;
+        }
+    }
+
+    // Play a clip through the audio manager and classify visemes from its analyzer every frame
+    async playLiveLipSync(url) {
+        // Read for the safety timeout: the manager may fall back to an element that never
+        // reports 'ended' to us
+        const duration = await this.getAudioDuration(url);
+        
+        const playbackStarted = await this.audioManager.playAudio(url);
+        if (!playbackStarted) {
+            console.error('Unable to start audio playback for live lip sync');
+            return;
+        }
+        
+        this.currentVisemeTimeline = this.audioVisemeAnalyzer.startLive();
+        this.emotionTrack = null;
+        this.liveLipSync = true;
+        this.isAudioPlaying = true;
+        this.audioStartTime = performance.now();
+        
+        // Resolve once the clip has ended and the face has settled
+        return new Promise((resolve) => {
+            const audioElement = this.audioManager.audioElement;
+            const liveTimeline = this.currentVisemeTimeline;
+            let finished = false;
+            const finish = () => {
+                // Nothing to do once this clip is done or another playback has replaced it
+                if (finished || this.currentVisemeTimeline !== liveTimeline) return;
+                finished = true;
+                this.liveLipSync = false;
                 this.isAudioPlaying = false;
                 this.currentVisemeTimeline = null;
-                this.lastVisemes = null; // Clear the viseme history
-                
-                // Start transition to resting face
                 this.transitionToRestingFace = true;
-                this.transitionStartTime = null; // Will be set in the transition method
-                this.morphStartState = null;
-                
-                // Note: We're now NOT revoking the URL to avoid issues with reuse
-                // URL.revokeObjectURL(audioData.url);
+                this.transitionStartTime = null;
             };
-            
-            // Prepare audio playback
-            let audioElement;
-            try {
-                // Create a new audio element with precise event listeners
-                audioElement = new Audio(audioData.url);
-                
-                // Set up event listeners before playback begins
-                audioElement.addEventListener('play', () => {
-                    console.log('Audio playback started');
-                    // Start animation precisely when audio starts
-            this.isAudioPlaying = true;
-            this.audioStartTime = performance.now();
-                });
-                
-                audioElement.addEventListener('ended', () => {
-                    console.log('Audio playback ended');
-                    this.isAudioPlaying = false;
-                    cleanupAudio();
-                });
-                
-                // Set up error handling
-                audioElement.addEventListener('error', (e) => {
-                    console.error('Audio playback error:', e);
-                    this.isAudioPlaying = false;
-                    cleanupAudio();
-                });
-                
-                // Start playback
-                const playPromise = audioElement.play();
-                if (playPromise !== undefined) {
-                    await playPromise;
-                    playbackStarted = true;
-                }
-            } catch (audioError) {
-                console.error('Error with direct audio playback:', audioError);
-                
-                // Fall back to AudioManager if direct approach fails
-                try {
-                    playbackStarted = await this.audioManager.playAudio(audioData.url);
-                    console.log('AudioManager playback started:', playbackStarted);
-                    
-                    // Start animation now that audio has started
-                    if (playbackStarted) {
-                        this.isAudioPlaying = true;
-                        this.audioStartTime = performance.now();
-                    }
-                } catch (managerError) {
-                    console.error('All audio playback methods failed:', managerError);
-                    playbackStarted = false;
-                }
-            }
-            
-            if (!playbackStarted) {
-                console.error('Unable to start audio playback through any method');
-                cleanupAudio();
-                return;
-            }
-            
-            // Set a safety timeout based on the expected audio duration
-            const timeoutDuration = (audioData.duration * 1000) + 500; // Add 500ms buffer
+            audioElement.addEventListener('ended', finish, { once: true });
+            audioElement.addEventListener('error', (e) => {
+                console.error('Audio playback error:', e);
+                finish();
+            }, { once: true });
+            
+            // Same margin as playVisemeTimeline; without a known duration the longest allowed clip
+            const timeoutDuration = ((duration || this.maxLiveClipDuration) * 1000) + 500;
             const safetyTimeout = setTimeout(() => {
-                if (this.isAudioPlaying) {
+                if (!finished) {
                     console.log('Safety timeout reached, forcing cleanup');
-                        this.isAudioPlaying = false;
-                    cleanupAudio();
+                    finish();
                 }
             }, timeoutDuration);
             
-            // Return a promise that resolves when audio playback is complete
-            return new Promise((resolve) => {
-                const checkInterval = setInterval(() => {
-                    if (!this.isAudioPlaying && !this.transitionToRestingFace) {
-                        clearInterval(checkInterval);
-                        clearTimeout(safetyTimeout);
-                        resolve();
+            const checkInterval = setInterval(() => {
+                if (!this.isAudioPlaying && !this.transitionToRestingFace) {
+                    clearInterval(checkInterval);
+                    clearTimeout(safetyTimeout);
+                    resolve();
                 }
-                }, 100);
-            });
+            }, 100);
+        });
+    }
+
+    // Play any audio file with a timeline saved by exportTimeline or made in another lip sync tool
+    // (Rhubarb, Papagayo, MOHO, Oculus CSV); the format is detected unless given
+    async playTimelineFile(content, url, { format = null, fileName = '' } = {}) {
+        if (!this.morphTargetMesh) return;
+
+        try {
+            this.stopCurrentPlayback();
+            
+            const audioDuration = await this.getAudioDuration(url);
+            const visemeTimeline = this.timelineSerializer.import(content, format, { fileName, duration: audioDuration });
+            const timelineEnd = this.timelineSerializer.getDuration(visemeTimeline);
+            
+            return await this.playVisemeTimeline(visemeTimeline, url, Math.max(audioDuration, timelineEnd));
         } catch (error) {
-            console.error('Error in speech response:', error);
+            console.error('Error playing imported timeline:', error);
             this.isAudioPlaying = false;
             throw error;
         }
     }
 
+    // Serialize the last played timeline, e.g. exportTimeline('rhubarb-tsv')
+    exportTimeline(format = 'json', options = {}) {
+        if (!this.lastVisemeTimeline) {
+            console.warn('No viseme timeline to export yet');
+            return null;
+        }
+        return this.timelineSerializer.export(this.lastVisemeTimeline, format, options);
+    }
+
+    // Read an audio file's duration from its metadata, 0 if it can't be loaded
+    getAudioDuration(url) {
+        return new Promise((resolve) => {
+            const audio = new Audio();
+            audio.preload = 'metadata';
+            audio.addEventListener('loadedmetadata', () => resolve(isFinite(audio.duration) ? audio.duration : 0), { once: true });
+            audio.addEventListener('error', () => resolve(0), { once: true });
+            audio.src = url;
+        });
+    }
+
+    // Play audio while animating the given viseme timeline (and the reply's emotion track, if any)
+    // Resolves when playback is complete and the face is back at rest
+    async playVisemeTimeline(visemeTimeline, url, duration, emotionTrack = null) {
+        this.currentVisemeTimeline = visemeTimeline;
+        this.emotionTrack = emotionTrack;
+        this.activeTrackEntry = null;
+        this.lastVisemeTimeline = visemeTimeline;
+        this.prosodyCues = this.phonemeLipSync.getProsodyCues(visemeTimeline);
+        this.headMotion.setTimeline(visemeTimeline);
+        
+        // Log the timeline for debugging
+        console.log('Viseme timeline created with', this.currentVisemeTimeline.length, 'visemes');
+        if (this.currentVisemeTimeline.length > 0) {
+            const lastViseme = this.currentVisemeTimeline[this.currentVisemeTimeline.length - 1];
+            console.log('Last viseme ends at', lastViseme.endTime, 'audio duration is', duration);
+        }
+        
+        let playbackStarted = false;
+        let cleanupDone = false;
+        
+        // Function to clean up resources when audio is done
+        const cleanupAudio = () => {
+            if (cleanupDone) return;
+            cleanupDone = true;
+            
+            console.log('Audio playback completed, cleaning up resources');
+            this.isAudioPlaying = false;
+            this.currentVisemeTimeline = null;
+            
+            // Start transition to resting face
+            this.transitionToRestingFace = true;
+            this.transitionStartTime = null; // Will be set in the transition method
+            
+            // Note: We're now NOT revoking the URL to avoid issues with reuse
+            // URL.revokeObjectURL(url);
+        };
+        
+        // Prepare audio playback
+        let audioElement;
+        try {
+            // Create a new audio element with precise event listeners
+            audioElement = new Audio(url);
+            
+            // Set up event listeners before playback begins
+            audioElement.addEventListener('play', () => {
+                console.log('Audio playback started');
+                // Start animation precisely when audio starts
+        this.isAudioPlaying = true;
+        this.audioStartTime = performance.now();
+            });
+            
+            audioElement.addEventListener('ended', () => {
+                console.log('Audio playback ended');
+                this.isAudioPlaying = false;
+                cleanupAudio();
+            });
+            
+            // Set up error handling
+            audioElement.addEventListener('error', (e) => {
+                console.error('Audio playback error:', e);
+                this.isAudioPlaying = false;
+                cleanupAudio();
+            });
+            
+            // Start playback
+            const playPromise = audioElement.play();
+            if (playPromise !== undefined) {
+                await playPromise;
+                playbackStarted = true;
+            }
+        } catch (audioError) {
+            console.error('Error with direct audio playback:', audioError);
+            
+            // Fall back to AudioManager if direct approach fails
+            try {
+                playbackStarted = await this.audioManager.playAudio(url);
+                console.log('AudioManager playback started:', playbackStarted);
+                
+                // Start animation now that audio has started
+                if (playbackStarted) {
+                    this.isAudioPlaying = true;
+                    this.audioStartTime = performance.now();
+                }
+            } catch (managerError) {
+                console.error('All audio playback methods failed:', managerError);
+                playbackStarted = false;
+            }
+        }
+        
+        if (!playbackStarted) {
+            console.error('Unable to start audio playback through any method');
+            cleanupAudio();
+            return;
+        }
+        
+        // Set a safety timeout based on the expected audio duration
+        const timeoutDuration = (duration * 1000) + 500; // Add 500ms buffer
+        const safetyTimeout = setTimeout(() => {
+            if (this.isAudioPlaying) {
+                console.log('Safety timeout reached, forcing cleanup');
+                    this.isAudioPlaying = false;
+                cleanupAudio();
+            }
+        }, timeoutDuration);
+        
+        // Return a promise that resolves when audio playback is complete
+        return new Promise((resolve) => {
+            const checkInterval = setInterval(() => {
+                if (!this.isAudioPlaying && !this.transitionToRestingFace) {
+                    clearInterval(checkInterval);
+                    clearTimeout(safetyTimeout);
+                    resolve();
+            }
+            }, 100);
+        });
+    }
+
     // Reset the model to its original state without any morphs but keep original animation
     resetModelToOriginal() {
         // Stub method retained for compatibility
@@ -1496,6 +1952,7 @@ class FacialAnimationSystem {
 - Focus on the most essential insight or question in each response
 - Use brief but impactful language that resonates emotionally
 - When suggesting techniques, provide just one clear, actionable step
+- You may start a sentence with a tag such as [emotion: concerned] or [emotion: happy 0.5] to set your facial expression while you say it; use only happy, sad, concerned, thoughtful, surprised or neutral, and leave it out when unsure
 
 Always prioritize the user's wellbeing, maintain appropriate boundaries, and encourage professional help when needed. Respond to the following input from a client: "${userInput}"`;
 
@@ -1550,7 +2007,6 @@ Always prioritize the user's wellbeing, maintain appropriate boundaries, and enc
                 this.recognition = new webkitSpeechRecognition();
                 this.recognition.continuous = false;
                 this.recognition.interimResults = true;
-                this.recognition.lang = 'en-US';
                 this.recognition.maxAlternatives = 3;
                 
                 this.recognition.onresult = (event) => {
@@ -1577,8 +2033,9 @@ Always prioritize the user's wellbeing, maintain appropriate boundaries, and enc
                 };
             }
             
-            // Reset and start
+            // Reset and start, listening in the current lip sync language
             this.recognitionResult = null;
+            this.recognition.lang = this.phonemeLipSync.getLanguagePack().speechRecognitionLang;
             
             try {
                 this.recognition.start();
@@ -2,15 +2,29 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
 import * as SkeletonUtils from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { AnimationStateMachine } from './animationStateMachine';
+
+// Body animation states; each uses the clip with the same name if the model has one,
+// otherwise the model's default clip
+const BODY_STATES = ['idle', 'talking', 'listening', 'thinking'];
+const DEFAULT_CLIP = 'avaturn_animation';
+
+// Rig prefixes stripped from clip bone names before matching them to the avatar's bones
+// (Mixamo FBX files name them mixamorigHips or mixamorig:Hips)
+const RIG_PREFIX = /^mixamorig[:_]?/i;
 
 export class ModelLoader {
     constructor() {
         this.loader = new GLTFLoader();
         this.fbxLoader = new FBXLoader();
         this.mixer = null;
+        this.stateMachine = null;
         this.animations = {};
         this.model = null;
         this.animationModel = null;
+        
+        // Clip bone name -> avatar bone name, for bones that don't match after the rig prefix is stripped
+        this.boneNameMap = {};
     }
 
     async loadModel(url) {
@@ -36,38 +50,14 @@ export class ModelLoader {
                             console.log('Created animation mixer for model');
                         }
                         
-                        // Store and play the original animations
+                        // Store the original animations
                         gltf.animations.forEach((clip, index) => {
                             const name = clip.name || `animation_${index}`;
                             this.animations[name] = clip;
                             console.log(`Model animation "${name}" found with duration: ${clip.duration}s`);
-                            
-                            // Configure the animation for smooth looping
-                            const action = this.mixer.clipAction(clip);
-                            
-                            // Settings for natural animation
-                            action.setLoop(THREE.LoopRepeat);
-                            action.clampWhenFinished = false;
-                            
-                            // For Avaturn animations, ensure they play properly
-                            if (name === 'avaturn_animation') {
-                                // Make sure we don't crossfade with other animations
-                                action.weight = 1;
-                                
-                                // Reset animation time to start
-                                action.time = 0;
-                                
-                                // Ensure smooth looping for the animation
-                                action.timeScale = 1.0;
-                                
-                                // Slightly longer blend time for smoother transitions
-                                action.fadeIn(0.3);
-                            }
-                            
-                            // Play the animation
-                            action.play();
-                            console.log(`Playing model animation: ${name}`);
                         });
+                        
+                        this.setupStateMachine();
                     }
                     
                     resolve(model);
@@ -84,6 +74,145 @@ export class ModelLoader {
         });
     }
     
+    setBoneNameMap(boneNameMap) {
+        this.boneNameMap = { ...boneNameMap };
+    }
+    
+    // Load body animation clips from an FBX (Mixamo) or GLB file and retarget them onto the
+    // avatar's skeleton. The clips are registered in this.animations under the given name
+    // (name_clipName if the file has several) and become a body state if the name is one,
+    // otherwise a gesture. Options: name, boneMap (clip bone -> avatar bone, on top of
+    // this.boneNameMap), fps and keepHipPosition (off keeps the avatar in place)
+    async loadAnimation(url, { name = null, boneMap = {}, fps = 30, keepHipPosition = false } = {}) {
+        const target = this.findSkinnedMesh(this.model);
+        if (!target) {
+            throw new Error('Load an avatar with a skeleton before loading animations for it');
+        }
+        
+        const isFBX = /\.fbx$/i.test(url.split('?')[0]);
+        const loaded = await new Promise((resolve, reject) => {
+            (isFBX ? this.fbxLoader : this.loader).load(url, resolve, undefined, reject);
+        });
+        const source = isFBX ? loaded : loaded.scene;
+        const clips = loaded.animations || [];
+        if (clips.length === 0) {
+            throw new Error(`No animations found in ${url}`);
+        }
+        
+        const sourceSkeleton = this.getSkeleton(source);
+        if (!sourceSkeleton) {
+            throw new Error(`No skeleton found in ${url}`);
+        }
+        
+        // SkeletonUtils plays the clip on the source; with the skeleton on the file's root,
+        // the bones update as part of its hierarchy
+        source.skeleton = sourceSkeleton;
+        this.animationModel = source;
+        
+        const names = this.getRetargetNames(target.skeleton, sourceSkeleton, { ...this.boneNameMap, ...boneMap });
+        const hips = target.skeleton.bones.find(bone => /hips$/i.test(bone.name));
+        const baseName = name || url.split('/').pop().replace(/\.[^.]+$/, '');
+        
+        const retargeted = clips.map((clip, index) => {
+            const clipName = clips.length === 1 ? baseName : `${baseName}_${clip.name || index}`;
+            const result = this.retargetClip(target, source, clip, {
+                names,
+                hip: hips ? names[hips.name] : undefined,
+                fps,
+                keepHipPosition
+            });
+            result.name = clipName;
+            this.registerAnimation(clipName, result);
+            return result;
+        });
+        
+        console.log(`Retargeted ${retargeted.length} animation(s) from ${url}: ${retargeted.map(clip => clip.name).join(', ')}`);
+        return retargeted;
+    }
+    
+    // Avatar bone name -> clip bone name, as SkeletonUtils expects it
+    getRetargetNames(targetSkeleton, sourceSkeleton, boneMap) {
+        const targetBones = new Map(targetSkeleton.bones.map(bone => [bone.name.toLowerCase(), bone.name]));
+        const names = {};
+        
+        for (const bone of sourceSkeleton.bones) {
+            const mapped = boneMap[bone.name] || bone.name.replace(RIG_PREFIX, '');
+            const targetName = targetBones.get(mapped.toLowerCase());
+            if (targetName) {
+                names[targetName] = bone.name;
+            }
+        }
+        
+        const unmatched = targetSkeleton.bones.filter(bone => !names[bone.name]).map(bone => bone.name);
+        if (unmatched.length > 0) {
+            console.warn(`Avatar bones without a match in the animation (left as they are): ${unmatched.join(', ')}`);
+        }
+        return names;
+    }
+    
+    retargetClip(target, source, clip, { names, hip, fps, keepHipPosition }) {
+        // Retargeting poses the avatar's bones frame by frame, so their pose is put back afterwards
+        const restPose = target.skeleton.bones.map(bone => [bone.position.clone(), bone.quaternion.clone(), bone.scale.clone()]);
+        
+        const result = SkeletonUtils.retargetClip(target, source, clip, { names, hip, fps });
+        
+        target.skeleton.bones.forEach((bone, index) => {
+            const [position, quaternion, scale] = restPose[index];
+            bone.position.copy(position);
+            bone.quaternion.copy(quaternion);
+            bone.scale.copy(scale);
+        });
+        
+        // The tracks come out as .bones[Name].property, which only binds on the skinned mesh;
+        // naming the bone itself lets the model's mixer play them
+        result.tracks = result.tracks
+            .filter(track => keepHipPosition || !track.name.endsWith('.position'))
+            .map(track => {
+                track.name = track.name.replace(/^\.bones\[(.+)\]\./, '$1.');
+                return track;
+            });
+        result.resetDuration();
+        return result;
+    }
+    
+    // Add a clip to this.animations; body state clips replace the state's clip, other clips
+    // become gestures
+    registerAnimation(name, clip) {
+        this.animations[name] = clip;
+        if (!this.stateMachine) return;
+        
+        if (BODY_STATES.includes(name)) {
+            this.stateMachine.addState(name, clip);
+        } else {
+            this.stateMachine.addGesture(name, clip);
+        }
+    }
+    
+    // The skinned mesh with the most bones
+    findSkinnedMesh(model) {
+        let skinnedMesh = null;
+        if (!model) return skinnedMesh;
+        
+        model.traverse(node => {
+            if (node.isSkinnedMesh && (!skinnedMesh || node.skeleton.bones.length > skinnedMesh.skeleton.bones.length)) {
+                skinnedMesh = node;
+            }
+        });
+        return skinnedMesh;
+    }
+    
+    // Skeleton of a loaded file: its skinned mesh's, or one built from its bones (animation-only FBX files)
+    getSkeleton(root) {
+        const skinnedMesh = this.findSkinnedMesh(root);
+        if (skinnedMesh) return skinnedMesh.skeleton;
+        
+        const bones = [];
+        root.traverse(node => {
+            if (node.isBone) bones.push(node);
+        });
+        return bones.length > 0 ? new THREE.Skeleton(bones) : null;
+    }
+    
     // Basic material setup without modifications
     setupModelMaterials(model) {
         model.traverse((node) => {
@@ -150,12 +279,46 @@ export class ModelLoader {
         return targetMesh;
     }
     
+    // One state per body state, and every other clip as an additive gesture; starts in idle
+    setupStateMachine() {
+        const machine = new AnimationStateMachine(this.mixer);
+        const names = Object.keys(this.animations);
+        const defaultClip = this.animations[DEFAULT_CLIP] || this.animations[names[0]];
+        
+        for (const state of BODY_STATES) {
+            const clipName = names.find(name => name.toLowerCase() === state);
+            machine.addState(state, clipName ? this.animations[clipName] : defaultClip);
+        }
+        
+        // Settle slowly after speaking, get going quickly when speech starts
+        machine.addTransition('*', 'talking', 0.4);
+        machine.addTransition('talking', '*', 0.8);
+        machine.addTransition('*', 'listening', 0.5);
+        
+        const stateClips = BODY_STATES.map(state => machine.states[state].clip);
+        for (const name of names) {
+            if (!stateClips.includes(this.animations[name])) {
+                machine.addGesture(name, this.animations[name]);
+            }
+        }
+        
+        machine.setState('idle');
+        this.stateMachine = machine;
+        console.log(`Body animation states: ${BODY_STATES.join(', ')}; gestures: ${Object.keys(machine.gestures).join(', ') || 'none'}`);
+    }
+    
     getMixer() {
         return this.mixer;
     }
     
+    getStateMachine() {
+        return this.stateMachine;
+    }
+    
     updateMixer(deltaTime) {
-        if (this.mixer) {
+        if (this.stateMachine) {
+            this.stateMachine.update(deltaTime);
+        } else if (this.mixer) {
             this.mixer.update(deltaTime);
         }
     }
@@ -0,0 +1,167 @@
+// Settings panel for the user pronunciation overrides
+// Lists the overrides, adds/removes entries and imports/exports them as JSON
+
+export class PronunciationPanel {
+    constructor(overrides) {
+        this.overrides = overrides;
+        this.isOpen = false;
+
+        this.createElements();
+        this.render();
+    }
+
+    createElements() {
+        // Toggle button in the chat header
+        this.toggleButton = document.createElement('button');
+        this.toggleButton.id = 'pronunciation-toggle';
+        this.toggleButton.textContent = 'Pronunciations';
+        this.toggleButton.title = 'Edit how names and terms are pronounced';
+        this.toggleButton.addEventListener('click', () => this.toggle());
+
+        const header = document.querySelector('#chat-container .chat-header');
+        if (header) header.appendChild(this.toggleButton);
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'pronunciation-panel';
+        this.panel.style.display = 'none';
+        this.panel.innerHTML = `
+            <div class="pronunciation-header">
+                <h3>Pronunciations</h3>
+                <button class="pronunciation-close" title="Close">&times;</button>
+            </div>
+            <p class="pronunciation-hint">
+                Words are spelled in ARPAbet with stress digits, e.g. sertraline = S ER1 T R AH0 L IY2 N
+            </p>
+            <form class="pronunciation-form">
+                <input class="pronunciation-word" type="text" placeholder="Word" autocomplete="off">
+                <input class="pronunciation-arpabet" type="text" placeholder="ARPAbet" autocomplete="off">
+                <button type="submit">Add</button>
+            </form>
+            <div class="pronunciation-status"></div>
+            <ul class="pronunciation-list"></ul>
+            <div class="pronunciation-actions">
+                <button class="pronunciation-import">Import JSON</button>
+                <button class="pronunciation-export">Export JSON</button>
+                <input class="pronunciation-file" type="file" accept="application/json,.json" style="display: none">
+            </div>
+        `;
+
+        const container = document.getElementById('chat-container') || document.body;
+        container.appendChild(this.panel);
+
+        this.form = this.panel.querySelector('.pronunciation-form');
+        this.wordInput = this.panel.querySelector('.pronunciation-word');
+        this.arpabetInput = this.panel.querySelector('.pronunciation-arpabet');
+        this.status = this.panel.querySelector('.pronunciation-status');
+        this.list = this.panel.querySelector('.pronunciation-list');
+        this.fileInput = this.panel.querySelector('.pronunciation-file');
+
+        this.panel.querySelector('.pronunciation-close').addEventListener('click', () => this.toggle(false));
+        this.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.addEntry();
+        });
+        this.panel.querySelector('.pronunciation-import').addEventListener('click', () => this.fileInput.click());
+        this.panel.querySelector('.pronunciation-export').addEventListener('click', () => this.exportEntries());
+        this.fileInput.addEventListener('change', () => this.importEntries());
+    }
+
+    toggle(open = !this.isOpen) {
+        this.isOpen = open;
+        this.panel.style.display = open ? 'flex' : 'none';
+        if (open) {
+            this.render();
+            this.wordInput.focus();
+        }
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        const entries = this.overrides.getAll();
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'pronunciation-empty';
+            empty.textContent = 'No pronunciations yet';
+            this.list.appendChild(empty);
+            return;
+        }
+
+        for (const { word, pronunciation } of entries) {
+            const item = document.createElement('li');
+
+            const wordLabel = document.createElement('span');
+            wordLabel.className = 'pronunciation-entry-word';
+            wordLabel.textContent = word;
+
+            const pronunciationLabel = document.createElement('span');
+            pronunciationLabel.className = 'pronunciation-entry-arpabet';
+            pronunciationLabel.textContent = pronunciation;
+
+            // Clicking an entry loads it into the form for editing
+            item.addEventListener('click', () => {
+                this.wordInput.value = word;
+                this.arpabetInput.value = pronunciation;
+                this.arpabetInput.focus();
+            });
+
+            const removeButton = document.createElement('button');
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.overrides.remove(word);
+                this.showStatus(`Removed "${word}"`);
+                this.render();
+            });
+
+            item.append(wordLabel, pronunciationLabel, removeButton);
+            this.list.appendChild(item);
+        }
+    }
+
+    addEntry() {
+        try {
+            this.overrides.set(this.wordInput.value, this.arpabetInput.value);
+            this.showStatus(`Saved "${this.wordInput.value.trim()}"`);
+            this.wordInput.value = '';
+            this.arpabetInput.value = '';
+            this.wordInput.focus();
+            this.render();
+        } catch (error) {
+            this.showStatus(error.message, true);
+        }
+    }
+
+    exportEntries() {
+        const blob = new Blob([this.overrides.toJSON()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'pronunciations.json';
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async importEntries() {
+        const file = this.fileInput.files[0];
+        if (!file) return;
+
+        try {
+            const count = this.overrides.importJSON(await file.text());
+            this.showStatus(`Imported ${count} pronunciation${count === 1 ? '' : 's'}`);
+            this.render();
+        } catch (error) {
+            console.error('Failed to import pronunciations:', error);
+            this.showStatus('Not a valid pronunciation file', true);
+        } finally {
+            this.fileInput.value = '';
+        }
+    }
+
+    showStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -0,0 +1,88 @@
+// Builds visemes out of the 52 ARKit blendshapes for avatars that have no viseme_* morphs
+//
+// Each viseme is a recipe of ARKit shapes at full strength. Lip sync weights are blended
+// per viseme first and converted afterwards, so coarticulation works the same either way.
+class ARKitVisemeMapper {
+    constructor() {
+        this.shapes = {
+            'viseme_sil': {},
+            'viseme_PP': {
+                mouthClose: 0.2, mouthPressLeft: 0.5, mouthPressRight: 0.5,
+                mouthRollUpper: 0.3, mouthRollLower: 0.3
+            },
+            'viseme_FF': {
+                jawOpen: 0.1, mouthRollLower: 0.6, mouthUpperUpLeft: 0.2, mouthUpperUpRight: 0.2
+            },
+            'viseme_TH': {
+                jawOpen: 0.2, mouthRollLower: 0.2, tongueOut: 0.4
+            },
+            'viseme_DD': {
+                jawOpen: 0.25, mouthStretchLeft: 0.15, mouthStretchRight: 0.15
+            },
+            'viseme_kk': {
+                jawOpen: 0.3, mouthStretchLeft: 0.1, mouthStretchRight: 0.1
+            },
+            'viseme_CH': {
+                jawOpen: 0.15, mouthFunnel: 0.5, mouthPucker: 0.3
+            },
+            'viseme_SS': {
+                jawOpen: 0.1, mouthStretchLeft: 0.35, mouthStretchRight: 0.35,
+                mouthSmileLeft: 0.1, mouthSmileRight: 0.1
+            },
+            'viseme_nn': {
+                jawOpen: 0.2, mouthStretchLeft: 0.1, mouthStretchRight: 0.1
+            },
+            'viseme_RR': {
+                jawOpen: 0.2, mouthFunnel: 0.3, mouthPucker: 0.2
+            },
+            'viseme_aa': {
+                jawOpen: 0.7, mouthLowerDownLeft: 0.2, mouthLowerDownRight: 0.2
+            },
+            'viseme_E': {
+                jawOpen: 0.4, mouthStretchLeft: 0.35, mouthStretchRight: 0.35,
+                mouthSmileLeft: 0.1, mouthSmileRight: 0.1
+            },
+            'viseme_I': {
+                jawOpen: 0.25, mouthSmileLeft: 0.4, mouthSmileRight: 0.4,
+                mouthStretchLeft: 0.2, mouthStretchRight: 0.2
+            },
+            'viseme_O': {
+                jawOpen: 0.45, mouthFunnel: 0.6, mouthPucker: 0.2
+            },
+            'viseme_U': {
+                jawOpen: 0.2, mouthPucker: 0.75, mouthFunnel: 0.3
+            }
+        };
+    }
+
+    // True when a mesh has ARKit mouth shapes to fall back on but no viseme morphs
+    shouldMap(morphNames) {
+        const hasVisemes = morphNames.some(name => name.startsWith('viseme_'));
+        const hasARKit = morphNames.includes('jawOpen') && morphNames.includes('mouthFunnel');
+        return !hasVisemes && hasARKit;
+    }
+
+    // Replace the viseme_* weights with ARKit shapes, added onto the ARKit weights already there
+    mapWeights(weights) {
+        const mapped = {};
+
+        for (const [morph, weight] of Object.entries(weights)) {
+            const recipe = this.shapes[morph];
+            if (!recipe) {
+                mapped[morph] = (mapped[morph] || 0) + weight;
+                continue;
+            }
+
+            for (const [shape, amount] of Object.entries(recipe)) {
+                mapped[shape] = (mapped[shape] || 0) + weight * amount;
+            }
+        }
+
+        for (const morph of Object.keys(mapped)) {
+            mapped[morph] = Math.min(1, mapped[morph]);
+        }
+        return mapped;
+    }
+}
+
+export default ARKitVisemeMapper;
@@ -0,0 +1,329 @@
+// In-place radix-2 FFT, real and imaginary parts in separate arrays (length must be a power of two)
+function fft(re, im) {
+    const n = re.length;
+
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+}
+
+// Lip sync straight from the audio signal, for clips that come without a transcript
+// Each 10ms frame is classified from its loudness, spectral centroid, zero crossing rate
+// and rough formant (F1/F2) estimates, and the frames are merged into a viseme timeline
+// in the same format the text path produces
+class AudioVisemeAnalyzer {
+    constructor() {
+        this.frameSize = 1024;          // Samples per analysis window (power of two)
+        this.hopDuration = 0.01;        // 10ms between frames
+
+        // Classification thresholds
+        this.silenceThreshold = 0.06;   // Energy relative to the loudest frame
+        this.weakThreshold = 0.15;      // Below this voiced frames are nasals or closures
+        this.sibilantCentroid = 3500;   // Hz - "s", "sh", "z"
+        this.sibilantCrossingRate = 0.3;
+        this.fricativeCentroid = 2500;  // Hz - "f", "v", "th"
+        this.fricativeEnergy = 0.3;
+
+        // Formant search ranges in Hz
+        this.f1Range = [250, 1000];
+        this.f2Range = [900, 3000];
+        this.formantSmoothing = 200;    // Hz - width of the spectral envelope smoothing
+
+        // Segments shorter than this are merged into their neighbour
+        this.minSegmentDuration = 0.06;
+        // Short silences between sounds are stop closures (lips or tongue), not pauses
+        this.maxClosureDuration = 0.08;
+
+        // Representative phoneme for each viseme, so entries look like the text timeline
+        this.visemePhonemes = {
+            'viseme_sil': 'sil', 'viseme_PP': 'P', 'viseme_FF': 'F', 'viseme_TH': 'TH',
+            'viseme_DD': 'D', 'viseme_kk': 'K', 'viseme_CH': 'CH', 'viseme_SS': 'S',
+            'viseme_nn': 'N', 'viseme_RR': 'R', 'viseme_aa': 'AA', 'viseme_E': 'EH',
+            'viseme_I': 'IY', 'viseme_O': 'OW', 'viseme_U': 'UW'
+        };
+
+        // Live analysis state
+        this.liveTimeline = [];
+        this.livePeakEnergy = 0;
+        this.livePeakTimeConstant = 16;  // Seconds for the peak to fall to 1/e, so the level adapts to quieter clips
+        this.liveLastTime = 0;
+    }
+
+    // Analyze a decoded AudioBuffer into a viseme timeline
+    analyzeBuffer(audioBuffer) {
+        // Mix down to mono
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return this.analyzeSamples(samples, audioBuffer.sampleRate);
+    }
+
+    // Analyze mono PCM samples into a viseme timeline
+    analyzeSamples(samples, sampleRate) {
+        const hop = Math.max(1, Math.round(this.hopDuration * sampleRate));
+        const window = this.hannWindow(this.frameSize);
+        const re = new Float32Array(this.frameSize);
+        const im = new Float32Array(this.frameSize);
+        const binHz = sampleRate / this.frameSize;
+
+        const frames = [];
+        for (let start = 0; start < samples.length; start += hop) {
+            re.fill(0);
+            im.fill(0);
+            const frame = samples.subarray(start, start + this.frameSize);
+            for (let i = 0; i < frame.length; i++) {
+                re[i] = frame[i] * window[i];
+            }
+            fft(re, im);
+
+            const magnitudes = new Float32Array(this.frameSize / 2);
+            for (let k = 0; k < magnitudes.length; k++) {
+                magnitudes[k] = Math.hypot(re[k], im[k]);
+            }
+
+            frames.push({
+                energy: this.rms(frame),
+                zeroCrossingRate: this.zeroCrossingRate(frame),
+                ...this.spectralFeatures(magnitudes, binHz)
+            });
+        }
+
+        // Classify against the loudest frame so the level of the recording doesn't matter
+        const peakEnergy = frames.reduce((max, f) => Math.max(max, f.energy), 0) || 1;
+        const classified = frames.map(features => ({
+            viseme: this.classifyFrame(features, features.energy / peakEnergy),
+            energy: features.energy / peakEnergy
+        }));
+
+        return this.buildTimeline(classified, hop / sampleRate);
+    }
+
+    // Reset live analysis before a new clip starts
+    startLive() {
+        this.liveTimeline = [];
+        this.livePeakEnergy = 0;
+        this.liveLastTime = 0;
+        return this.liveTimeline;
+    }
+
+    // Read one frame from a live AnalyserNode and extend the live timeline up to `time`
+    // Returns the live timeline, which grows as the clip plays
+    updateLive(analyser, time) {
+        if (!analyser) return this.liveTimeline;
+
+        const timeData = new Float32Array(analyser.fftSize);
+        const frequencyData = new Float32Array(analyser.frequencyBinCount);
+        analyser.getFloatTimeDomainData(timeData);
+        analyser.getFloatFrequencyData(frequencyData);
+
+        // The analyser reports decibels
+        const magnitudes = frequencyData.map(db => Math.pow(10, db / 20));
+        const binHz = analyser.context.sampleRate / analyser.fftSize;
+
+        const features = {
+            energy: this.rms(timeData),
+            zeroCrossingRate: this.zeroCrossingRate(timeData),
+            ...this.spectralFeatures(magnitudes, binHz)
+        };
+
+        // Decay by the time since the last frame, so the frame rate doesn't change how fast it adapts
+        const delta = Math.max(0, time - this.liveLastTime);
+        this.liveLastTime = time;
+        const decay = Math.exp(-delta / this.livePeakTimeConstant);
+        this.livePeakEnergy = Math.max(features.energy, this.livePeakEnergy * decay);
+        const relativeEnergy = this.livePeakEnergy > 0 ? features.energy / this.livePeakEnergy : 0;
+        const viseme = this.classifyFrame(features, relativeEnergy);
+
+        // Extend the current entry while the viseme holds, otherwise start a new one
+        const last = this.liveTimeline[this.liveTimeline.length - 1];
+        if (last && last.viseme === viseme) {
+            last.endTime = time;
+            last.duration = last.endTime - last.startTime;
+        } else {
+            const startTime = last ? last.endTime : 0;
+            this.liveTimeline.push(this.createEntry(viseme, startTime, Math.max(time, startTime), relativeEnergy));
+        }
+
+        return this.liveTimeline;
+    }
+
+    // Spectral centroid and F1/F2 estimates from a magnitude spectrum
+    spectralFeatures(magnitudes, binHz) {
+        let weighted = 0;
+        let total = 0;
+        for (let k = 0; k < magnitudes.length; k++) {
+            weighted += k * binHz * magnitudes[k];
+            total += magnitudes[k];
+        }
+        const centroid = total > 0 ? weighted / total : 0;
+
+        // Smooth the spectrum into an envelope so harmonics don't look like formants
+        const radius = Math.max(1, Math.round(this.formantSmoothing / binHz / 2));
+        const envelope = new Float32Array(magnitudes.length);
+        for (let k = 0; k < magnitudes.length; k++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, k - radius); j <= Math.min(magnitudes.length - 1, k + radius); j++) {
+                sum += magnitudes[j];
+                count++;
+            }
+            envelope[k] = sum / count;
+        }
+
+        const f1 = this.findPeak(envelope, binHz, this.f1Range[0], this.f1Range[1]);
+        const f2 = this.findPeak(envelope, binHz, Math.max(this.f2Range[0], f1 + 200), this.f2Range[1]);
+
+        return { centroid, f1, f2 };
+    }
+
+    // Frequency of the strongest envelope bin within a range
+    findPeak(envelope, binHz, minHz, maxHz) {
+        const from = Math.max(0, Math.floor(minHz / binHz));
+        const to = Math.min(envelope.length - 1, Math.ceil(maxHz / binHz));
+
+        let peak = from;
+        for (let k = from; k <= to; k++) {
+            if (envelope[k] > envelope[peak]) peak = k;
+        }
+        return peak * binHz;
+    }
+
+    // Pick a viseme for one frame
+    classifyFrame(features, relativeEnergy) {
+        if (relativeEnergy < this.silenceThreshold) return 'viseme_sil';
+
+        // Hissing noise: high centroid and lots of zero crossings
+        if (features.centroid > this.sibilantCentroid && features.zeroCrossingRate > this.sibilantCrossingRate) {
+            return 'viseme_SS';
+        }
+        // Weaker, flatter noise
+        if (features.centroid > this.fricativeCentroid && relativeEnergy < this.fricativeEnergy) {
+            return 'viseme_FF';
+        }
+        // Quiet, low frequency murmur through the nose
+        if (relativeEnergy < this.weakThreshold) {
+            return features.centroid < 1000 ? 'viseme_nn' : 'viseme_DD';
+        }
+
+        // Voiced: place the vowel from its first two formants
+        // F1 rises as the jaw opens, F2 falls as the lips round and the tongue moves back
+        const { f1, f2 } = features;
+        if (f1 > 700) return 'viseme_aa';
+        if (f2 < 1100) return f1 < 450 ? 'viseme_U' : 'viseme_O';
+        if (f2 > 1900) return f1 < 450 ? 'viseme_I' : 'viseme_E';
+        return f1 > 550 ? 'viseme_aa' : 'viseme_E';
+    }
+
+    // Merge per-frame visemes into timeline entries
+    buildTimeline(frames, frameDuration) {
+        const segments = [];
+        frames.forEach((frame, i) => {
+            const last = segments[segments.length - 1];
+            if (last && last.viseme === frame.viseme) {
+                last.frames++;
+                last.energy += frame.energy;
+            } else {
+                segments.push({ viseme: frame.viseme, start: i, frames: 1, energy: frame.energy });
+            }
+        });
+
+        // Short silences between sounds are closures - the lips meet for "p", "b", "m"
+        const maxClosureFrames = this.maxClosureDuration / frameDuration;
+        segments.forEach((segment, i) => {
+            if (segment.viseme === 'viseme_sil' && i > 0 && i < segments.length - 1 && segment.frames <= maxClosureFrames) {
+                segment.viseme = 'viseme_PP';
+            }
+        });
+
+        // Fold segments that are too short to see into the one before them
+        // (closures are brief by nature and are kept)
+        const minFrames = this.minSegmentDuration / frameDuration;
+        const merged = [];
+        for (const segment of segments) {
+            const last = merged[merged.length - 1];
+            const tooShort = segment.frames < minFrames && segment.viseme !== 'viseme_PP';
+            if (last && (tooShort || last.viseme === segment.viseme)) {
+                last.frames += segment.frames;
+                last.energy += segment.energy;
+            } else {
+                merged.push({ ...segment });
+            }
+        }
+
+        return merged.map(segment => {
+            const startTime = segment.start * frameDuration;
+            const endTime = startTime + segment.frames * frameDuration;
+            return this.createEntry(segment.viseme, startTime, endTime, segment.energy / segment.frames);
+        });
+    }
+
+    // Timeline entry in the text path's format; loud vowels count as stressed
+    createEntry(viseme, startTime, endTime, relativeEnergy) {
+        const entry = {
+            phoneme: this.visemePhonemes[viseme],
+            viseme,
+            duration: endTime - startTime,
+            startTime,
+            endTime
+        };
+
+        if (/viseme_(aa|E|I|O|U)$/.test(viseme)) {
+            entry.stress = relativeEnergy > 0.6 ? 'primary' : relativeEnergy > 0.3 ? 'secondary' : 'unstressed';
+        }
+
+        return entry;
+    }
+
+    rms(samples) {
+        let sum = 0;
+        for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+        return samples.length > 0 ? Math.sqrt(sum / samples.length) : 0;
+    }
+
+    zeroCrossingRate(samples) {
+        let crossings = 0;
+        for (let i = 1; i < samples.length; i++) {
+            if ((samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+        }
+        return samples.length > 1 ? crossings / (samples.length - 1) : 0;
+    }
+
+    hannWindow(size) {
+        const window = new Float32Array(size);
+        for (let i = 0; i < size; i++) {
+            window[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / (size - 1)));
+        }
+        return window;
+    }
+}
+
+export default AudioVisemeAnalyzer;
@@ -0,0 +1,108 @@
+// Cohen–Massaro coarticulation: every timeline segment exerts a "dominance" over each
+// morph that peaks during the segment and decays exponentially before (anticipation)
+// and after it (carryover). The morph weight at time t is the dominance-weighted
+// average of the segment targets:
+//
+//   D(t) = magnitude * exp(-rate * distance^exponent)
+//   weight(t) = sum(D * target) / sum(D)
+//
+// Because it is evaluated from the timeline at any t, the result doesn't depend on the frame rate
+class CoarticulationModel {
+    constructor() {
+        // Dominance shape per viseme: peak magnitude and decay rates (per second)
+        // Lip closures and lip-teeth contacts have to be reached, so they dominate strongly
+        // but briefly; vowels are weaker and blend further into their neighbours
+        this.dominance = {
+            'viseme_sil': { magnitude: 0.3, anticipation: 15, carryover: 15 },
+            'viseme_PP': { magnitude: 1.0, anticipation: 40, carryover: 40 },
+            'viseme_FF': { magnitude: 1.0, anticipation: 40, carryover: 40 },
+            'viseme_TH': { magnitude: 0.8, anticipation: 35, carryover: 35 },
+            'viseme_DD': { magnitude: 0.6, anticipation: 30, carryover: 30 },
+            'viseme_kk': { magnitude: 0.5, anticipation: 30, carryover: 30 },
+            'viseme_CH': { magnitude: 0.8, anticipation: 30, carryover: 30 },
+            'viseme_SS': { magnitude: 0.7, anticipation: 35, carryover: 35 },
+            'viseme_nn': { magnitude: 0.5, anticipation: 30, carryover: 30 },
+            'viseme_RR': { magnitude: 0.6, anticipation: 25, carryover: 25 },
+            'viseme_aa': { magnitude: 0.7, anticipation: 25, carryover: 20 },
+            'viseme_E': { magnitude: 0.6, anticipation: 25, carryover: 20 },
+            'viseme_I': { magnitude: 0.6, anticipation: 25, carryover: 20 },
+            'viseme_O': { magnitude: 0.7, anticipation: 25, carryover: 20 },
+            'viseme_U': { magnitude: 0.7, anticipation: 25, carryover: 20 }
+        };
+        this.defaultDominance = { magnitude: 0.5, anticipation: 30, carryover: 30 };
+
+        // Lip rounding for "oo", "w", "o" and "ch" starts well ahead of the sound itself,
+        // so rounded visemes spread their rounding morphs with a much slower anticipation rate
+        this.roundedVisemes = ['viseme_U', 'viseme_O', 'viseme_CH'];
+        this.roundingMorphs = ['mouthPucker', 'mouthFunnel'];
+        this.roundingAnticipation = 8;
+
+        // Shape of the decay (1 = exponential)
+        this.exponent = 1;
+
+        // Segments further than this (in seconds) from t have no noticeable dominance
+        this.influenceWindow = 0.6;
+    }
+
+    getDominanceParams(viseme) {
+        return this.dominance[viseme] || this.defaultDominance;
+    }
+
+    // Dominance of a segment over a morph at the given time
+    getDominance(segment, morph, time) {
+        const params = this.getDominanceParams(segment.viseme);
+
+        // The dominance holds its peak for the segment's own interval
+        let distance = 0;
+        let rate = 0;
+        if (time < segment.startTime) {
+            distance = segment.startTime - time;
+            rate = this.roundedVisemes.includes(segment.viseme) && this.roundingMorphs.includes(morph)
+                ? this.roundingAnticipation
+                : params.anticipation;
+        } else if (time > segment.endTime) {
+            distance = time - segment.endTime;
+            rate = params.carryover;
+        }
+
+        return params.magnitude * Math.exp(-rate * Math.pow(distance, this.exponent));
+    }
+
+    // Blend the timeline into one weight per morph at time t
+    // getTargets(segment) returns the segment's target morph weights, e.g. { viseme_aa: 0.6, jawOpen: 0.2 }
+    getMorphWeights(timeline, time, getTargets) {
+        const weights = {};
+        if (!timeline || timeline.length === 0) return weights;
+
+        // Segments close enough to t to matter, with their targets
+        const nearby = [];
+        for (const segment of timeline) {
+            if (segment.endTime < time - this.influenceWindow) continue;
+            if (segment.startTime > time + this.influenceWindow) break;
+
+            nearby.push({ segment, targets: getTargets(segment) });
+        }
+
+        // Every morph any nearby segment targets
+        const morphs = new Set();
+        nearby.forEach(({ targets }) => Object.keys(targets).forEach(morph => morphs.add(morph)));
+
+        // Segments that don't use a morph still pull it toward zero
+        for (const morph of morphs) {
+            let weightedSum = 0;
+            let dominanceSum = 0;
+
+            for (const { segment, targets } of nearby) {
+                const dominance = this.getDominance(segment, morph, time);
+                weightedSum += dominance * (targets[morph] || 0);
+                dominanceSum += dominance;
+            }
+
+            weights[morph] = dominanceSum > 0 ? weightedSum / dominanceSum : 0;
+        }
+
+        return weights;
+    }
+}
+
+export default CoarticulationModel;
@@ -1,8 +1,11 @@
+import SsmlParser from './ssmlParser';
+
 class ElevenLabsService {
     constructor() {
         // API configuration
         this.API_KEY = 'sk_9ad2b81887703c99443ddee5503769b89c0e8317f693f1f1'; // Updated API key
-        this.BASE_URL = 'https://api.elevenlabs.io/v1';
+        // Point VITE_ELEVENLABS_BASE_URL at a mock server (npm run mock:tts) to develop offline
+        this.BASE_URL = import.meta.env.VITE_ELEVENLABS_BASE_URL || 'https://api.elevenlabs.io/v1';
         
         // Using Adam voice ID - Professional male voice
         // You can also use other male voices:
@@ -11,6 +14,16 @@ class ElevenLabsService {
         // Adam (professional, balanced): 'pNInz6obpgDQGcFmaJgB'
         this.VOICE_ID = 'pNInz6obpgDQGcFmaJgB';
 
+        // TTS model - English only by default, switched to the multilingual model for other languages
+        this.MODEL_ID = 'eleven_monolingual_v1';
+
+        // Request character timestamps with the audio, so lip sync can use the real timing
+        this.useTimestamps = true;
+
+        // SSML tags the API understands inline - the rest of the markup is reduced to its text
+        this.ssmlParser = new SsmlParser();
+        this.ssmlTags = ['break', 'phoneme'];
+
         // Voice settings
         this.voiceSettings = {
             stability: 0.5,
@@ -24,8 +37,8 @@ class ElevenLabsService {
             output_format: "mp3_44100_128"
         };
         
-        // Audio context for duration calculations
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        // Audio context for decoding, created on first use so the service can be built outside a browser
+        this.audioContext = null;
     }
 
     async createVoice(name, audioFiles) {
@@ -54,6 +67,14 @@ class ElevenLabsService {
     }
 
     async textToSpeech(text) {
+        if (this.useTimestamps) {
+            try {
+                return await this.textToSpeechWithTimestamps(text);
+            } catch (error) {
+                console.warn('Speech with timestamps failed, retrying without:', error);
+            }
+        }
+
         try {
             console.log('Generating speech for text:', text);
             
@@ -63,14 +84,7 @@ class ElevenLabsService {
                     'Content-Type': 'application/json',
                     'xi-api-key': this.API_KEY
                 },
-                body: JSON.stringify({
-                    text: text,
-                    model_id: 'eleven_monolingual_v1',
-                    voice_settings: {
-                        stability: 0.5,
-                        similarity_boost: 0.75
-                    }
-                })
+                body: JSON.stringify(this.buildSpeechRequest(text))
             });
 
             if (!response.ok) {
@@ -86,6 +100,7 @@ class ElevenLabsService {
             
             return {
                 url: audioUrl,
+                blob: audioBlob,
                 duration: audioDuration,
                 text: text
             };
@@ -95,6 +110,87 @@ class ElevenLabsService {
         }
     }
     
+    // Generate speech along with the start and end time of every character
+    // Returns the same result as textToSpeech plus an `alignment`:
+    // { characters, characterStartTimes, characterEndTimes } with times in seconds
+    async textToSpeechWithTimestamps(text) {
+        console.log('Generating speech with timestamps for text:', text);
+
+        const response = await fetch(`${this.BASE_URL}/text-to-speech/${this.VOICE_ID}/with-timestamps`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'xi-api-key': this.API_KEY
+            },
+            body: JSON.stringify(this.buildSpeechRequest(text))
+        });
+
+        if (!response.ok) {
+            throw new Error('TTS with timestamps request failed');
+        }
+
+        const data = await response.json();
+        const alignment = this.parseAlignment(data.alignment || data.normalized_alignment);
+        if (!data.audio_base64 || !alignment) {
+            throw new Error('TTS with timestamps response has no audio or alignment');
+        }
+
+        const audioBlob = this.base64ToBlob(data.audio_base64);
+        const audioUrl = URL.createObjectURL(audioBlob);
+
+        // Get the audio duration
+        const audioDuration = await this.getAudioDuration(audioBlob);
+        console.log('Generated audio duration:', audioDuration);
+
+        return {
+            url: audioUrl,
+            blob: audioBlob,
+            duration: audioDuration,
+            text: text,
+            alignment: alignment
+        };
+    }
+
+    buildSpeechRequest(text) {
+        return {
+            text: this.ssmlParser.isSsml(text) ? this.ssmlParser.toProviderText(text, this.ssmlTags) : text,
+            model_id: this.MODEL_ID,
+            voice_settings: {
+                stability: 0.5,
+                similarity_boost: 0.75
+            }
+        };
+    }
+
+    // Convert the API's alignment arrays into { characters, characterStartTimes, characterEndTimes }
+    parseAlignment(alignment) {
+        if (!alignment || !Array.isArray(alignment.characters)) return null;
+
+        const startTimes = alignment.character_start_times_seconds || [];
+        const endTimes = alignment.character_end_times_seconds || [];
+        if (startTimes.length !== alignment.characters.length || endTimes.length !== alignment.characters.length) {
+            return null;
+        }
+
+        return {
+            characters: alignment.characters,
+            characterStartTimes: startTimes,
+            characterEndTimes: endTimes
+        };
+    }
+
+    base64ToBlob(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+
+        // The API returns MP3; the local mock server answers with WAV
+        const isWav = binary.startsWith('RIFF');
+        return new Blob([bytes], { type: isWav ? 'audio/wav' : 'audio/mpeg' });
+    }
+
     // Get the duration of an audio blob
     async getAudioDuration(audioBlob) {
         return new Promise((resolve, reject) => {
@@ -114,10 +210,23 @@ class ElevenLabsService {
         });
     }
 
+    // Decode an audio blob into PCM for analysis (e.g. forced alignment)
+    async decodeAudio(audioBlob) {
+        const arrayBuffer = await audioBlob.arrayBuffer();
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return this.audioContext.decodeAudioData(arrayBuffer);
+    }
+
     setApiKey(apiKey) {
         this.API_KEY = apiKey;
     }
 
+    setBaseUrl(baseUrl) {
+        this.BASE_URL = baseUrl;
+    }
+
     setVoiceId(voiceId) {
         this.VOICE_ID = voiceId;
     }
@@ -126,6 +235,14 @@ class ElevenLabsService {
         return this.VOICE_ID;
     }
 
+    setModelId(modelId) {
+        this.MODEL_ID = modelId;
+    }
+
+    getModelId() {
+        return this.MODEL_ID;
+    }
+
     // Method to update voice settings
     updateVoiceSettings(settings) {
         this.voiceSettings = {
@@ -0,0 +1,256 @@
+import compromise from 'compromise';
+
+// Emotion words by root form -> [emotion, weight]; the emotions are the expression presets
+const EMOTION_WORDS = {
+    // Encouraging, warm
+    happy: ['happy', 1], glad: ['happy', 1], joy: ['happy', 1], joyful: ['happy', 1],
+    great: ['happy', 0.8], wonderful: ['happy', 1], fantastic: ['happy', 1], amazing: ['happy', 1],
+    excellent: ['happy', 1], proud: ['happy', 1], progress: ['happy', 0.7], success: ['happy', 0.8],
+    succeed: ['happy', 0.8], improve: ['happy', 0.6], hope: ['happy', 0.6], hopeful: ['happy', 0.8],
+    excited: ['happy', 1], exciting: ['happy', 1], love: ['happy', 0.8], lovely: ['happy', 0.8],
+    good: ['happy', 0.5], nice: ['happy', 0.5], celebrate: ['happy', 1], congratulations: ['happy', 1],
+    congrats: ['happy', 1], brave: ['happy', 0.7], strength: ['happy', 0.5], strong: ['happy', 0.5],
+    grateful: ['happy', 0.8], gratitude: ['happy', 0.8], thank: ['happy', 0.5], enjoy: ['happy', 0.8],
+    fun: ['happy', 0.8], laugh: ['happy', 0.8], smile: ['happy', 0.8], calm: ['happy', 0.4],
+    peaceful: ['happy', 0.5], relief: ['happy', 0.7], relieved: ['happy', 0.8], accomplish: ['happy', 0.8],
+    achievement: ['happy', 0.8], achieve: ['happy', 0.7], confident: ['happy', 0.7], capable: ['happy', 0.6],
+    positive: ['happy', 0.6], well: ['happy', 0.2],
+
+    // Loss and low mood
+    sad: ['sad', 1], sadness: ['sad', 1], grief: ['sad', 1], grieve: ['sad', 1], mourn: ['sad', 1],
+    loss: ['sad', 0.9], lose: ['sad', 0.6], lonely: ['sad', 1], loneliness: ['sad', 1], alone: ['sad', 0.6],
+    miss: ['sad', 0.5], cry: ['sad', 0.8], tear: ['sad', 0.4], depressed: ['sad', 1], depression: ['sad', 0.9],
+    hopeless: ['sad', 1], heartbroken: ['sad', 1], unhappy: ['sad', 0.9], empty: ['sad', 0.6],
+    tired: ['sad', 0.5], exhausted: ['sad', 0.7], worthless: ['sad', 1], regret: ['sad', 0.7],
+    disappoint: ['sad', 0.7], disappointed: ['sad', 0.8],
+
+    // Worry and fear
+    afraid: ['afraid', 1], fear: ['afraid', 1], scared: ['afraid', 1], scary: ['afraid', 0.8],
+    anxious: ['afraid', 0.9], anxiety: ['afraid', 0.8], panic: ['afraid', 1], worry: ['afraid', 0.7],
+    worried: ['afraid', 0.8], nervous: ['afraid', 0.8], terrified: ['afraid', 1], overwhelm: ['afraid', 0.7],
+    overwhelmed: ['afraid', 0.8], stress: ['afraid', 0.6], stressed: ['afraid', 0.7], dread: ['afraid', 0.9],
+    unsafe: ['afraid', 0.9],
+
+    // Anger
+    angry: ['angry', 1], anger: ['angry', 0.9], mad: ['angry', 0.8], furious: ['angry', 1],
+    frustrate: ['angry', 0.7], frustrated: ['angry', 0.8], frustrating: ['angry', 0.7], annoyed: ['angry', 0.7],
+    irritated: ['angry', 0.7], rage: ['angry', 1], resent: ['angry', 0.8], unfair: ['angry', 0.6], hate: ['angry', 0.9],
+
+    // Disgust
+    disgust: ['disgusted', 1], disgusted: ['disgusted', 1], disgusting: ['disgusted', 1], gross: ['disgusted', 0.8],
+    awful: ['disgusted', 0.5], horrible: ['disgusted', 0.5],
+
+    // Surprise
+    surprise: ['surprised', 1], surprised: ['surprised', 1], surprising: ['surprised', 0.9], wow: ['surprised', 1],
+    unexpected: ['surprised', 0.8], incredible: ['surprised', 0.6], shock: ['surprised', 0.8],
+    shocked: ['surprised', 0.9], astonishing: ['surprised', 1], remarkable: ['surprised', 0.5],
+
+    // Consoling - a caring face rather than a sad one
+    sorry: ['concerned', 1], difficult: ['concerned', 0.7], hard: ['concerned', 0.5], tough: ['concerned', 0.7],
+    struggle: ['concerned', 0.8], challenging: ['concerned', 0.6], painful: ['concerned', 0.9],
+    pain: ['concerned', 0.7], hurt: ['concerned', 0.8], suffer: ['concerned', 0.9], concern: ['concerned', 0.7],
+    concerned: ['concerned', 0.8], terrible: ['concerned', 0.6], crisis: ['concerned', 1], harm: ['concerned', 1],
+    abuse: ['concerned', 1], suicide: ['concerned', 1], suicidal: ['concerned', 1], emergency: ['concerned', 1],
+    understand: ['concerned', 0.3], valid: ['concerned', 0.4],
+
+    // Reflective
+    think: ['thoughtful', 0.5], consider: ['thoughtful', 0.6], reflect: ['thoughtful', 0.8],
+    wonder: ['thoughtful', 0.6], perhaps: ['thoughtful', 0.4], maybe: ['thoughtful', 0.4],
+    explore: ['thoughtful', 0.6], notice: ['thoughtful', 0.5], curious: ['thoughtful', 0.6],
+    imagine: ['thoughtful', 0.5], pattern: ['thoughtful', 0.5], perspective: ['thoughtful', 0.6],
+    meaning: ['thoughtful', 0.5]
+};
+
+// Phrases a therapist uses to console, matched with compromise
+const EMOTION_PHRASES = [
+    ['sorry to hear', 'concerned', 1],
+    ['(that|it) (sounds|seems|must be) (really|so|very)? (hard|difficult|painful|tough|overwhelming)', 'concerned', 1],
+    ['you are not alone', 'concerned', 0.8],
+    ['(well done|good job|great job)', 'happy', 1]
+];
+
+const INTENSIFIERS = ['very', 'really', 'so', 'extremely', 'incredibly', 'truly', 'deeply', 'completely', 'totally', 'absolutely', 'such'];
+const DIMINISHERS = ['slightly', 'somewhat', 'little', 'bit', 'kind', 'sort', 'mildly', 'barely'];
+
+const POSITIVE_EMOTIONS = ['happy', 'surprised'];
+
+// Explicit emotion tags the LLM can put in its reply: [emotion: happy] or [emotion: concerned 0.6]
+const EMOTION_TAG = /\[emotion\s*[:=]\s*([a-z]+)(?:\s+(\d*\.?\d+))?\s*\]/gi;
+
+// Reads the emotion of a reply sentence by sentence, locally
+//
+// Words from the lexicon add to their emotion, scaled by intensifiers ("really sad") and
+// flipped by negation ("not alone", "don't worry" reassure). A sentence with an explicit
+// [emotion: ...] tag uses the tag instead. createTrack lays the sentences over a viseme timeline.
+class EmotionClassifier {
+    constructor() {
+        this.emotions = ['happy', 'sad', 'afraid', 'angry', 'disgusted', 'surprised', 'concerned', 'thoughtful'];
+
+        // Scores below this stay neutral
+        this.threshold = 0.5;
+        // A therapist's face stays gentle, even for strong words
+        this.maxIntensity = 0.7;
+        // How many words a "not" reaches
+        this.negationWindow = 3;
+    }
+
+    // The reply without emotion tags, for display and speech
+    stripTags(text) {
+        return text.replace(EMOTION_TAG, '').replace(/[ \t]{2,}/g, ' ').trim();
+    }
+
+    // Split a reply into sentences with their emotion:
+    // { text: tagless reply, sentences: [{ text, emotion, intensity, sentiment, tagged }] }
+    classify(text, { delimiters = /[.!?]+/ } = {}) {
+        // Take the tags out first, so the decimal point in "0.6" doesn't end a sentence
+        const tags = [];
+        let plain = '';
+        let lastIndex = 0;
+        for (const match of text.matchAll(EMOTION_TAG)) {
+            plain += text.slice(lastIndex, match.index);
+            lastIndex = match.index + match[0].length;
+
+            const tag = this.parseTag(match);
+            if (tag) tags.push({ ...tag, offset: plain.length });
+        }
+        plain += text.slice(lastIndex);
+
+        const pieces = plain.split(new RegExp(`(${delimiters.source})`));
+        const sentences = [];
+        let start = 0;
+
+        for (let i = 0; i < pieces.length; i += 2) {
+            const raw = pieces[i] + (pieces[i + 1] || '');
+            const end = start + raw.length;
+            const sentenceText = raw.replace(/[ \t]{2,}/g, ' ').trim();
+
+            // A tag applies to the sentence it is in (or starts); the last one wins
+            const sentenceTags = tags.filter(tag => tag.offset >= start && tag.offset < end);
+            const tag = sentenceTags[sentenceTags.length - 1];
+            start = end;
+            if (!/[\p{L}\p{N}]/u.test(sentenceText)) continue;
+
+            const result = this.classifySentence(sentenceText);
+            if (tag) {
+                sentences.push({ text: sentenceText, emotion: tag.emotion, intensity: tag.intensity, sentiment: result.sentiment, tagged: true });
+            } else {
+                sentences.push({ text: sentenceText, ...result, tagged: false });
+            }
+        }
+
+        return { text: this.stripTags(text), sentences };
+    }
+
+    // { emotion, intensity } of a tag match, null for an unknown emotion
+    parseTag(match) {
+        const emotion = match[1].toLowerCase();
+        if (emotion === 'neutral') {
+            return { emotion, intensity: 0 };
+        }
+        if (!this.emotions.includes(emotion)) {
+            console.warn(`Ignoring unknown emotion tag "${emotion}"`);
+            return null;
+        }
+        const intensity = match[2] !== undefined ? Math.min(1, parseFloat(match[2])) : this.maxIntensity;
+        return { emotion, intensity };
+    }
+
+    // { emotion, intensity (0-1), sentiment (-1 to 1) } of a single sentence
+    classifySentence(sentence) {
+        const scores = Object.fromEntries(this.emotions.map(emotion => [emotion, 0]));
+        const doc = compromise(sentence);
+        doc.compute('root');
+
+        let negation = 0;
+        let boost = 1;
+        for (const term of doc.terms().json()) {
+            const { normal, root, tags } = term.terms[0];
+
+            if (tags.includes('Negative') || normal === 'never' || normal === 'no') {
+                negation = this.negationWindow;
+                continue;
+            }
+            if (INTENSIFIERS.includes(normal)) {
+                boost = 1.5;
+                continue;
+            }
+            if (DIMINISHERS.includes(normal)) {
+                boost = 0.6;
+                continue;
+            }
+
+            // Own keys only, so "constructor" or "toString" aren't read from the prototype
+            const word = [root, normal].find(candidate => candidate && Object.hasOwn(EMOTION_WORDS, candidate));
+            if (word) {
+                const [emotion, weight] = EMOTION_WORDS[word];
+                if (negation > 0) {
+                    // "not happy" is a worry, "not alone" or "don't worry" reassures
+                    if (POSITIVE_EMOTIONS.includes(emotion)) scores.concerned += weight * 0.5;
+                    else scores.happy += weight * 0.4;
+                } else {
+                    scores[emotion] += weight * boost;
+                }
+                boost = 1;
+            }
+            negation = Math.max(0, negation - 1);
+        }
+
+        for (const [pattern, emotion, weight] of EMOTION_PHRASES) {
+            if (doc.has(pattern)) scores[emotion] += weight;
+        }
+
+        // Exclamations are stronger, questions invite reflection
+        if (/!/.test(sentence)) {
+            for (const emotion of ['happy', 'surprised', 'angry']) scores[emotion] *= 1.3;
+        }
+        if (/\?/.test(sentence)) {
+            scores.thoughtful += 0.4;
+        }
+
+        const positive = scores.happy + scores.surprised * 0.5;
+        const negative = scores.sad + scores.afraid + scores.angry + scores.disgusted + scores.concerned * 0.5;
+        const sentiment = positive + negative > 0 ? (positive - negative) / (positive + negative) : 0;
+
+        const [emotion, score] = Object.entries(scores).reduce((best, current) => (current[1] > best[1] ? current : best));
+        if (score < this.threshold) {
+            return { emotion: 'neutral', intensity: 0, sentiment };
+        }
+        return {
+            emotion,
+            intensity: Math.min(this.maxIntensity, 0.25 + 0.25 * score),
+            sentiment
+        };
+    }
+
+    // Emotion track over a viseme timeline: [{ emotion, intensity, startTime, endTime }]
+    // Sentences are matched to the timeline's sentence ends; if those don't line up
+    // (abbreviations, SSML breaks), the time is split by the length of each sentence
+    createTrack(sentences, timeline) {
+        if (!timeline || timeline.length === 0 || sentences.length === 0) return [];
+
+        const duration = timeline[timeline.length - 1].endTime;
+        let ends = timeline.filter(entry => entry.sentenceEnd).map(entry => entry.endTime);
+
+        if (ends.length === sentences.length - 1) {
+            ends.push(duration);
+        } else if (ends.length === sentences.length) {
+            ends[ends.length - 1] = duration;
+        } else {
+            const totalLength = sentences.reduce((sum, sentence) => sum + sentence.text.length, 0);
+            let length = 0;
+            ends = sentences.map(sentence => {
+                length += sentence.text.length;
+                return duration * length / totalLength;
+            });
+        }
+
+        return sentences.map((sentence, i) => ({
+            emotion: sentence.emotion,
+            intensity: sentence.intensity,
+            startTime: i > 0 ? ends[i - 1] : 0,
+            endTime: ends[i]
+        }));
+    }
+}
+
+export default EmotionClassifier;
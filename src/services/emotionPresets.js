@@ -0,0 +1,113 @@
+// Emotion presets: each one is a recipe of ARKit blendshapes at full intensity
+//
+// Only brow, eye, cheek, nose and mouth-corner shapes are used where possible, so the
+// expressions leave the jaw and lips free for the visemes. Eye look directions are left
+// to the eye movement code.
+
+const happy = {
+    name: 'Happy',
+    morphs: {
+        mouthSmileLeft: 0.6, mouthSmileRight: 0.6,
+        mouthDimpleLeft: 0.2, mouthDimpleRight: 0.2,
+        cheekSquintLeft: 0.45, cheekSquintRight: 0.45,
+        eyeSquintLeft: 0.25, eyeSquintRight: 0.25
+    }
+};
+
+const sad = {
+    name: 'Sad',
+    morphs: {
+        browInnerUp: 0.6,
+        browDownLeft: 0.1, browDownRight: 0.1,
+        mouthFrownLeft: 0.45, mouthFrownRight: 0.45,
+        mouthShrugLower: 0.2,
+        eyeSquintLeft: 0.1, eyeSquintRight: 0.1
+    }
+};
+
+const surprised = {
+    name: 'Surprised',
+    morphs: {
+        browInnerUp: 0.7,
+        browOuterUpLeft: 0.7, browOuterUpRight: 0.7,
+        eyeWideLeft: 0.6, eyeWideRight: 0.6,
+        jawOpen: 0.2
+    }
+};
+
+const angry = {
+    name: 'Angry',
+    morphs: {
+        browDownLeft: 0.7, browDownRight: 0.7,
+        eyeSquintLeft: 0.3, eyeSquintRight: 0.3,
+        noseSneerLeft: 0.35, noseSneerRight: 0.35,
+        mouthPressLeft: 0.3, mouthPressRight: 0.3,
+        mouthFrownLeft: 0.2, mouthFrownRight: 0.2
+    }
+};
+
+const afraid = {
+    name: 'Afraid',
+    morphs: {
+        browInnerUp: 0.7,
+        browOuterUpLeft: 0.3, browOuterUpRight: 0.3,
+        eyeWideLeft: 0.5, eyeWideRight: 0.5,
+        mouthStretchLeft: 0.4, mouthStretchRight: 0.4,
+        jawOpen: 0.1
+    }
+};
+
+const disgusted = {
+    name: 'Disgusted',
+    morphs: {
+        noseSneerLeft: 0.6, noseSneerRight: 0.6,
+        mouthUpperUpLeft: 0.4, mouthUpperUpRight: 0.4,
+        browDownLeft: 0.3, browDownRight: 0.3,
+        eyeSquintLeft: 0.3, eyeSquintRight: 0.3,
+        mouthFrownLeft: 0.2, mouthFrownRight: 0.2
+    }
+};
+
+// Listening with care - the therapist's default warmth
+const concerned = {
+    name: 'Concerned',
+    morphs: {
+        browInnerUp: 0.45,
+        mouthFrownLeft: 0.1, mouthFrownRight: 0.1,
+        mouthPressLeft: 0.1, mouthPressRight: 0.1,
+        eyeSquintLeft: 0.1, eyeSquintRight: 0.1
+    }
+};
+
+// Slightly asymmetric brows and pressed lips
+const thoughtful = {
+    name: 'Thoughtful',
+    morphs: {
+        browInnerUp: 0.25,
+        browDownLeft: 0.2,
+        eyeSquintLeft: 0.15, eyeSquintRight: 0.15,
+        mouthPressLeft: 0.2, mouthPressRight: 0.2,
+        mouthLeft: 0.15
+    }
+};
+
+const presets = {
+    happy,
+    sad,
+    surprised,
+    angry,
+    afraid,
+    disgusted,
+    concerned,
+    thoughtful
+};
+
+export function getEmotionPreset(name) {
+    return Object.hasOwn(presets, name) ? presets[name] : null;
+}
+
+export function getEmotionNames() {
+    return Object.keys(presets);
+}
+
+export default presets;
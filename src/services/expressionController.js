@@ -0,0 +1,132 @@
+import { getEmotionPreset, getEmotionNames } from './emotionPresets';
+
+// Morphs that shape the jaw and lips for speech; while talking the visemes own them
+// and an expression only keeps a little of its value
+const ARTICULATION_MORPHS = [
+    'jawOpen', 'jawForward', 'mouthOpen', 'mouthClose', 'mouthFunnel', 'mouthPucker',
+    'mouthRollUpper', 'mouthRollLower', 'mouthPressLeft', 'mouthPressRight',
+    'mouthShrugUpper', 'mouthShrugLower', 'mouthLowerDownLeft', 'mouthLowerDownRight',
+    'mouthUpperUpLeft', 'mouthUpperUpRight'
+];
+
+// Mouth-corner shapes pull the lips wide, which fights the rounded visemes
+const CORNER_MORPHS = /^mouth(Smile|Frown|Stretch|Dimple)/;
+const ROUNDED_MORPHS = ['viseme_O', 'viseme_U', 'mouthPucker', 'mouthFunnel'];
+
+// Blends any number of emotion presets into one set of morph weights
+//
+// Every emotion fades from its current intensity to the requested one over its own
+// transition, so "happy" can fade in while "surprised" fades out. The presets are summed
+// and clamped; while talking, adjustForSpeech makes room for the visemes.
+class ExpressionController {
+    constructor() {
+        // Emotion name -> { intensity, from, to, startTime, duration } (times in ms)
+        this.emotions = {};
+
+        // Animation time in ms, advanced by update() with the frame delta
+        this.time = 0;
+
+        // Morph names the avatar has (null: assume all of them)
+        this.availableMorphs = null;
+
+        // Share of an articulation morph an expression keeps while talking
+        this.speechArticulationScale = 0.25;
+        // How much smiles and frowns give way to fully rounded lips (O, U)
+        this.roundedVisemeYield = 0.6;
+    }
+
+    setAvailableMorphs(morphNames) {
+        this.availableMorphs = new Set(morphNames);
+    }
+
+    // Fade an emotion to the given intensity (0-1); 'neutral' fades out every emotion
+    // Returns false for an unknown emotion
+    setEmotion(name, intensity = 1, transitionMs = 300) {
+        if (name === 'neutral') {
+            this.clearEmotions(transitionMs);
+            return true;
+        }
+        if (!getEmotionPreset(name)) {
+            console.warn(`Unknown emotion "${name}", expected one of: neutral, ${getEmotionNames().join(', ')}`);
+            return false;
+        }
+
+        const current = this.emotions[name] ? this.emotions[name].intensity : 0;
+        this.emotions[name] = {
+            intensity: current,
+            from: current,
+            to: Math.max(0, Math.min(1, intensity)),
+            startTime: this.time,
+            duration: Math.max(0, transitionMs)
+        };
+        return true;
+    }
+
+    clearEmotions(transitionMs = 300) {
+        for (const name of Object.keys(this.emotions)) {
+            this.setEmotion(name, 0, transitionMs);
+        }
+    }
+
+    // Current intensity of every active emotion
+    getEmotions() {
+        const emotions = {};
+        for (const [name, state] of Object.entries(this.emotions)) {
+            emotions[name] = state.intensity;
+        }
+        return emotions;
+    }
+
+    // Advance the transitions by the frame delta (seconds); emotions that have faded out are dropped
+    update(delta) {
+        this.time += delta * 1000;
+
+        for (const [name, state] of Object.entries(this.emotions)) {
+            const progress = state.duration > 0 ? Math.min(1, (this.time - state.startTime) / state.duration) : 1;
+            const eased = progress * progress * (3 - 2 * progress);
+            state.intensity = state.from + (state.to - state.from) * eased;
+
+            if (progress >= 1 && state.to === 0) {
+                delete this.emotions[name];
+            }
+        }
+    }
+
+    isActive() {
+        return Object.keys(this.emotions).length > 0;
+    }
+
+    // Summed morph weights of all active emotions
+    getMorphWeights() {
+        const weights = {};
+        for (const [name, state] of Object.entries(this.emotions)) {
+            if (state.intensity <= 0) continue;
+
+            for (const [morph, value] of Object.entries(getEmotionPreset(name).morphs)) {
+                if (this.availableMorphs && !this.availableMorphs.has(morph)) continue;
+                weights[morph] = Math.min(1, (weights[morph] || 0) + value * state.intensity);
+            }
+        }
+        return weights;
+    }
+
+    // Expression weights to add on top of the lip sync weights of the current frame
+    // The visemes keep the jaw and lips; smiles and frowns stay but ease off on rounded vowels
+    adjustForSpeech(expressionWeights, visemeWeights) {
+        const adjusted = {};
+        const roundness = Math.max(0, ...ROUNDED_MORPHS.map(morph => visemeWeights[morph] || 0));
+
+        for (const [morph, value] of Object.entries(expressionWeights)) {
+            let weight = value;
+            if (ARTICULATION_MORPHS.includes(morph)) {
+                weight *= this.speechArticulationScale;
+            } else if (CORNER_MORPHS.test(morph)) {
+                weight *= 1 - this.roundedVisemeYield * Math.min(1, roundness);
+            }
+            adjusted[morph] = weight;
+        }
+        return adjusted;
+    }
+}
+
+export default ExpressionController;
@@ -0,0 +1,264 @@
+// Forced alignment of an estimated viseme timeline onto the real TTS audio
+//
+// The audio's energy envelope is split into silence and speech, and the syllable nuclei
+// (envelope peaks) are marked inside the speech. The timeline is rendered into the same
+// three levels - silence, consonant, vowel - and dynamic time warping finds the cheapest
+// monotonic mapping between the two, so pauses and vowels land where the voice has them.
+class ForcedAligner {
+    constructor() {
+        this.frameDuration = 0.01;       // 10ms envelope frames
+        this.smoothingFrames = 3;        // Moving average over the envelope
+
+        // Speech/silence split
+        this.silenceThreshold = 0.08;    // Envelope level relative to the loudest frame
+        this.minSilenceDuration = 0.08;  // Shorter dips are closures inside speech
+
+        // Syllable nuclei
+        this.nucleusRadius = 5;          // Frames either side a peak has to beat
+        this.minNucleusLevel = 0.3;      // Relative to the loudest frame in the speech segment
+        this.nucleusExtent = 0.7;        // A nucleus spans the frames above this fraction of its peak
+
+        // Levels both sequences are coded in
+        this.levels = { silence: 0, consonant: 0.4, vowel: 1 };
+
+        // DTW search band around the diagonal, in seconds
+        this.bandDuration = 1.5;
+    }
+
+    // Align a timeline to a decoded AudioBuffer
+    alignToBuffer(timeline, audioBuffer) {
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+
+        return this.alignToSamples(timeline, samples, audioBuffer.sampleRate);
+    }
+
+    // Align a timeline to mono PCM samples
+    // Returns a new timeline with updated start/end times and durations
+    alignToSamples(timeline, samples, sampleRate) {
+        if (!timeline || timeline.length === 0) return timeline;
+
+        const envelope = this.computeEnvelope(samples, sampleRate);
+        if (envelope.length === 0) return timeline;
+
+        const observed = this.codeAudio(envelope);
+        const expected = this.codeTimeline(timeline);
+
+        const mapping = this.warp(expected, observed);
+        return this.applyMapping(timeline, mapping, expected.length);
+    }
+
+    // Smoothed RMS envelope, normalized to the loudest frame
+    computeEnvelope(samples, sampleRate) {
+        const frameSize = Math.max(1, Math.round(this.frameDuration * sampleRate));
+        const frameCount = Math.floor(samples.length / frameSize);
+
+        const rms = new Float32Array(frameCount);
+        for (let f = 0; f < frameCount; f++) {
+            let sum = 0;
+            for (let i = f * frameSize; i < (f + 1) * frameSize; i++) {
+                sum += samples[i] * samples[i];
+            }
+            rms[f] = Math.sqrt(sum / frameSize);
+        }
+
+        const envelope = new Float32Array(frameCount);
+        let peak = 0;
+        for (let f = 0; f < frameCount; f++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, f - this.smoothingFrames); j <= Math.min(frameCount - 1, f + this.smoothingFrames); j++) {
+                sum += rms[j];
+                count++;
+            }
+            envelope[f] = sum / count;
+            peak = Math.max(peak, envelope[f]);
+        }
+
+        if (peak > 0) {
+            for (let f = 0; f < frameCount; f++) envelope[f] /= peak;
+        }
+        return envelope;
+    }
+
+    // Speech segments as [start, end) frame ranges, ignoring dips shorter than minSilenceDuration
+    findSpeechSegments(envelope) {
+        const segments = [];
+        let start = -1;
+        let silentFrames = 0;
+        const minSilentFrames = Math.round(this.minSilenceDuration / this.frameDuration);
+
+        for (let f = 0; f < envelope.length; f++) {
+            if (envelope[f] >= this.silenceThreshold) {
+                if (start < 0) start = f;
+                silentFrames = 0;
+            } else if (start >= 0) {
+                silentFrames++;
+                if (silentFrames >= minSilentFrames) {
+                    segments.push([start, f - silentFrames + 1]);
+                    start = -1;
+                    silentFrames = 0;
+                }
+            }
+        }
+        if (start >= 0) segments.push([start, envelope.length - silentFrames]);
+
+        return segments;
+    }
+
+    // Syllable nuclei inside a speech segment as [start, end) frame ranges around envelope peaks
+    findNuclei(envelope, [segmentStart, segmentEnd]) {
+        let segmentPeak = 0;
+        for (let f = segmentStart; f < segmentEnd; f++) segmentPeak = Math.max(segmentPeak, envelope[f]);
+
+        const nuclei = [];
+        for (let f = segmentStart; f < segmentEnd; f++) {
+            if (envelope[f] < this.minNucleusLevel * segmentPeak) continue;
+
+            let isPeak = true;
+            for (let j = Math.max(segmentStart, f - this.nucleusRadius); j < Math.min(segmentEnd, f + this.nucleusRadius + 1); j++) {
+                if (envelope[j] > envelope[f]) {
+                    isPeak = false;
+                    break;
+                }
+            }
+            if (!isPeak) continue;
+
+            // Grow the nucleus while the envelope stays near the peak
+            const floor = envelope[f] * this.nucleusExtent;
+            let start = f;
+            let end = f + 1;
+            while (start > segmentStart && envelope[start - 1] >= floor) start--;
+            while (end < segmentEnd && envelope[end] >= floor) end++;
+
+            // Flat peaks repeat - skip nuclei that overlap the previous one
+            const last = nuclei[nuclei.length - 1];
+            if (last && start < last[1]) continue;
+
+            nuclei.push([start, end]);
+        }
+
+        return nuclei;
+    }
+
+    // Code every audio frame as silence, consonant or vowel (syllable nucleus)
+    codeAudio(envelope) {
+        const coded = new Float32Array(envelope.length).fill(this.levels.silence);
+
+        for (const segment of this.findSpeechSegments(envelope)) {
+            for (let f = segment[0]; f < segment[1]; f++) coded[f] = this.levels.consonant;
+
+            for (const [start, end] of this.findNuclei(envelope, segment)) {
+                for (let f = start; f < end; f++) coded[f] = this.levels.vowel;
+            }
+        }
+
+        return coded;
+    }
+
+    // Code the timeline the same way, at its own (estimated) timing
+    codeTimeline(timeline) {
+        const timelineEnd = timeline[timeline.length - 1].endTime;
+        const frameCount = Math.max(1, Math.round(timelineEnd / this.frameDuration));
+        const coded = new Float32Array(frameCount);
+
+        let index = 0;
+        for (let f = 0; f < frameCount; f++) {
+            const time = (f + 0.5) * this.frameDuration;
+            while (index < timeline.length - 1 && time >= timeline[index].endTime) index++;
+            coded[f] = this.codeEntry(timeline[index]);
+        }
+
+        return coded;
+    }
+
+    codeEntry(entry) {
+        if (entry.viseme === 'viseme_sil') return this.levels.silence;
+        return /viseme_(aa|E|I|O|U)$/.test(entry.viseme) ? this.levels.vowel : this.levels.consonant;
+    }
+
+    // Dynamic time warping within a band around the diagonal
+    // Returns, for every expected frame, the observed frame it maps to
+    warp(expected, observed) {
+        const n = expected.length;
+        const m = observed.length;
+        const band = Math.max(Math.abs(n - m), Math.round(this.bandDuration / this.frameDuration));
+
+        // Only the band is stored: row i covers columns rowFrom[i]..rowTo[i] and starts at
+        // rowStart[i] in the cost array, so memory grows with the length, not its square
+        const rowFrom = new Int32Array(n);
+        const rowTo = new Int32Array(n);
+        const rowStart = new Int32Array(n + 1);
+        for (let i = 0; i < n; i++) {
+            const center = Math.round(i * (m - 1) / Math.max(1, n - 1));
+            rowFrom[i] = Math.max(0, center - band);
+            rowTo[i] = Math.min(m - 1, center + band);
+            rowStart[i + 1] = rowStart[i] + rowTo[i] - rowFrom[i] + 1;
+        }
+
+        const cost = new Float32Array(rowStart[n]);
+        const at = (i, j) => (i < 0 || j < rowFrom[i] || j > rowTo[i] ? Infinity : cost[rowStart[i] + j - rowFrom[i]]);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = rowFrom[i]; j <= rowTo[i]; j++) {
+                const distance = Math.abs(expected[i] - observed[j]);
+                const best = i === 0 && j === 0
+                    ? 0
+                    : Math.min(at(i - 1, j - 1), at(i - 1, j), at(i, j - 1));
+                cost[rowStart[i] + j - rowFrom[i]] = distance + best;
+            }
+        }
+
+        // Walk back from the end to recover the path
+        const mapping = new Int32Array(n);
+        let i = n - 1;
+        let j = m - 1;
+        while (i > 0 || j > 0) {
+            mapping[i] = j;
+
+            const diagonal = at(i - 1, j - 1);
+            const up = at(i - 1, j);
+            const left = at(i, j - 1);
+
+            if (diagonal <= up && diagonal <= left) {
+                i--;
+                j--;
+            } else if (up <= left) {
+                i--;
+            } else {
+                j--;
+            }
+        }
+        mapping[0] = 0;
+
+        return mapping;
+    }
+
+    // Move every entry's boundaries through the frame mapping
+    applyMapping(timeline, mapping, frameCount) {
+        const toFrame = time => Math.min(frameCount - 1, Math.max(0, Math.round(time / this.frameDuration)));
+        const toAudioTime = time => mapping[toFrame(time)] * this.frameDuration;
+
+        const lastIndex = timeline.length - 1;
+        const audioEnd = (mapping[frameCount - 1] + 1) * this.frameDuration;
+
+        return timeline.map((entry, i) => {
+            const startTime = i === 0 ? 0 : toAudioTime(entry.startTime);
+            const endTime = i === lastIndex ? audioEnd : toAudioTime(timeline[i + 1].startTime);
+
+            return {
+                ...entry,
+                startTime,
+                endTime: Math.max(startTime, endTime),
+                duration: Math.max(0, endTime - startTime)
+            };
+        });
+    }
+}
+
+export default ForcedAligner;
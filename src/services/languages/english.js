@@ -0,0 +1,160 @@
+// English language pack - ARPAbet phonemes as used by CMUdict
+
+const english = {
+    code: 'en',
+    name: 'English',
+
+    // Speech recognition locale, TTS model and bundled meSpeak voice
+    speechRecognitionLang: 'en-US',
+    ttsModelId: 'eleven_monolingual_v1',
+    meSpeakVoice: 'en/en-us',
+
+    // The CMU pronunciation lexicon and the number/abbreviation normalizer are English only
+    useLexicon: true,
+    normalizeText: true,
+
+    // Characters stripped from words before phonemization
+    nonWordCharacters: /[^a-z']/g,
+    sentenceDelimiters: /[.!?]+/,
+
+    // Phoneme inventory: viseme morph and sound class for every phoneme
+    // Standard Preston Blair phoneme set - the industry standard for lip sync
+    phonemes: {
+        'AA': { viseme: 'viseme_aa', class: 'openVowel' },  // "ah" as in "father" - open mouth
+        'AE': { viseme: 'viseme_aa', class: 'openVowel' },  // "a" as in "cat" - open mouth
+        'AH': { viseme: 'viseme_aa', class: 'centralVowel' }, // "uh" as in "cut" - open mouth
+        'AO': { viseme: 'viseme_O', class: 'openVowel' },   // "aw" as in "dog" - rounded open mouth
+        'AW': { viseme: 'viseme_aa', class: 'openVowel' },  // "ow" as in "cow" - open mouth
+        'AY': { viseme: 'viseme_aa', class: 'openVowel' },  // "eye" - open mouth
+        'B': { viseme: 'viseme_PP', class: 'stop' },        // "b" as in "bee" - closed lips
+        'CH': { viseme: 'viseme_CH', class: 'affricate' },  // "ch" as in "cheese" - pursed lips
+        'D': { viseme: 'viseme_DD', class: 'stop' },        // "d" as in "dog" - tongue on teeth
+        'DH': { viseme: 'viseme_TH', class: 'fricative' },  // "th" as in "that" - tongue through teeth
+        'EH': { viseme: 'viseme_E', class: 'vowel' },       // "e" as in "bed" - slightly open mouth
+        'ER': { viseme: 'viseme_RR', class: 'vowel' },      // "ur" as in "bird" - rounded open mouth
+        'EY': { viseme: 'viseme_E', class: 'vowel' },       // "a" as in "say" - slightly open mouth
+        'F': { viseme: 'viseme_FF', class: 'fricative' },   // "f" as in "food" - lower lip on upper teeth
+        'G': { viseme: 'viseme_kk', class: 'stop' },        // "g" as in "go" - back of mouth
+        'HH': { viseme: 'viseme_sil', class: 'other' },     // "h" as in "house" - slight opening
+        'IH': { viseme: 'viseme_I', class: 'vowel' },       // "i" as in "sit" - slightly spread lips
+        'IY': { viseme: 'viseme_I', class: 'vowel' },       // "ee" as in "bee" - spread lips
+        'JH': { viseme: 'viseme_CH', class: 'affricate' },  // "j" as in "just" - pursed lips
+        'K': { viseme: 'viseme_kk', class: 'stop' },        // "k" as in "cat" - back of mouth
+        'L': { viseme: 'viseme_DD', class: 'liquid' },      // "l" as in "love" - tongue up
+        'M': { viseme: 'viseme_PP', class: 'nasal' },       // "m" as in "mom" - closed lips
+        'N': { viseme: 'viseme_nn', class: 'nasal' },       // "n" as in "nop" - tongue on upper palate
+        'NG': { viseme: 'viseme_nn', class: 'nasal' },      // "ng" as in "sing" - back of mouth
+        'OW': { viseme: 'viseme_O', class: 'vowel' },       // "o" as in "go" - rounded lips
+        'OY': { viseme: 'viseme_O', class: 'vowel' },       // "oy" as in "boy" - rounded lips
+        'P': { viseme: 'viseme_PP', class: 'stop' },        // "p" as in "pop" - closed lips
+        'R': { viseme: 'viseme_RR', class: 'liquid' },      // "r" as in "red" - rounded small opening
+        'S': { viseme: 'viseme_SS', class: 'fricative' },   // "s" as in "sit" - teeth close, slight grimace
+        'SH': { viseme: 'viseme_SS', class: 'fricative' },  // "sh" as in "she" - rounded small opening
+        'T': { viseme: 'viseme_DD', class: 'stop' },        // "t" as in "top" - tongue on upper palate
+        'TH': { viseme: 'viseme_TH', class: 'fricative' },  // "th" as in "thin" - tongue between teeth
+        'UH': { viseme: 'viseme_U', class: 'vowel' },       // "oo" as in "book" - rounded lips
+        'UW': { viseme: 'viseme_U', class: 'vowel' },       // "oo" as in "food" - very rounded lips
+        'V': { viseme: 'viseme_FF', class: 'fricative' },   // "v" as in "very" - lower lip on upper teeth
+        'W': { viseme: 'viseme_U', class: 'liquid' },       // "w" as in "way" - rounded lips
+        'Y': { viseme: 'viseme_I', class: 'liquid' },       // "y" as in "yes" - slightly spread lips
+        'Z': { viseme: 'viseme_SS', class: 'fricative' },   // "z" as in "zoo" - teeth close, slight grimace
+        'ZH': { viseme: 'viseme_SS', class: 'fricative' }   // "zh" as in "measure" - teeth close, slight grimace
+    },
+
+    // Unstressed vowels that collapse toward schwa
+    reducedVowels: ['AH', 'IH', 'ER', 'UH'],
+
+    // eSpeak's phoneme mnemonics (as meSpeak transcribes words) in ARPAbet, for words that
+    // are not in the lexicon. Longer mnemonics are matched first
+    meSpeakPhonemes: {
+        // Vowels and diphthongs
+        '@': ['AH'], '@2': ['AH'], '@5': ['AH'], '@L': ['AH', 'L'],
+        '3': ['ER'], '3:': ['ER'], 'VR': ['ER'],
+        'a': ['AE'], 'aa': ['AE'], 'a#': ['AH'],
+        'A:': ['AA'], 'A@': ['AA', 'R'], '0': ['AA'], 'V': ['AH'],
+        'E': ['EH'], 'e@': ['EH', 'R'],
+        'I': ['IH'], 'I2': ['IH'], 'I#': ['IH'], 'i': ['IY'], 'i:': ['IY'], 'i@': ['IH', 'R'], 'i@3': ['IH', 'R'],
+        'U': ['UH'], 'U@': ['UH', 'R'], 'u:': ['UW'],
+        'O': ['AO'], 'O:': ['AO'], 'O@': ['AO', 'R'], 'o@': ['AO', 'R'], 'oU': ['OW'],
+        'aI': ['AY'], 'aI@': ['AY', 'ER'], 'aI3': ['AY', 'ER'], 'aU': ['AW'], 'aU@': ['AW', 'ER'],
+        'eI': ['EY'], 'OI': ['OY'],
+
+        // Consonants (t# and d# are flaps, x only turns up in loanwords)
+        'p': ['P'], 'b': ['B'], 't': ['T'], 't#': ['T'], 'd': ['D'], 'd#': ['D'], 'k': ['K'], 'g': ['G'], 'x': ['K'],
+        'f': ['F'], 'v': ['V'], 'T': ['TH'], 'D': ['DH'], 's': ['S'], 'z': ['Z'], 'S': ['SH'], 'Z': ['ZH'], 'h': ['HH'],
+        'tS': ['CH'], 'dZ': ['JH'],
+        'm': ['M'], 'n': ['N'], 'n-': ['N'], 'N': ['NG'], 'l': ['L'], 'l-': ['L'], 'r': ['R'], 'r-': ['R'],
+        'w': ['W'], 'j': ['Y']
+    },
+
+    // Letter-to-sound rules for words that are not in the lexicon
+    // Each key is the spelling its rule matches; longer spellings are tried first, and a rule
+    // with a higher `priority` (default 0) goes before all rules with a lower one
+    letterRules: {
+        // Vowels
+        'a': { match: /a(?![iy])/g, phoneme: 'AA' },
+        'ay': { match: /ay|ai/g, phoneme: 'AY' },
+        'ah': { match: /ah/g, phoneme: 'AH' },
+        'aw': { match: /aw|au/g, phoneme: 'AW' },
+        'e': { match: /e(?![e])/g, phoneme: 'EH' },
+        'ee': { match: /ee|ea|y$/g, phoneme: 'IY' },
+        'i': { match: /i(?![e])/g, phoneme: 'IH' },
+        'o': { match: /o(?![ou])/g, phoneme: 'AO' },
+        'oo': { match: /oo|u[^aeiou]/g, phoneme: 'UW' },
+        'ou': { match: /ou|ow/g, phoneme: 'OW' },
+        'oy': { match: /oy|oi/g, phoneme: 'OY' },
+        'u': { match: /u/g, phoneme: 'UH' },
+        'er': { match: /er|ir|ur/g, phoneme: 'ER' },
+
+        // Consonants
+        'b': { match: /b/g, phoneme: 'B' },
+        'ch': { match: /ch|tch/g, phoneme: 'CH' },
+        'd': { match: /d/g, phoneme: 'D' },
+        'f': { match: /f|ph/g, phoneme: 'F' },
+        'g': { match: /g(?![h])/g, phoneme: 'G' },
+        'h': { match: /h|wh/g, phoneme: 'HH' },
+        'j': { match: /j|dge/g, phoneme: 'JH' },
+        'k': { match: /k|c(?![eiy])/g, phoneme: 'K' },
+        'l': { match: /l/g, phoneme: 'L' },
+        'm': { match: /m/g, phoneme: 'M' },
+        'n': { match: /n(?![g])/g, phoneme: 'N' },
+        'ng': { match: /ng/g, phoneme: 'NG' },
+        'p': { match: /p/g, phoneme: 'P' },
+        'r': { match: /r/g, phoneme: 'R' },
+        's': { match: /s(?![h])|c(?=[eiy])/g, phoneme: 'S' },
+        'sh': { match: /sh|ti(?=on)|si(?=on)/g, phoneme: 'SH' },
+        't': { match: /t(?![h])/g, phoneme: 'T' },
+        'th': { match: /th/g, phoneme: 'TH' },
+        'v': { match: /v/g, phoneme: 'V' },
+        'w': { match: /w/g, phoneme: 'W' },
+        'y': { match: /y(?=[aeiou])/g, phoneme: 'Y' },
+        'z': { match: /z/g, phoneme: 'Z' },
+        'zh': { match: /si(?=a)/g, phoneme: 'ZH' }
+    },
+
+    // Function words are said quickly, with short pauses and no lexical stress
+    functionWords: ['the', 'a', 'an', 'and', 'or', 'but', 'if', 'in', 'on', 'at', 'to', 'of', 'for'],
+
+    // Pause durations in seconds
+    pauses: {
+        sentence: 0.3,     // Between sentences
+        clause: 0.2,       // After a comma or semicolon
+        functionWord: 0.05, // Next to a function word
+        word: 0.1,         // Between content words
+        final: 0.25        // After the last word
+    },
+
+    // Guess the primary stress syllable for words that aren't in the lexicon
+    guessStressedSyllable(word, syllableCount) {
+        if (syllableCount <= 1) return 0;
+
+        // Suffixes that put the stress on the syllable before them ("relaxation", "dramatic")
+        if (/(tion|sion|cian|ic|ical|ious|ial)$/.test(word)) return Math.max(0, syllableCount - 2);
+        if (/(ity|ify|logy|graphy)$/.test(word)) return Math.max(0, syllableCount - 3);
+
+        // English content words mostly stress the first syllable
+        return 0;
+    }
+};
+
+export default english;
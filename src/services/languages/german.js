@@ -0,0 +1,142 @@
+// German language pack - standard German pronunciation
+
+const german = {
+    code: 'de',
+    name: 'German',
+
+    // Speech recognition locale, TTS model and bundled meSpeak voice
+    speechRecognitionLang: 'de-DE',
+    ttsModelId: 'eleven_multilingual_v2',
+    meSpeakVoice: 'de',
+
+    useLexicon: false,
+    normalizeText: false,
+
+    // Characters stripped from words before phonemization
+    nonWordCharacters: /[^a-zäöüß']/g,
+    sentenceDelimiters: /[.!?]+/,
+
+    // Phoneme inventory: viseme morph and sound class for every phoneme
+    phonemes: {
+        'AA': { viseme: 'viseme_aa', class: 'openVowel' }, // "a" as in "Vater"
+        'AY': { viseme: 'viseme_aa', class: 'openVowel' }, // "ei" as in "mein"
+        'AW': { viseme: 'viseme_aa', class: 'openVowel' }, // "au" as in "Haus"
+        'EH': { viseme: 'viseme_E', class: 'vowel' },      // "e"/"ä" as in "Bett", "Mädchen"
+        'AX': { viseme: 'viseme_E', class: 'centralVowel' }, // schwa as in "bitte"
+        'IH': { viseme: 'viseme_I', class: 'vowel' },      // "i" as in "mit"
+        'IY': { viseme: 'viseme_I', class: 'vowel' },      // "ie" as in "Liebe"
+        'AO': { viseme: 'viseme_O', class: 'vowel' },      // "o" as in "Sonne"
+        'OE': { viseme: 'viseme_O', class: 'vowel' },      // "ö" as in "schön" - rounded front vowel
+        'OY': { viseme: 'viseme_O', class: 'vowel' },      // "eu"/"äu" as in "heute"
+        'UH': { viseme: 'viseme_U', class: 'vowel' },      // "u" as in "Mutter"
+        'UE': { viseme: 'viseme_U', class: 'vowel' },      // "ü" as in "müde" - rounded front vowel
+        'B': { viseme: 'viseme_PP', class: 'stop' },
+        'CH': { viseme: 'viseme_CH', class: 'affricate' }, // "tsch" as in "Deutsch"
+        'D': { viseme: 'viseme_DD', class: 'stop' },
+        'F': { viseme: 'viseme_FF', class: 'fricative' },  // "f"/"v" as in "Vogel"
+        'G': { viseme: 'viseme_kk', class: 'stop' },
+        'HH': { viseme: 'viseme_sil', class: 'other' },
+        'K': { viseme: 'viseme_kk', class: 'stop' },
+        'L': { viseme: 'viseme_DD', class: 'liquid' },
+        'M': { viseme: 'viseme_PP', class: 'nasal' },
+        'N': { viseme: 'viseme_nn', class: 'nasal' },
+        'NG': { viseme: 'viseme_nn', class: 'nasal' },
+        'P': { viseme: 'viseme_PP', class: 'stop' },
+        'R': { viseme: 'viseme_RR', class: 'liquid' },
+        'S': { viseme: 'viseme_SS', class: 'fricative' },
+        'SH': { viseme: 'viseme_SS', class: 'fricative' }, // "sch" as in "Schule"
+        'T': { viseme: 'viseme_DD', class: 'stop' },
+        'V': { viseme: 'viseme_FF', class: 'fricative' },  // "w" as in "Wasser"
+        'X': { viseme: 'viseme_kk', class: 'fricative' },  // "ch" as in "Buch", "ich"
+        'Y': { viseme: 'viseme_I', class: 'liquid' },      // "j" as in "ja"
+        'Z': { viseme: 'viseme_SS', class: 'fricative' }   // voiced "s" as in "Sonne"
+    },
+
+    // The schwa is always reduced
+    reducedVowels: ['AX'],
+
+    // Letter-to-sound rules, by priority and then longest spelling first (see the English pack)
+    letterRules: {
+        // Word endings with schwa ("bitte", "haben", "Lehrer", "Tafel")
+        'en$': { match: /en$/g, phonemes: ['AX', 'N'] },
+        'er$': { match: /er$/g, phonemes: ['AX', 'R'] },
+        'el$': { match: /el$/g, phonemes: ['AX', 'L'] },
+        'e$': { match: /e$/g, phoneme: 'AX' },
+
+        // Vowels and diphthongs
+        'ie': { match: /ie/g, phoneme: 'IY' },
+        'ei': { match: /ei|ai/g, phoneme: 'AY' },
+        'eu': { match: /eu|äu/g, phoneme: 'OY' },
+        'au': { match: /au/g, phoneme: 'AW' },
+        'aa': { match: /aa|ah/g, phoneme: 'AA' },
+        'ee': { match: /ee|eh/g, phoneme: 'EH' },
+        'oo': { match: /oo|oh/g, phoneme: 'AO' },
+        'uh': { match: /uh/g, phoneme: 'UH' },
+        'a': { match: /a/g, phoneme: 'AA' },
+        'ä': { match: /ä/g, phoneme: 'EH' },
+        'e': { match: /e/g, phoneme: 'EH' },
+        'i': { match: /i/g, phoneme: 'IH' },
+        'o': { match: /o/g, phoneme: 'AO' },
+        'ö': { match: /ö/g, phoneme: 'OE' },
+        'u': { match: /u/g, phoneme: 'UH' },
+        'ü': { match: /ü|y/g, phoneme: 'UE' },
+
+        // Consonant clusters
+        'tsch': { match: /tsch/g, phoneme: 'CH' },
+        'sch': { match: /sch/g, phoneme: 'SH' },
+        'ch': { match: /ch/g, phoneme: 'X' },
+        'ck': { match: /ck/g, phoneme: 'K' },
+        'ng': { match: /ng/g, phoneme: 'NG' },
+        'pf': { match: /pf/g, phonemes: ['P', 'F'] },
+        'ph': { match: /ph/g, phoneme: 'F' },
+        'qu': { match: /qu/g, phonemes: ['K', 'V'] },
+        'th': { match: /th/g, phoneme: 'T' },
+        'tz': { match: /tz/g, phonemes: ['T', 'S'] },
+        'ss': { match: /ss|ß/g, phoneme: 'S' },
+        'sV': { match: /s(?=[aeiouäöü])/g, phoneme: 'Z' },
+
+        // Consonants
+        'b': { match: /b/g, phoneme: 'B' },
+        'c': { match: /c/g, phoneme: 'K' },
+        'd': { match: /d/g, phoneme: 'D' },
+        'f': { match: /f|v/g, phoneme: 'F' },
+        'g': { match: /g/g, phoneme: 'G' },
+        'h': { match: /h/g, phoneme: 'HH' },
+        'j': { match: /j/g, phoneme: 'Y' },
+        'k': { match: /k/g, phoneme: 'K' },
+        'l': { match: /l/g, phoneme: 'L' },
+        'm': { match: /m/g, phoneme: 'M' },
+        'n': { match: /n/g, phoneme: 'N' },
+        'p': { match: /p/g, phoneme: 'P' },
+        'r': { match: /r/g, phoneme: 'R' },
+        's': { match: /s/g, phoneme: 'S' },
+        't': { match: /t/g, phoneme: 'T' },
+        'w': { match: /w/g, phoneme: 'V' },
+        'x': { match: /x/g, phonemes: ['K', 'S'] },
+        'z': { match: /z/g, phonemes: ['T', 'S'] }
+    },
+
+    functionWords: ['der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'und', 'oder', 'aber', 'in', 'im', 'an', 'am', 'auf', 'zu', 'von', 'mit', 'ist', 'es'],
+
+    // Pause durations in seconds
+    pauses: {
+        sentence: 0.3,
+        clause: 0.2,
+        functionWord: 0.05,
+        word: 0.1,
+        final: 0.25
+    },
+
+    // German stresses the first syllable, except after unstressed prefixes
+    // and on a few stress-attracting suffixes
+    guessStressedSyllable(word, syllableCount) {
+        if (syllableCount <= 1) return 0;
+
+        if (/(ieren|ion|ität|ei|ie)$/.test(word)) return syllableCount - 1;
+        if (/^(be|ge|er|ver|zer|ent|emp)/.test(word)) return 1;
+
+        return 0;
+    }
+};
+
+export default german;
@@ -0,0 +1,171 @@
+// Hindi language pack - Devanagari script, with basic rules for romanized Hindi
+
+// Devanagari consonants and the phoneme they start with
+// Aspirated and unaspirated pairs look the same on the lips, so they share a phoneme
+const CONSONANTS = {
+    'क': 'K', 'ख': 'K', 'ग': 'G', 'घ': 'G', 'ङ': 'NG',
+    'च': 'CH', 'छ': 'CH', 'ज': 'JH', 'झ': 'JH', 'ञ': 'N',
+    'ट': 'TT', 'ठ': 'TT', 'ड': 'DD', 'ढ': 'DD', 'ण': 'N',
+    'त': 'T', 'थ': 'T', 'द': 'D', 'ध': 'D', 'न': 'N',
+    'प': 'P', 'फ': 'F', 'ब': 'B', 'भ': 'B', 'म': 'M',
+    'य': 'Y', 'र': 'R', 'ल': 'L', 'व': 'V',
+    'श': 'SH', 'ष': 'SH', 'स': 'S', 'ह': 'HH'
+};
+
+// Independent vowel letters and dependent vowel signs (matras)
+const VOWELS = {
+    'अ': 'AH', 'आ': 'AA', 'इ': 'IH', 'ई': 'IY', 'उ': 'UH', 'ऊ': 'UW',
+    'ए': 'EY', 'ऐ': 'AE', 'ओ': 'OW', 'औ': 'AO',
+    'ा': 'AA', 'ि': 'IH', 'ी': 'IY', 'ु': 'UH', 'ू': 'UW',
+    'े': 'EY', 'ै': 'AE', 'ो': 'OW', 'ौ': 'AO'
+};
+
+const CONSONANT_CLASS = Object.keys(CONSONANTS).join('');
+
+// Build the Devanagari rules: a consonant followed by another consonant keeps its
+// inherent "a", a consonant at the end of the word drops it (schwa deletion),
+// and a consonant followed by a matra or virama takes the matra instead
+// The order comes from the priorities: flaps before the plain ड/ढ, and a consonant with
+// its inherent "a" before the bare consonant
+function buildDevanagariRules() {
+    const rules = {};
+
+    // An optional nukta (\u093C) marks borrowed sounds like क़ or ज़ - they are close enough on the lips
+    for (const [letter, phoneme] of Object.entries(CONSONANTS)) {
+        rules[`${letter}+a`] = { match: new RegExp(`${letter}\u093C?(?=[${CONSONANT_CLASS}])`, 'g'), phonemes: [phoneme, 'AH'], priority: 1 };
+        rules[letter] = { match: new RegExp(`${letter}\u093C?`, 'g'), phoneme };
+    }
+    for (const [letter, phoneme] of Object.entries(VOWELS)) {
+        rules[letter] = { match: new RegExp(letter, 'g'), phoneme };
+    }
+
+    // Retroflex flaps (ड़, ढ़, composed or precomposed) sound like a tap "r"
+    rules['ड़+a'] = { match: new RegExp(`(?:[\u0921\u0922]\u093C|[\u095C\u095D])(?=[${CONSONANT_CLASS}])`, 'g'), phonemes: ['R', 'AH'], priority: 3 };
+    rules['ड़'] = { match: /[\u0921\u0922]\u093C|[\u095C\u095D]/g, phoneme: 'R', priority: 2 };
+
+    rules['ऋ'] = { match: /[\u090B\u0943]/g, phonemes: ['R', 'IH'] }; // Vocalic r (ऋ, ृ)
+    rules['ं'] = { match: /\u0902/g, phoneme: 'N' };                 // Anusvara - nasal consonant
+    rules['्'] = { match: /[\u0901\u094D\u093C]/g, phonemes: [] };  // Chandrabindu, virama and stray nukta are silent
+
+    return rules;
+}
+
+const hindi = {
+    code: 'hi',
+    name: 'Hindi',
+
+    // Speech recognition locale, TTS model and bundled meSpeak voice
+    // meSpeak ships no Hindi voice, so timing always comes from the rules
+    speechRecognitionLang: 'hi-IN',
+    ttsModelId: 'eleven_multilingual_v2',
+    meSpeakVoice: null,
+
+    useLexicon: false,
+    normalizeText: false,
+
+    // Characters stripped from words before phonemization (keeps Devanagari and Latin letters)
+    nonWordCharacters: /[^a-z'\u0900-\u0963\u0966-\u097F]/g,
+    sentenceDelimiters: /[.!?।॥]+/,
+
+    // Phoneme inventory: viseme morph and sound class for every phoneme
+    phonemes: {
+        'AH': { viseme: 'viseme_aa', class: 'centralVowel' }, // अ - inherent vowel
+        'AA': { viseme: 'viseme_aa', class: 'openVowel' },    // आ
+        'AE': { viseme: 'viseme_aa', class: 'openVowel' },    // ऐ
+        'AO': { viseme: 'viseme_O', class: 'openVowel' },     // औ
+        'IH': { viseme: 'viseme_I', class: 'vowel' },         // इ
+        'IY': { viseme: 'viseme_I', class: 'vowel' },         // ई
+        'UH': { viseme: 'viseme_U', class: 'vowel' },         // उ
+        'UW': { viseme: 'viseme_U', class: 'vowel' },         // ऊ
+        'EY': { viseme: 'viseme_E', class: 'vowel' },         // ए
+        'OW': { viseme: 'viseme_O', class: 'vowel' },         // ओ
+        'B': { viseme: 'viseme_PP', class: 'stop' },
+        'CH': { viseme: 'viseme_CH', class: 'affricate' },
+        'D': { viseme: 'viseme_TH', class: 'stop' },          // Dental द - tongue against the teeth
+        'DD': { viseme: 'viseme_DD', class: 'stop' },         // Retroflex ड
+        'F': { viseme: 'viseme_FF', class: 'fricative' },
+        'G': { viseme: 'viseme_kk', class: 'stop' },
+        'HH': { viseme: 'viseme_sil', class: 'other' },
+        'JH': { viseme: 'viseme_CH', class: 'affricate' },
+        'K': { viseme: 'viseme_kk', class: 'stop' },
+        'L': { viseme: 'viseme_DD', class: 'liquid' },
+        'M': { viseme: 'viseme_PP', class: 'nasal' },
+        'N': { viseme: 'viseme_nn', class: 'nasal' },
+        'NG': { viseme: 'viseme_nn', class: 'nasal' },
+        'P': { viseme: 'viseme_PP', class: 'stop' },
+        'R': { viseme: 'viseme_RR', class: 'liquid' },
+        'S': { viseme: 'viseme_SS', class: 'fricative' },
+        'SH': { viseme: 'viseme_SS', class: 'fricative' },
+        'T': { viseme: 'viseme_TH', class: 'stop' },          // Dental त - tongue against the teeth
+        'TT': { viseme: 'viseme_DD', class: 'stop' },         // Retroflex ट
+        'V': { viseme: 'viseme_FF', class: 'liquid' },
+        'Y': { viseme: 'viseme_I', class: 'liquid' }
+    },
+
+    // The inherent vowel is short and lax when unstressed
+    reducedVowels: ['AH'],
+
+    // Letter-to-sound rules, by priority and then longest spelling first (see PhonemeLipSyncService)
+    letterRules: {
+        ...buildDevanagariRules(),
+
+        // Romanized Hindi ("aap kaise hain")
+        'aa': { match: /aa/g, phoneme: 'AA' },
+        'ai': { match: /ai/g, phoneme: 'AE' },
+        'au': { match: /au/g, phoneme: 'AO' },
+        'ee': { match: /ee|ii/g, phoneme: 'IY' },
+        'oo': { match: /oo|uu/g, phoneme: 'UW' },
+        'kh': { match: /kh/g, phoneme: 'K' },
+        'gh': { match: /gh/g, phoneme: 'G' },
+        'ch': { match: /chh|ch/g, phoneme: 'CH' },
+        'jh': { match: /jh/g, phoneme: 'JH' },
+        'th': { match: /th/g, phoneme: 'T' },
+        'dh': { match: /dh/g, phoneme: 'D' },
+        'ph': { match: /ph/g, phoneme: 'F' },
+        'bh': { match: /bh/g, phoneme: 'B' },
+        'sh': { match: /sh/g, phoneme: 'SH' },
+        'a': { match: /a/g, phoneme: 'AH' },
+        'e': { match: /e/g, phoneme: 'EY' },
+        'i': { match: /i/g, phoneme: 'IH' },
+        'o': { match: /o/g, phoneme: 'OW' },
+        'u': { match: /u/g, phoneme: 'UH' },
+        'b': { match: /b/g, phoneme: 'B' },
+        'd': { match: /d/g, phoneme: 'D' },
+        'f': { match: /f/g, phoneme: 'F' },
+        'g': { match: /g/g, phoneme: 'G' },
+        'h': { match: /h/g, phoneme: 'HH' },
+        'j': { match: /j|z/g, phoneme: 'JH' },
+        'k': { match: /k|q|c/g, phoneme: 'K' },
+        'l': { match: /l/g, phoneme: 'L' },
+        'm': { match: /m/g, phoneme: 'M' },
+        'n': { match: /n/g, phoneme: 'N' },
+        'p': { match: /p/g, phoneme: 'P' },
+        'r': { match: /r/g, phoneme: 'R' },
+        's': { match: /s|x/g, phoneme: 'S' },
+        't': { match: /t/g, phoneme: 'T' },
+        'v': { match: /v|w/g, phoneme: 'V' },
+        'y': { match: /y/g, phoneme: 'Y' }
+    },
+
+    functionWords: [
+        'है', 'हैं', 'और', 'का', 'की', 'के', 'में', 'से', 'को', 'पर', 'ने', 'तो', 'भी',
+        'hai', 'hain', 'aur', 'ka', 'ki', 'ke', 'mein', 'se', 'ko', 'par', 'ne', 'to', 'bhi'
+    ],
+
+    // Pause durations in seconds
+    pauses: {
+        sentence: 0.3,
+        clause: 0.2,
+        functionWord: 0.05,
+        word: 0.1,
+        final: 0.25
+    },
+
+    // Hindi stress is weak and weight based - the first long vowel is the most prominent,
+    // which the vowel durations already reflect, so the first syllable is used
+    guessStressedSyllable() {
+        return 0;
+    }
+};
+
+export default hindi;
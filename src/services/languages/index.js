@@ -0,0 +1,31 @@
+import english from './english';
+import spanish from './spanish';
+import german from './german';
+import hindi from './hindi';
+
+// Language packs by ISO 639-1 code
+const languagePacks = {
+    en: english,
+    es: spanish,
+    de: german,
+    hi: hindi
+};
+
+// Find the language pack for a language code or locale ('es', 'es-MX' and 'es_MX' all give Spanish)
+// Unknown languages fall back to English
+export function getLanguagePack(code) {
+    const language = String(code || 'en').toLowerCase().split(/[-_]/)[0];
+
+    if (!languagePacks[language]) {
+        console.warn(`No language pack for "${code}", falling back to English`);
+        return english;
+    }
+
+    return languagePacks[language];
+}
+
+export function getSupportedLanguages() {
+    return Object.keys(languagePacks);
+}
+
+export default languagePacks;
@@ -0,0 +1,121 @@
+// Spanish language pack - Latin American pronunciation (seseo: "c"/"z" sound like "s")
+
+const spanish = {
+    code: 'es',
+    name: 'Spanish',
+
+    // Speech recognition locale, TTS model and bundled meSpeak voice
+    speechRecognitionLang: 'es-ES',
+    ttsModelId: 'eleven_multilingual_v2',
+    meSpeakVoice: 'es',
+
+    useLexicon: false,
+    normalizeText: false,
+
+    // Characters stripped from words before phonemization
+    nonWordCharacters: /[^a-záéíóúüñ']/g,
+    sentenceDelimiters: /[.!?¡¿]+/,
+
+    // Phoneme inventory: viseme morph and sound class for every phoneme
+    phonemes: {
+        'A': { viseme: 'viseme_aa', class: 'openVowel' }, // "a" as in "casa"
+        'E': { viseme: 'viseme_E', class: 'vowel' },      // "e" as in "mesa"
+        'I': { viseme: 'viseme_I', class: 'vowel' },      // "i" as in "sí"
+        'O': { viseme: 'viseme_O', class: 'vowel' },      // "o" as in "todo"
+        'U': { viseme: 'viseme_U', class: 'vowel' },      // "u" as in "luna"
+        'B': { viseme: 'viseme_PP', class: 'stop' },      // "b"/"v" as in "vaso"
+        'CH': { viseme: 'viseme_CH', class: 'affricate' }, // "ch" as in "chico"
+        'D': { viseme: 'viseme_DD', class: 'stop' },      // "d" as in "dedo"
+        'F': { viseme: 'viseme_FF', class: 'fricative' }, // "f" as in "feliz"
+        'G': { viseme: 'viseme_kk', class: 'stop' },      // "g" as in "gato"
+        'K': { viseme: 'viseme_kk', class: 'stop' },      // "c"/"qu" as in "queso"
+        'L': { viseme: 'viseme_DD', class: 'liquid' },    // "l" as in "lado"
+        'M': { viseme: 'viseme_PP', class: 'nasal' },     // "m" as in "mamá"
+        'N': { viseme: 'viseme_nn', class: 'nasal' },     // "n" as in "no"
+        'NY': { viseme: 'viseme_nn', class: 'nasal' },    // "ñ" as in "niño"
+        'P': { viseme: 'viseme_PP', class: 'stop' },      // "p" as in "padre"
+        'R': { viseme: 'viseme_RR', class: 'liquid' },    // tap "r" as in "pero"
+        'RR': { viseme: 'viseme_RR', class: 'liquid' },   // trill "rr" as in "perro"
+        'S': { viseme: 'viseme_SS', class: 'fricative' }, // "s"/"z"/soft "c" as in "zapato"
+        'T': { viseme: 'viseme_DD', class: 'stop' },      // "t" as in "taza"
+        'W': { viseme: 'viseme_U', class: 'liquid' },     // "u" glide as in "bueno"
+        'X': { viseme: 'viseme_kk', class: 'fricative' }, // "j"/soft "g" as in "jamón"
+        'Y': { viseme: 'viseme_I', class: 'liquid' }      // "y"/"ll"/"i" glide as in "llave", "bien"
+    },
+
+    // Spanish vowels keep their quality when unstressed
+    reducedVowels: [],
+
+    // Letter-to-sound rules, by priority and then longest spelling first (see the English pack)
+    letterRules: {
+        // Glides: unstressed "i"/"u" before another vowel form a diphthong ("bien", "bueno")
+        'iV': { match: /i(?=[aeoáéó])/g, phoneme: 'Y' },
+        'uV': { match: /u(?=[aeoáéó])/g, phoneme: 'W' },
+
+        // Vowels
+        'a': { match: /[aá]/g, phoneme: 'A' },
+        'e': { match: /[eé]/g, phoneme: 'E' },
+        'i': { match: /[ií]/g, phoneme: 'I' },
+        'o': { match: /[oó]/g, phoneme: 'O' },
+        'u': { match: /[uúü]/g, phoneme: 'U' },
+
+        // Digraphs
+        'ch': { match: /ch/g, phoneme: 'CH' },
+        'll': { match: /ll/g, phoneme: 'Y' },
+        'rr': { match: /rr/g, phoneme: 'RR' },
+        'qu': { match: /qu(?=[eiéí])/g, phoneme: 'K' },
+        'gu': { match: /gu(?=[eiéí])/g, phoneme: 'G' },
+        'gü': { match: /gü/g, phonemes: ['G', 'W'] },
+
+        // Context dependent consonants
+        'ce': { match: /c(?=[eiéí])/g, phoneme: 'S' },
+        'ge': { match: /g(?=[eiéí])/g, phoneme: 'X' },
+        'y$': { match: /y$/g, phoneme: 'I' },
+
+        // Consonants
+        'b': { match: /[bv]/g, phoneme: 'B' },
+        'c': { match: /c/g, phoneme: 'K' },
+        'd': { match: /d/g, phoneme: 'D' },
+        'f': { match: /f/g, phoneme: 'F' },
+        'g': { match: /g/g, phoneme: 'G' },
+        'h': { match: /h/g, phonemes: [] }, // Silent
+        'j': { match: /j/g, phoneme: 'X' },
+        'k': { match: /k/g, phoneme: 'K' },
+        'l': { match: /l/g, phoneme: 'L' },
+        'm': { match: /m/g, phoneme: 'M' },
+        'n': { match: /n/g, phoneme: 'N' },
+        'ñ': { match: /ñ/g, phoneme: 'NY' },
+        'p': { match: /p/g, phoneme: 'P' },
+        'r': { match: /r/g, phoneme: 'R' },
+        's': { match: /[sz]/g, phoneme: 'S' },
+        't': { match: /t/g, phoneme: 'T' },
+        'w': { match: /w/g, phoneme: 'W' },
+        'x': { match: /x/g, phonemes: ['K', 'S'] },
+        'y': { match: /y/g, phoneme: 'Y' }
+    },
+
+    functionWords: ['el', 'la', 'los', 'las', 'un', 'una', 'y', 'o', 'pero', 'de', 'del', 'en', 'a', 'al', 'con', 'por', 'para', 'que', 'se', 'es'],
+
+    // Pause durations in seconds
+    pauses: {
+        sentence: 0.3,
+        clause: 0.2,
+        functionWord: 0.04,
+        word: 0.08,
+        final: 0.25
+    },
+
+    // Written accents mark stress, otherwise words ending in a vowel, "n" or "s"
+    // stress the second to last syllable and all other words the last one
+    guessStressedSyllable(word, syllableCount) {
+        if (syllableCount <= 1) return 0;
+
+        const vowelGroups = word.match(/[aeiouáéíóúü]+/g) || [];
+        const accented = vowelGroups.findIndex(group => /[áéíóú]/.test(group));
+        if (accented >= 0) return Math.min(accented, syllableCount - 1);
+
+        return /[aeiouns]$/.test(word) ? syllableCount - 2 : syllableCount - 1;
+    }
+};
+
+export default spanish;
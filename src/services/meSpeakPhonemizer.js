@@ -0,0 +1,283 @@
+import meSpeak from 'mespeak';
+import ESpeak from 'mespeak/src/ESpeak.js';
+
+// Voice modules bundled with meSpeak, loaded on demand
+const voiceModules = {
+    'en/en-us': () => import('mespeak/voices/en/en-us.json'),
+    'es': () => import('mespeak/voices/es.json'),
+    'de': () => import('mespeak/voices/de.json')
+};
+
+// Where eSpeak looks for its data in the engine's virtual file system
+const ESPEAK_DIR = '/espeak';
+const ESPEAK_DATA_DIR = '/espeak/espeak-data';
+
+class MeSpeakPhonemizer {
+    constructor(voice = 'en/en-us') {
+        this.voice = voice;
+        this.isReady = false;
+        this.loadPromise = null;
+
+        // Word gap inserted by eSpeak (in 10ms units) so words can be split on silence
+        this.wordGap = 25;
+
+        // Analysis settings for finding words in the synthesized audio
+        this.frameDuration = 0.01;     // 10ms analysis frames
+        this.silenceThreshold = 0.04;  // Fraction of the loudest frame treated as silence
+        this.minWordGap = 0.15;        // Silences shorter than this are inside a word (stop closures)
+
+        // meSpeak only runs eSpeak to synthesize audio, so a second eSpeak engine prints the
+        // phoneme mnemonics (eSpeak's -x option) of words the lexicon doesn't have
+        this.engine = null;
+        this.engineFiles = null;            // { config, voice } to set up a fresh engine
+        this.engineOutput = [];
+        this.transcriptions = new Map();    // Word -> mnemonics for the current voice
+
+        // Every eSpeak run leaks a little of the emscripten heap and the engine breaks after
+        // about 80 runs, so it is replaced well before that
+        this.engineRuns = 0;
+        this.maxEngineRuns = 40;
+    }
+
+    // Switch voices, the new voice is loaded by the next load() call
+    // A null voice turns eSpeak timing off (e.g. for languages meSpeak doesn't ship)
+    setVoice(voice) {
+        if (voice === this.voice) return;
+
+        this.voice = voice;
+        this.isReady = false;
+        this.loadPromise = null;
+        this.transcriptions.clear();
+    }
+
+    // Load eSpeak's config data and the voice module
+    // Everything is bundled locally, no network access is needed
+    async load() {
+        if (this.loadPromise) return this.loadPromise;
+        if (!this.voice) return;
+
+        this.loadPromise = (async () => {
+            try {
+                const loadVoiceModule = voiceModules[this.voice];
+                if (!loadVoiceModule) {
+                    throw new Error(`No meSpeak voice bundled for ${this.voice}`);
+                }
+
+                const [config, voice] = await Promise.all([
+                    import('mespeak/src/mespeak_config.json'),
+                    loadVoiceModule()
+                ]);
+
+                if (!meSpeak.isConfigLoaded()) {
+                    meSpeak.loadConfig(config.default);
+                }
+                if (!meSpeak.isVoiceLoaded(this.voice)) {
+                    meSpeak.loadVoice(voice.default);
+                }
+
+                this.isReady = meSpeak.isConfigLoaded() && meSpeak.isVoiceLoaded(this.voice);
+                this.setUpEngine(config.default, voice.default);
+                console.log('meSpeak phonemizer ready:', this.isReady);
+            } catch (error) {
+                console.error('Failed to load meSpeak phonemizer:', error);
+                this.isReady = false;
+            }
+        })();
+
+        return this.loadPromise;
+    }
+
+    // Give the phoneme engine the same data files meSpeak loads into its own engine
+    // Without it words are still timed, only the transcriptions are missing
+    setUpEngine(config, voice) {
+        this.engineFiles = { config, voice };
+
+        try {
+            if (!this.engine) {
+                this.engine = new ESpeak();
+                this.engineRuns = 0;
+                for (const name of ['config', 'phontab', 'phonindex', 'phondata', 'intonations']) {
+                    this.writeEngineFile(ESPEAK_DATA_DIR, name, this.decodeBase64(config[name]));
+                }
+            }
+
+            if (!this.engine.FS.findObject(`${ESPEAK_DATA_DIR}/${voice.dict_id}`)) {
+                this.writeEngineFile(ESPEAK_DATA_DIR, voice.dict_id, this.decodeBase64(voice.dict));
+            }
+            const voicePath = `${ESPEAK_DATA_DIR}/voices/${voice.voice_id}`;
+            if (!this.engine.FS.findObject(voicePath)) {
+                const voiceData = voice.voice_encoding === 'text'
+                    ? Array.from(voice.voice, character => character.charCodeAt(0))
+                    : this.decodeBase64(voice.voice);
+                const separator = voicePath.lastIndexOf('/');
+                this.writeEngineFile(voicePath.slice(0, separator), voicePath.slice(separator + 1), voiceData);
+            }
+
+            // eSpeak creates its stdout on the first run; collect its lines from then on
+            if (!this.engine.FS.findObject('/dev/stdout')) {
+                this.engine.Module.arguments = ['-q', `--path=${ESPEAK_DIR}`, '-v', this.voice, ''];
+                this.engine.run();
+                this.engine.FS.findObject('/dev/stdout').output.printer = line => this.engineOutput.push(line);
+            }
+        } catch (error) {
+            console.warn('eSpeak phoneme engine unavailable, unknown words fall back to the letter rules:', error);
+            this.engine = null;
+        }
+    }
+
+    writeEngineFile(directory, name, data) {
+        if (!this.engine.FS.findObject(directory)) {
+            this.engine.FS.createPath('/', directory.slice(1), true, true);
+        }
+        this.engine.FS.createDataFile(directory, name, data, true, false);
+    }
+
+    decodeBase64(text) {
+        return Array.from(atob(text), character => character.charCodeAt(0));
+    }
+
+    // eSpeak's phoneme mnemonics for a word (e.g. "kw'0k" for "quokka"), or null
+    transcribeWord(word) {
+        if (!this.isReady || !this.engine || !word) return null;
+        if (this.transcriptions.has(word)) return this.transcriptions.get(word);
+
+        if (this.engineRuns >= this.maxEngineRuns) {
+            this.engine = null;
+            this.setUpEngine(this.engineFiles.config, this.engineFiles.voice);
+            if (!this.engine) return null;
+        }
+
+        let mnemonics = null;
+        try {
+            this.engineRuns++;
+            this.engineOutput = [];
+            this.engine.Module.arguments = ['-q', '-x', `--path=${ESPEAK_DIR}`, '-v', this.voice, word];
+            this.engine.run();
+            mnemonics = this.engineOutput.join(' ').trim() || null;
+        } catch (error) {
+            console.error('eSpeak transcription failed:', error);
+        }
+
+        this.transcriptions.set(word, mnemonics);
+        return mnemonics;
+    }
+
+    // Synthesize a phrase with eSpeak and measure how long each word is spoken
+    // Returns one duration (in seconds) per word, or null if the words can't be told apart
+    // meSpeak's speak() only returns the synthesized audio, so the timing is read back
+    // from the waveform
+    measureWordDurations(words) {
+        if (!this.isReady || !words || words.length === 0) return null;
+
+        try {
+            const wav = meSpeak.speak(words.join(' '), {
+                rawdata: 'array',
+                voice: this.voice,
+                wordgap: this.wordGap
+            });
+            if (!wav) return null;
+
+            const audio = this.decodeWav(wav);
+            if (!audio) return null;
+
+            const segments = this.findSpokenSegments(audio.samples, audio.sampleRate);
+
+            // eSpeak may split or merge words (e.g. spelling out acronyms), so only
+            // trust the measurement when every word got exactly one segment
+            if (segments.length !== words.length) {
+                console.log(`meSpeak found ${segments.length} segments for ${words.length} words, ignoring timing`);
+                return null;
+            }
+
+            return segments.map(segment => segment.end - segment.start);
+        } catch (error) {
+            console.error('meSpeak synthesis failed:', error);
+            return null;
+        }
+    }
+
+    // Read the samples out of the 16-bit mono PCM WAV that eSpeak produces
+    decodeWav(bytes) {
+        const readUint32 = (offset) =>
+            (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+        const readTag = (offset) =>
+            String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+        if (readTag(0) !== 'RIFF' || readTag(8) !== 'WAVE') return null;
+
+        let sampleRate = 22050;
+        let offset = 12;
+
+        while (offset + 8 <= bytes.length) {
+            const tag = readTag(offset);
+            const size = readUint32(offset + 4);
+            const dataStart = offset + 8;
+
+            if (tag === 'fmt ') {
+                sampleRate = readUint32(dataStart + 4);
+            } else if (tag === 'data') {
+                const end = Math.min(dataStart + size, bytes.length);
+                const samples = new Float32Array(Math.floor((end - dataStart) / 2));
+
+                for (let i = 0; i < samples.length; i++) {
+                    const value = bytes[dataStart + i * 2] | (bytes[dataStart + i * 2 + 1] << 8);
+                    samples[i] = (value > 32767 ? value - 65536 : value) / 32768;
+                }
+
+                return { samples, sampleRate };
+            }
+
+            offset = dataStart + size + (size % 2);
+        }
+
+        return null;
+    }
+
+    // Find the stretches of audio between word gaps
+    findSpokenSegments(samples, sampleRate) {
+        const frameSize = Math.max(1, Math.round(sampleRate * this.frameDuration));
+        const energies = [];
+
+        for (let start = 0; start < samples.length; start += frameSize) {
+            const end = Math.min(start + frameSize, samples.length);
+            let sum = 0;
+            for (let i = start; i < end; i++) {
+                sum += samples[i] * samples[i];
+            }
+            energies.push(Math.sqrt(sum / (end - start)));
+        }
+
+        const peak = Math.max(...energies, 0);
+        if (peak === 0) return [];
+
+        const threshold = peak * this.silenceThreshold;
+        const minGapFrames = Math.ceil(this.minWordGap / this.frameDuration);
+        const segments = [];
+        let segmentStart = null;
+        let lastVoicedFrame = null;
+
+        energies.forEach((energy, frame) => {
+            if (energy < threshold) return;
+
+            if (segmentStart === null) {
+                segmentStart = frame;
+            } else if (frame - lastVoicedFrame > minGapFrames) {
+                // Long enough silence - close the current word and start a new one
+                segments.push({ start: segmentStart, end: lastVoicedFrame + 1 });
+                segmentStart = frame;
+            }
+            lastVoicedFrame = frame;
+        });
+
+        if (segmentStart !== null) {
+            segments.push({ start: segmentStart, end: lastVoicedFrame + 1 });
+        }
+
+        return segments.map(segment => ({
+            start: segment.start * this.frameDuration,
+            end: segment.end * this.frameDuration
+        }));
+    }
+}
+
+export default MeSpeakPhonemizer;
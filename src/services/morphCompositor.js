@@ -0,0 +1,126 @@
+const BLEND_MODES = ['additive', 'override', 'max'];
+
+// Layered morph target compositor
+//
+// Every animation source (resting face, emotion, visemes, blinks, gaze, procedural motion)
+// writes its morph weights into its own layer instead of onto the mesh. Once per frame
+// resolve() combines the layers in order and writes the final influences, so no source
+// can wipe out another one by writing last.
+//
+// Blend modes, applied with the layer weight:
+//   additive  adds the layer's values
+//   override  replaces the layers below for the morphs it sets (blended by the weight)
+//   max       keeps the larger of the two values
+class MorphCompositor {
+    constructor() {
+        // Layers in blend order: { name, weight, blendMode, values: { morph: value } }
+        this.layers = [];
+
+        // Per-morph [min, max] limits applied after blending; everything else is clamped to 0-1
+        this.morphRanges = {};
+        this.defaultRange = [0, 1];
+    }
+
+    addLayer(name, { weight = 1, blendMode = 'additive' } = {}) {
+        if (this.getLayer(name)) {
+            throw new Error(`Morph layer "${name}" already exists`);
+        }
+        this.checkBlendMode(blendMode);
+
+        const layer = { name, weight, blendMode, values: {} };
+        this.layers.push(layer);
+        return layer;
+    }
+
+    getLayer(name) {
+        return this.layers.find(layer => layer.name === name) || null;
+    }
+
+    // Layer by name, throws for a layer that was never added
+    requireLayer(name) {
+        const layer = this.getLayer(name);
+        if (!layer) {
+            throw new Error(`Unknown morph layer "${name}"`);
+        }
+        return layer;
+    }
+
+    checkBlendMode(blendMode) {
+        if (!BLEND_MODES.includes(blendMode)) {
+            throw new Error(`Unknown blend mode "${blendMode}", expected one of: ${BLEND_MODES.join(', ')}`);
+        }
+    }
+
+    setLayerWeight(name, weight) {
+        this.requireLayer(name).weight = Math.max(0, Math.min(1, weight));
+    }
+
+    setBlendMode(name, blendMode) {
+        this.checkBlendMode(blendMode);
+        this.requireLayer(name).blendMode = blendMode;
+    }
+
+    // Set one morph in a layer
+    set(name, morph, value) {
+        this.requireLayer(name).values[morph] = value;
+    }
+
+    // Replace everything in a layer with the given { morph: value } weights
+    setWeights(name, weights) {
+        this.requireLayer(name).values = { ...weights };
+    }
+
+    clearLayer(name) {
+        this.requireLayer(name).values = {};
+    }
+
+    hasWeights(name) {
+        return Object.keys(this.requireLayer(name).values).length > 0;
+    }
+
+    setMorphRange(morph, min, max) {
+        this.morphRanges[morph] = [min, max];
+    }
+
+    // Blend all layers into { morph: value }, clamped per morph
+    blend() {
+        const result = {};
+
+        for (const layer of this.layers) {
+            if (layer.weight <= 0) continue;
+
+            for (const [morph, value] of Object.entries(layer.values)) {
+                const current = result[morph] || 0;
+                if (layer.blendMode === 'override') {
+                    result[morph] = current + (value - current) * layer.weight;
+                } else if (layer.blendMode === 'max') {
+                    result[morph] = Math.max(current, value * layer.weight);
+                } else {
+                    result[morph] = current + value * layer.weight;
+                }
+            }
+        }
+
+        for (const [morph, value] of Object.entries(result)) {
+            const [min, max] = this.morphRanges[morph] || this.defaultRange;
+            result[morph] = Math.max(min, Math.min(max, value));
+        }
+        return result;
+    }
+
+    // Write the blended weights to a mesh's influences; morphs no layer sets are zeroed
+    resolve(morphTargetDictionary, morphTargetInfluences) {
+        const weights = this.blend();
+
+        morphTargetInfluences.fill(0);
+        for (const [morph, value] of Object.entries(weights)) {
+            const index = morphTargetDictionary[morph];
+            if (index !== undefined) {
+                morphTargetInfluences[index] = value;
+            }
+        }
+        return weights;
+    }
+}
+
+export default MorphCompositor;
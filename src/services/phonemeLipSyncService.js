@@ -1,52 +1,31 @@
-import compromise from 'compromise';
-import meSpeak from 'mespeak';
+import PronunciationLexicon from './pronunciationLexicon';
+import MeSpeakPhonemizer from './meSpeakPhonemizer';
+import TextNormalizer from './textNormalizer';
+import { getLanguagePack } from './languages';
+import CoarticulationModel from './coarticulationModel';
+import ForcedAligner from './forcedAligner';
+import { getVisemeProfile } from './visemeProfiles';
+import ARKitVisemeMapper from './arkitVisemeMapper';
+import SsmlParser from './ssmlParser';
+import PronunciationOverrides from './pronunciationOverrides';
 
 class PhonemeLipSyncService {
-    constructor() {
-        // Standard Preston Blair phoneme set - the industry standard for lip sync
-        // This is a reduced set focusing on the most important mouth shapes
-        this.visemeMap = {
-            // Standard Preston Blair viseme set (simplified)
-            'AA': 'viseme_aa', // "ah" as in "father" - open mouth
-            'AE': 'viseme_aa', // "a" as in "cat" - open mouth
-            'AH': 'viseme_aa', // "uh" as in "cut" - open mouth
-            'AO': 'viseme_O',  // "aw" as in "dog" - rounded open mouth
-            'AW': 'viseme_aa', // "ow" as in "cow" - open mouth
-            'AY': 'viseme_aa', // "eye" - open mouth
-            'B': 'viseme_PP',  // "b" as in "bee" - closed lips
-            'CH': 'viseme_CH', // "ch" as in "cheese" - pursed lips
-            'D': 'viseme_DD',  // "d" as in "dog" - tongue on teeth
-            'DH': 'viseme_TH', // "th" as in "that" - tongue through teeth
-            'EH': 'viseme_E',  // "e" as in "bed" - slightly open mouth
-            'ER': 'viseme_RR', // "ur" as in "bird" - rounded open mouth
-            'EY': 'viseme_E',  // "a" as in "say" - slightly open mouth
-            'F': 'viseme_FF',  // "f" as in "food" - lower lip on upper teeth
-            'G': 'viseme_kk',  // "g" as in "go" - back of mouth
-            'HH': 'viseme_sil', // "h" as in "house" - slight opening
-            'IH': 'viseme_I',  // "i" as in "sit" - slightly spread lips
-            'IY': 'viseme_I',  // "ee" as in "bee" - spread lips
-            'JH': 'viseme_CH', // "j" as in "just" - pursed lips
-            'K': 'viseme_kk',  // "k" as in "cat" - back of mouth
-            'L': 'viseme_DD',  // "l" as in "love" - tongue up
-            'M': 'viseme_PP',  // "m" as in "mom" - closed lips
-            'N': 'viseme_nn',  // "n" as in "nop" - tongue on upper palate
-            'NG': 'viseme_nn', // "ng" as in "sing" - back of mouth
-            'OW': 'viseme_O',  // "o" as in "go" - rounded lips
-            'OY': 'viseme_O',  // "oy" as in "boy" - rounded lips
-            'P': 'viseme_PP',  // "p" as in "pop" - closed lips
-            'R': 'viseme_RR',  // "r" as in "red" - rounded small opening
-            'S': 'viseme_SS',  // "s" as in "sit" - teeth close, slight grimace
-            'SH': 'viseme_SS', // "sh" as in "she" - rounded small opening
-            'T': 'viseme_DD',  // "t" as in "top" - tongue on upper palate
-            'TH': 'viseme_TH', // "th" as in "thin" - tongue between teeth
-            'UH': 'viseme_U',  // "oo" as in "book" - rounded lips
-            'UW': 'viseme_U',  // "oo" as in "food" - very rounded lips
-            'V': 'viseme_FF',  // "v" as in "very" - lower lip on upper teeth
-            'W': 'viseme_U',   // "w" as in "way" - rounded lips
-            'Y': 'viseme_I',   // "y" as in "yes" - slightly spread lips
-            'Z': 'viseme_SS',  // "z" as in "zoo" - teeth close, slight grimace
-            'ZH': 'viseme_SS', // "zh" as in "measure" - teeth close, slight grimace
-            'sil': 'viseme_sil' // silence - neutral closed mouth
+    constructor(language = 'en') {
+        // Phoneme -> viseme map, letter rules, function words and pauses all come from
+        // the active language pack (see setLanguage)
+        this.languagePack = null;
+
+        // Base phoneme durations in seconds by sound class
+        this.phonemeClassDurations = {
+            'openVowel': 0.22,    // Open vowels tend to be longer
+            'vowel': 0.20,        // Other vowels
+            'centralVowel': 0.15, // Schwa-like vowels are short
+            'liquid': 0.15,       // Semivowels and liquids have medium duration
+            'nasal': 0.15,        // Nasals have medium duration
+            'fricative': 0.18,    // Fricatives can be sustained
+            'stop': 0.12,         // Stops are quick
+            'affricate': 0.15,    // Affricates
+            'other': 0.15
         };
 
         // Secondary morph targets that accompany each viseme for more natural movement
@@ -69,160 +48,431 @@ class PhonemeLipSyncService {
             'viseme_U': { morphs: ["mouthPucker", "jawOpen"], weight: 0.35 } // Added jawOpen
         };
 
-        // Dictionary of phoneme patterns for improved word analysis
-        this.phonemePatterns = this.buildPhonemePatterns();
-        
-        // Viseme reduction map - reduces the 15 visemes to 7 core visemes for more natural speech
-        // This follows the Disney animation principle of simplification
-        this.reducedVisemeSet = {
-            'viseme_sil': 'viseme_sil', // Neutral
-            'viseme_PP': 'viseme_PP',   // Closed (P, B, M)
-            'viseme_FF': 'viseme_FF',   // Labiodental (F, V)
-            'viseme_TH': 'viseme_TH',   // Interdental (TH)
-            'viseme_DD': 'viseme_DD',   // Dental/Alveolar (D, T, L, N)
-            'viseme_kk': 'viseme_kk',   // Velar (K, G)
-            'viseme_CH': 'viseme_CH',   // Post-alveolar (CH, J, SH)
-            'viseme_SS': 'viseme_FF',   // Map to FF (simplified)
-            'viseme_nn': 'viseme_DD',   // Map to DD (simplified)
-            'viseme_RR': 'viseme_TH',   // Map to TH (simplified)
-            'viseme_aa': 'viseme_aa',   // Open vowel
-            'viseme_E': 'viseme_E',     // Mid vowel
-            'viseme_I': 'viseme_I',     // Spread vowel
-            'viseme_O': 'viseme_O',     // Round vowel
-            'viseme_U': 'viseme_U'      // Tight round vowel
+        // Extra jaw opening for open vowels so the mouth visibly opens
+        this.jawOpenBoost = {
+            'viseme_aa': 0.35,
+            'viseme_O': 0.25,
+            'viseme_E': 0.25
         };
-    }
 
-    // Build a dictionary of text patterns to phoneme mappings
-    buildPhonemePatterns() {
-        return {
-            // Vowels
-            'a': { match: /a(?![iy])/g, phoneme: 'AA' },
-            'ay': { match: /ay|ai/g, phoneme: 'AY' },
-            'ah': { match: /ah/g, phoneme: 'AH' },
-            'aw': { match: /aw|au/g, phoneme: 'AW' },
-            'e': { match: /e(?![e])/g, phoneme: 'EH' },
-            'ee': { match: /ee|ea|y$/g, phoneme: 'IY' },
-            'i': { match: /i(?![e])/g, phoneme: 'IH' },
-            'o': { match: /o(?![ou])/g, phoneme: 'AO' },
-            'oo': { match: /oo|u[^aeiou]/g, phoneme: 'UW' },
-            'ou': { match: /ou|ow/g, phoneme: 'OW' },
-            'oy': { match: /oy|oi/g, phoneme: 'OY' },
-            'u': { match: /u/g, phoneme: 'UH' },
-            'er': { match: /er|ir|ur/g, phoneme: 'ER' },
-            
-            // Consonants
-            'b': { match: /b/g, phoneme: 'B' },
-            'ch': { match: /ch|tch/g, phoneme: 'CH' },
-            'd': { match: /d/g, phoneme: 'D' },
-            'f': { match: /f|ph/g, phoneme: 'F' },
-            'g': { match: /g(?![h])/g, phoneme: 'G' },
-            'h': { match: /h|wh/g, phoneme: 'HH' },
-            'j': { match: /j|dge/g, phoneme: 'JH' },
-            'k': { match: /k|c(?![eiy])/g, phoneme: 'K' },
-            'l': { match: /l/g, phoneme: 'L' },
-            'm': { match: /m/g, phoneme: 'M' },
-            'n': { match: /n(?![g])/g, phoneme: 'N' },
-            'ng': { match: /ng/g, phoneme: 'NG' },
-            'p': { match: /p/g, phoneme: 'P' },
-            'r': { match: /r/g, phoneme: 'R' },
-            's': { match: /s(?![h])|c(?=[eiy])/g, phoneme: 'S' },
-            'sh': { match: /sh|ti(?=on)|si(?=on)/g, phoneme: 'SH' },
-            't': { match: /t(?![h])/g, phoneme: 'T' },
-            'th': { match: /th/g, phoneme: 'TH' },
-            'v': { match: /v/g, phoneme: 'V' },
-            'w': { match: /w/g, phoneme: 'W' },
-            'y': { match: /y(?=[aeiou])/g, phoneme: 'Y' },
-            'z': { match: /z/g, phoneme: 'Z' },
-            'zh': { match: /si(?=a)/g, phoneme: 'ZH' }
+        // Blends neighbouring visemes into each other (anticipation and carryover)
+        this.coarticulation = new CoarticulationModel();
+
+        // Moves the estimated timing onto the pauses and syllables of the real audio
+        this.aligner = new ForcedAligner();
+
+        // Pronunciation dictionary checked before the letter rules
+        this.lexicon = new PronunciationLexicon();
+
+        // User pronunciations (ARPAbet), checked before the dictionary and the letter rules
+        this.pronunciationOverrides = new PronunciationOverrides();
+
+        // Phonemizer mode: 'mespeak' times each word with the offline eSpeak engine and takes
+        // the phonemes of words missing from the lexicon from it, 'rules' uses the letter rules
+        // and the fixed per-phoneme duration estimates
+        // The rules are also used whenever meSpeak fails to load
+        this.phonemizer = 'mespeak';
+        this.meSpeakPhonemizer = new MeSpeakPhonemizer();
+
+        // Expands numbers, currency, dates, abbreviations and acronyms before phonemization
+        this.textNormalizer = new TextNormalizer(this.lexicon, this.pronunciationOverrides);
+
+        // Replies may be SSML: breaks, emphasis, speaking rate, say-as and explicit pronunciations
+        this.ssmlParser = new SsmlParser();
+
+        // Lexical stress levels, from most to least prominent
+        // 'reduced' is an unstressed vowel that collapses toward schwa ("about", "sofa")
+        this.stressLevels = ['primary', 'secondary', 'unstressed', 'reduced'];
+
+        // Duration multipliers per stress level - vowels carry most of the rhythm,
+        // consonants in the same syllable follow at half strength
+        this.stressDurationScale = {
+            'primary': 1.3,
+            'secondary': 1.1,
+            'unstressed': 0.85,
+            'reduced': 0.6
+        };
+
+        // Intensity multipliers per stress level used in getVisemeAtTime
+        this.stressIntensityScale = {
+            'primary': 1.15,
+            'secondary': 1.0,
+            'unstressed': 0.85,
+            'reduced': 0.65
         };
+
+        // Prosody from the punctuation: emphasized words (ALL CAPS, *asterisks*) open the mouth
+        // further and exclamations open the jaw wider
+        this.wordEmphasis = 1.2;
+        this.exclamationJawScale = 1.35;
+        // Written in capitals by convention, not shouted
+        this.conventionalCapitals = ['OK', 'AM', 'PM', 'ID', 'US', 'UK', 'USA'];
+
+        // Viseme profile: how many distinct mouth shapes are used (see visemeProfiles.js)
+        // The reduced set follows the Disney animation principle of simplification
+        this.setVisemeProfile('reduced');
+
+        // Avatars with only ARKit blendshapes get their visemes built from those
+        this.arkitMapper = new ARKitVisemeMapper();
+        this.useARKitVisemes = false;
+
+        this.setLanguage(language);
+    }
+
+    // Switch to another language pack ('en', 'es', 'de', 'hi')
+    setLanguage(language) {
+        const pack = getLanguagePack(language);
+
+        this.languagePack = pack;
+        this.language = pack.code;
+
+        // Phoneme -> viseme lookup for the pack's inventory
+        this.visemeMap = { 'sil': 'viseme_sil' };
+        for (const [phoneme, info] of Object.entries(pack.phonemes)) {
+            this.visemeMap[phoneme] = info.viseme;
+        }
+
+        // Letter-to-sound rules, only used for words that are not in the pronunciation lexicon
+        // [key, rule] pairs in the order they are tried: higher priority first, then the longer
+        // spelling ("th" before "t")
+        this.phonemePatterns = Object.entries(pack.letterRules)
+            .sort(([keyA, a], [keyB, b]) => (b.priority || 0) - (a.priority || 0) || keyB.length - keyA.length);
+
+        // Function words are said quickly and without lexical stress
+        this.functionWords = pack.functionWords;
+
+        // eSpeak times words with the matching voice, if meSpeak has one
+        this.meSpeakPhonemizer.setVoice(pack.meSpeakVoice);
+
+        // eSpeak transcribes unknown words if the pack can map its mnemonics (longest first)
+        this.meSpeakMnemonics = pack.meSpeakPhonemes
+            ? Object.keys(pack.meSpeakPhonemes).sort((a, b) => b.length - a.length)
+            : null;
+
+        console.log('Lip sync language set to', pack.name);
+    }
+
+    // Switch the viseme profile ('oculus', 'reduced', 'prestonBlair')
+    // Takes effect right away, also for timelines that are already playing
+    setVisemeProfile(name) {
+        this.visemeProfile = getVisemeProfile(name);
+    }
+
+    getVisemeProfile() {
+        return this.visemeProfile;
+    }
+
+    // The viseme a phoneme entry is shown with under the current profile
+    mapViseme(entry) {
+        return this.visemeProfile.phonemes[entry.phoneme]
+            || this.visemeProfile.visemes[entry.viseme]
+            || entry.viseme;
     }
 
-    // Convert text to phonemes with improved natural pauses
+    // Tell the service which morphs the avatar has, so avatars without viseme
+    // morphs get their visemes from the ARKit blendshapes instead
+    setAvailableMorphs(morphNames) {
+        this.useARKitVisemes = this.arkitMapper.shouldMap(morphNames);
+        if (this.useARKitVisemes) {
+            console.log('No viseme morphs on the avatar, building visemes from ARKit blendshapes');
+        }
+    }
+
+    getLanguagePack() {
+        return this.languagePack;
+    }
+
+    // Convert text (plain or SSML) to phonemes with improved natural pauses
     textToPhonemes(text) {
         try {
             console.log('Converting text to phonemes:', text);
             
-            // Break text into sentences for more natural pacing
-            const sentences = text.split(/[.!?]+/).filter(s => s.trim().length > 0);
-            const result = [];
-            
-            for (let sentence of sentences) {
-                // Add a longer pause before each sentence (except the first)
-                if (result.length > 0) {
-                    result.push({
-                        phoneme: 'sil',
-                        duration: 0.3, // Longer pause between sentences
-                        viseme: 'viseme_sil'
-                    });
-                }
-                
-                // Process words in the sentence
-                const words = sentence.toLowerCase().split(/\s+/);
-                
-                for (let i = 0; i < words.length; i++) {
-                    let word = words[i];
-                    
-                    // Add silence between words (with varying durations based on context)
-                    if (i > 0) {
-                        // Shorter pauses between words within a phrase
-                        result.push({
-                            phoneme: 'sil',
-                            duration: this.getWordBreakDuration(words[i-1], word),
-                            viseme: 'viseme_sil'
-                        });
-                    }
-                    
-                    // Clean the word - only keep letters and apostrophes
-                    word = word.replace(/[^a-z']/g, '');
-                    if (!word) continue;
-                    
-                    // Extract phonemes from the word
-                    const wordPhonemes = this.extractPhonemesFromWord(word);
-                    
-                    // For longer words, we need to handle them differently
-                    if (word.length > 3 && wordPhonemes.length > 2) {
-                        // For longer words, emphasize the first syllable and reduce others
-                        // This follows natural speech patterns where we emphasize certain syllables
-                        for (let j = 0; j < wordPhonemes.length; j++) {
-                            if (j === 0) {
-                                // First syllable gets normal duration
-                                result.push(wordPhonemes[j]);
-                            } else {
-                                // Subsequent syllables get slightly shorter duration
-                                // to avoid machine-gun effect
-                                const reducedPhoneme = {...wordPhonemes[j]};
-                                reducedPhoneme.duration *= 0.85; // Reduce duration slightly
-                                result.push(reducedPhoneme);
-                            }
-                        }
-                    } else {
-                        // For shorter words, just add all phonemes normally
-                        result.push(...wordPhonemes);
-                    }
-                }
-            }
+            const result = this.ssmlParser.isSsml(text)
+                ? this.ssmlToPhonemes(text)
+                : this.plainTextToPhonemes(text);
             
             // Add final silence
             result.push({
                 phoneme: 'sil',
-                duration: 0.25, // Longer final pause
+                duration: this.languagePack.pauses.final, // Longer final pause
                 viseme: 'viseme_sil'
             });
             
             // Process the result to simplify and reduce visemes
-            const processedResult = this.reduceVisemes(result);
+            const processedResult = this.annotateSentences(this.reduceVisemes(result));
             
             console.log('Generated phonemes:', processedResult);
             return processedResult;
         } catch (error) {
             console.error('Failed to convert text to phonemes:', error);
-            return this.fallbackPhonemes(text);
+            return this.fallbackPhonemes(this.ssmlParser.toPlainText(text));
         }
     }
     
+    // Phonemes and pauses for plain text, without the final silence
+    plainTextToPhonemes(text) {
+        const pack = this.languagePack;
+        
+        // Rewrite numbers, symbols and abbreviations as the words the voice says
+        // (the number expansion is English only, other languages just lose their emoji)
+        const normalizedText = pack.normalizeText
+            ? this.textNormalizer.normalize(text)
+            : this.textNormalizer.removeEmoji(text);
+        
+        // Break text into sentences for more natural pacing, keeping the punctuation
+        // that ends each one: [sentence, delimiter, sentence, delimiter, ...]
+        const pieces = normalizedText.split(new RegExp(`(${pack.sentenceDelimiters.source})`));
+        const result = [];
+        let inAsterisks = false;
+        
+        for (let p = 0; p < pieces.length; p += 2) {
+            const sentence = pieces[p];
+            const delimiter = pieces[p + 1] || '';
+            
+            if (sentence.trim().length === 0) {
+                // Punctuation right after the previous sentence ("?!") or on its own
+                this.markSentenceEnd(result, delimiter);
+                continue;
+            }
+            
+            // Add a longer pause before each sentence (except the first)
+            if (result.length > 0) {
+                result.push({
+                    phoneme: 'sil',
+                    duration: pack.pauses.sentence, // Longer pause between sentences
+                    viseme: 'viseme_sil'
+                });
+            }
+            
+            // Process words in the sentence
+            const rawWords = sentence.trim().split(/\s+/);
+            const words = rawWords.map(word => word.toLowerCase());
+            
+            // Real word durations from eSpeak (null in rules mode or if meSpeak is unavailable)
+            const wordDurations = this.measureWordDurations(words);
+            let spokenWordIndex = 0;
+            
+            for (let i = 0; i < words.length; i++) {
+                let word = words[i];
+                
+                // Add silence between words (with varying durations based on context)
+                if (i > 0) {
+                    // Shorter pauses between words within a phrase
+                    result.push({
+                        phoneme: 'sil',
+                        duration: this.getWordBreakDuration(words[i-1], word),
+                        viseme: 'viseme_sil'
+                    });
+                }
+                
+                // Clean the word - only keep letters and apostrophes
+                word = this.cleanWord(word);
+                if (!word) continue;
+                
+                // Extract phonemes from the word
+                const wordPhonemes = this.extractPhonemesFromWord(word);
+                const measuredDuration = wordDurations ? wordDurations[spokenWordIndex] : null;
+                spokenWordIndex++;
+                
+                if (measuredDuration) {
+                    // Spread the measured word duration over its phonemes
+                    result.push(...this.fitPhonemesToDuration(wordPhonemes, measuredDuration));
+                } else {
+                    // Stress has already shaped the durations within the word
+                    result.push(...wordPhonemes);
+                }
+                
+                // *Asterisks* can span several words, ALL CAPS marks a single one
+                const raw = rawWords[i];
+                if (raw.startsWith('*')) inAsterisks = true;
+                if (inAsterisks || this.isShoutedWord(raw)) {
+                    this.emphasizeLastWord(result, wordPhonemes.length);
+                }
+                if (/\*\W*$/.test(raw)) inAsterisks = false;
+                
+                if (/[,;:]$/.test(raw)) {
+                    this.markBoundary(result, 'phraseEnd', true);
+                }
+            }
+            
+            this.markSentenceEnd(result, delimiter);
+        }
+        
+        return result;
+    }
+    
+    // 'question', 'exclamation' or 'statement' from the punctuation that ends a sentence
+    // (null for the Spanish opening marks, they start the next sentence)
+    getSentenceType(delimiter) {
+        const closing = delimiter.replace(/[¡¿]/g, '');
+        if (!closing) return null;
+        if (closing.includes('?')) return 'question';
+        if (closing.includes('!')) return 'exclamation';
+        return 'statement';
+    }
+    
+    // Sentence type if the text ends a sentence, otherwise null
+    getEndingSentenceType(text) {
+        const trimmed = text.trim().replace(/[)"'\]\u201D\u2019]+$/, '');
+        const pieces = trimmed.split(new RegExp(`(${this.languagePack.sentenceDelimiters.source})`));
+        
+        if (pieces.length < 3 || pieces[pieces.length - 1] !== '') return null;
+        return this.getSentenceType(pieces[pieces.length - 2]);
+    }
+    
+    // Shouted words are written in capitals ("I'm SO proud"); acronyms said as words,
+    // conventional capitals and words with a custom pronunciation don't count
+    isShoutedWord(raw) {
+        const letters = raw.replace(/[^\p{L}]/gu, '');
+        return letters.length >= 2
+            && letters === letters.toUpperCase()
+            && letters !== letters.toLowerCase()
+            && !this.textNormalizer.spokenAcronyms.includes(letters)
+            && !this.conventionalCapitals.includes(letters)
+            && !this.pronunciationOverrides.has(letters);
+    }
+    
+    // Raise the intensity of the last word's phonemes
+    emphasizeLastWord(entries, count) {
+        for (let i = Math.max(0, entries.length - count); i < entries.length; i++) {
+            entries[i].emphasis = Math.max(entries[i].emphasis || 0, this.wordEmphasis);
+        }
+    }
+    
+    // Mark the last spoken entry as the end of a phrase or sentence
+    markBoundary(entries, field, value) {
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].phoneme !== 'sil') {
+                entries[i][field] = value;
+                return;
+            }
+        }
+    }
+    
+    markSentenceEnd(entries, delimiter) {
+        const sentenceType = this.getSentenceType(delimiter);
+        if (sentenceType) this.markBoundary(entries, 'sentenceEnd', sentenceType);
+    }
+    
+    // Give every spoken entry the type of the sentence it belongs to
+    annotateSentences(entries) {
+        let sentenceType = 'statement';
+        for (let i = entries.length - 1; i >= 0; i--) {
+            if (entries[i].sentenceEnd) sentenceType = entries[i].sentenceEnd;
+            if (entries[i].phoneme !== 'sil') entries[i].sentenceType = sentenceType;
+        }
+        return entries;
+    }
+    
+    // Expression cues for the face: times where questions end (brow raise)
+    getProsodyCues(timeline) {
+        const cues = { questions: [] };
+        if (!timeline) return cues;
+        
+        for (const entry of timeline) {
+            if (entry.sentenceEnd === 'question') {
+                cues.questions.push(entry.endTime);
+            }
+        }
+        return cues;
+    }
+    
+    // Phonemes for SSML: <break> adds silence, <prosody rate> scales the durations,
+    // <emphasis> raises the intensity and <phoneme ph> replaces the pronunciation
+    ssmlToPhonemes(ssml) {
+        const result = [];
+        
+        // Pause owed before the next spoken segment (null right after a <break> or at the start)
+        let pendingPause = null;
+        
+        for (const segment of this.ssmlParser.parse(ssml)) {
+            if (segment.type === 'break') {
+                if (segment.duration > 0) {
+                    this.markBoundary(result, 'phraseEnd', true);
+                    result.push({ phoneme: 'sil', duration: segment.duration, viseme: 'viseme_sil' });
+                }
+                pendingPause = null;
+                continue;
+            }
+            
+            const phonemes = segment.type === 'phoneme'
+                ? this.markWordStart(this.applyLexicalStress(this.extractPhonemesFromPronunciation(segment.pronunciation, segment.text), segment.text.toLowerCase()), segment.text.trim())
+                : this.plainTextToPhonemes(segment.text);
+            
+            if (phonemes.length === 0) {
+                // Punctuation between tags still ends the sentence or phrase and lengthens the pause
+                const sentenceType = this.getEndingSentenceType(segment.text);
+                if (sentenceType) {
+                    this.markBoundary(result, 'sentenceEnd', sentenceType);
+                } else if (/[,;:]$/.test(segment.text.trim())) {
+                    this.markBoundary(result, 'phraseEnd', true);
+                }
+                if (pendingPause !== null) {
+                    pendingPause = Math.max(pendingPause, this.getSegmentPause(segment.text));
+                }
+                continue;
+            }
+            
+            if (pendingPause !== null) {
+                result.push({ phoneme: 'sil', duration: pendingPause, viseme: 'viseme_sil' });
+            }
+            
+            for (const phoneme of phonemes) {
+                const entry = { ...phoneme, duration: phoneme.duration / segment.rate };
+                if (segment.emphasis !== 1 && phoneme.phoneme !== 'sil') {
+                    entry.emphasis = (phoneme.emphasis || 1) * segment.emphasis;
+                }
+                result.push(entry);
+            }
+            pendingPause = this.getSegmentPause(segment.text);
+        }
+        
+        return result;
+    }
+    
+    // Pause after a piece of SSML text, from its final punctuation
+    getSegmentPause(text) {
+        const pauses = this.languagePack.pauses;
+        
+        if (this.getEndingSentenceType(text)) return pauses.sentence;
+        if (/[,;:]$/.test(text.trim())) return pauses.clause;
+        return pauses.word;
+    }
+    
+    // Select the phonemizer mode ('mespeak' or 'rules')
+    setPhonemizer(mode) {
+        if (mode !== 'mespeak' && mode !== 'rules') {
+            console.warn('Unknown phonemizer mode:', mode);
+            return;
+        }
+        this.phonemizer = mode;
+    }
+
+    // Only keep the language's letters and apostrophes
+    cleanWord(word) {
+        return word.replace(this.languagePack.nonWordCharacters, '');
+    }
+
+    // Ask eSpeak how long each word in the phrase takes to say
+    measureWordDurations(words) {
+        if (this.phonemizer !== 'mespeak' || !this.meSpeakPhonemizer.isReady) return null;
+
+        const spokenWords = words.map(word => this.cleanWord(word)).filter(word => word.length > 0);
+        return this.meSpeakPhonemizer.measureWordDurations(spokenWords);
+    }
+
+    // Scale a word's phonemes so they add up to the given duration, keeping their relative lengths
+    fitPhonemesToDuration(phonemes, duration) {
+        const estimatedDuration = phonemes.reduce((sum, p) => sum + p.duration, 0);
+        if (estimatedDuration <= 0) return phonemes;
+
+        const scale = duration / estimatedDuration;
+        return phonemes.map(p => ({ ...p, duration: p.duration * scale }));
+    }
+
     // Process and reduce visemes to avoid too many changes
-    reduceVisemes(phonemes) {
+    // Real timing (e.g. from TTS timestamps) skips the minimum durations so nothing is shifted
+    reduceVisemes(phonemes, enforceMinimumDuration = true) {
         if (!phonemes || phonemes.length === 0) return [];
         
         const processedPhonemes = [];
@@ -232,17 +482,27 @@ class PhonemeLipSyncService {
         // Combine consecutive identical visemes to reduce mouth movement
         for (let i = 0; i < phonemes.length; i++) {
             const currentPhoneme = phonemes[i];
-            const reducedViseme = this.reducedVisemeSet[currentPhoneme.viseme] || currentPhoneme.viseme;
+            const reducedViseme = this.mapViseme(currentPhoneme);
             
             // Set the reduced viseme
             currentPhoneme.viseme = reducedViseme;
             
-            // If this is the same viseme as before, combine them
-            if (lastViseme === reducedViseme) {
+            // If this is the same viseme as before, combine them (but keep the first
+            // viseme of every word, so exports can tell where words begin)
+            if (lastViseme === reducedViseme && !currentPhoneme.word) {
                 accumulatedDuration += currentPhoneme.duration;
                 // Only update the last phoneme's duration, don't add a new one
                 if (processedPhonemes.length > 0) {
-                    processedPhonemes[processedPhonemes.length - 1].duration = accumulatedDuration;
+                    const lastPhoneme = processedPhonemes[processedPhonemes.length - 1];
+                    lastPhoneme.duration = accumulatedDuration;
+                    // The combined viseme keeps the strongest stress
+                    lastPhoneme.stress = this.strongerStress(lastPhoneme.stress, currentPhoneme.stress);
+                    if (currentPhoneme.emphasis) {
+                        lastPhoneme.emphasis = Math.max(lastPhoneme.emphasis || 0, currentPhoneme.emphasis);
+                    }
+                    // Boundaries stay on the merged entry
+                    if (currentPhoneme.sentenceEnd) lastPhoneme.sentenceEnd = currentPhoneme.sentenceEnd;
+                    if (currentPhoneme.phraseEnd) lastPhoneme.phraseEnd = true;
                 }
             } else {
                 // New viseme, add it to the list
@@ -252,39 +512,221 @@ class PhonemeLipSyncService {
             }
         }
         
+        if (!enforceMinimumDuration) return processedPhonemes;
+        
         // Add minimum durations to all visemes
         return processedPhonemes.map(p => {
             // All visemes should have a minimum duration to prevent too fast changes
+            // Reduced vowels are allowed to stay shorter so unstressed syllables don't get stretched
             if (p.viseme !== 'viseme_sil') {
-                p.duration = Math.max(p.duration, 0.15);
+                p.duration = Math.max(p.duration, p.stress === 'reduced' ? 0.1 : 0.15);
             }
             return p;
         });
     }
     
     // Extract phonemes from a single word with improved timing
+    // User overrides come first, then the pronunciation lexicon, then eSpeak's transcription
+    // and finally the letter rules
     extractPhonemesFromWord(word) {
+        const pronunciation = this.pronunciationOverrides.lookup(word)
+            || (this.languagePack.useLexicon ? this.lexicon.lookup(word) : null)
+            || this.transcribeWithMeSpeak(word);
+        const phonemes = pronunciation
+            ? this.extractPhonemesFromPronunciation(pronunciation, word)
+            : this.extractPhonemesByRules(word);
+
+        return this.markWordStart(this.applyLexicalStress(phonemes, word), word);
+    }
+
+    // The first phoneme of a word carries the spoken word, the rest of the word follows it
+    // up to the next word or pause
+    markWordStart(phonemes, word) {
+        if (phonemes && phonemes.length > 0) {
+            phonemes[0].word = word;
+        }
+        return phonemes;
+    }
+
+    // ARPAbet for a word from eSpeak's phoneme mnemonics
+    // null in rules mode, without meSpeak or if the language pack has no mnemonic table
+    transcribeWithMeSpeak(word) {
+        if (this.phonemizer !== 'mespeak' || !this.meSpeakMnemonics) return null;
+
+        const mnemonics = this.meSpeakPhonemizer.transcribeWord(word);
+        return mnemonics ? this.meSpeakToArpabet(mnemonics) : null;
+    }
+
+    // Convert mnemonics like "kw'0k" into ARPAbet with stress digits (['K', 'W', 'AA1', 'K'])
+    // A stress mark (' primary, , secondary, % unstressed) applies to the next vowel,
+    // pauses and other marks are dropped
+    meSpeakToArpabet(mnemonics) {
+        const table = this.languagePack.meSpeakPhonemes;
+        const stressMarks = { "'": 1, ',': 2, '%': 0 };
+        const pronunciation = [];
+        let stress = null;
+        let i = 0;
+
+        while (i < mnemonics.length) {
+            if (Object.hasOwn(stressMarks, mnemonics[i])) {
+                stress = stressMarks[mnemonics[i]];
+                i++;
+                continue;
+            }
+
+            const mnemonic = this.meSpeakMnemonics.find(candidate => mnemonics.startsWith(candidate, i));
+            if (!mnemonic) {
+                i++;
+                continue;
+            }
+
+            for (const phoneme of table[mnemonic]) {
+                if (this.isVowel(phoneme)) {
+                    pronunciation.push(`${phoneme}${stress ?? 0}`);
+                    stress = null;
+                } else {
+                    pronunciation.push(phoneme);
+                }
+            }
+            i += mnemonic.length;
+        }
+
+        return pronunciation.length > 0 ? pronunciation : null;
+    }
+
+    // Convert ARPAbet phonemes from the lexicon (e.g. ['TH', 'R', 'UW1']) into timed phonemes
+    extractPhonemesFromPronunciation(pronunciation, word) {
+        return pronunciation.map(arpabet => {
+            // Split off the stress digit - the viseme only depends on the base phoneme
+            const match = arpabet.match(/^([A-Z]+)([012])?$/);
+            const phoneme = match ? match[1] : arpabet;
+
+            return {
+                phoneme,
+                duration: this.getPhoneticDuration(phoneme, word),
+                viseme: this.mapPhonemeToViseme(phoneme),
+                lexicalStress: match && match[2] !== undefined ? parseInt(match[2], 10) : null
+            };
+        });
+    }
+
+    // Sound class of a phoneme in the active language ('vowel', 'stop', 'nasal', ...)
+    getPhonemeClass(phoneme) {
+        const info = this.languagePack.phonemes[phoneme];
+        return info ? info.class : 'other';
+    }
+
+    isVowel(phoneme) {
+        return /vowel$/i.test(this.getPhonemeClass(phoneme));
+    }
+
+    // Pick the more prominent of two stress levels
+    strongerStress(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        return this.stressLevels.indexOf(a) <= this.stressLevels.indexOf(b) ? a : b;
+    }
+
+    // Split a word's phonemes into syllables, one vowel nucleus per syllable
+    // Returns the syllable index of every phoneme
+    syllabify(phonemes) {
+        const syllableIndex = new Array(phonemes.length).fill(0);
+        let syllable = -1;
+
+        for (let i = 0; i < phonemes.length; i++) {
+            if (this.isVowel(phonemes[i].phoneme)) {
+                syllable++;
+                syllableIndex[i] = syllable;
+                continue;
+            }
+
+            // Consonants before the first vowel belong to the first syllable
+            if (syllable < 0) continue;
+
+            // Count the consonants up to the next vowel
+            let nextVowel = i;
+            while (nextVowel < phonemes.length && !this.isVowel(phonemes[nextVowel].phoneme)) {
+                nextVowel++;
+            }
+
+            if (nextVowel === phonemes.length) {
+                // Word-final consonants are the coda of the last syllable
+                syllableIndex[i] = syllable;
+            } else {
+                // Between vowels a single consonant starts the next syllable ("ho-tel"),
+                // a cluster leaves its first consonant behind as coda ("win-dow")
+                const isFirstOfCluster = i > 0 && this.isVowel(phonemes[i - 1].phoneme) && nextVowel - i > 1;
+                syllableIndex[i] = isFirstOfCluster ? syllable : syllable + 1;
+            }
+        }
+
+        return syllableIndex;
+    }
+
+    // Classify each syllable as primary, secondary, unstressed or reduced
+    // and scale phoneme durations so stressed syllables are held longer
+    applyLexicalStress(phonemes, word) {
+        if (!phonemes || phonemes.length === 0) return phonemes;
+
+        const syllableIndex = this.syllabify(phonemes);
+        const vowels = phonemes.filter(p => this.isVowel(p.phoneme));
+        const isFunctionWord = this.functionWords.includes(word);
+        const guessedStress = this.languagePack.guessStressedSyllable(word, vowels.length);
+
+        // Stress level for every syllable, taken from its vowel
+        const syllableStress = vowels.map((vowel, s) => {
+            let digit = vowel.lexicalStress;
+            if (digit === null || digit === undefined) {
+                digit = s === guessedStress ? 1 : 0;
+            }
+            if (isFunctionWord) {
+                digit = 0;
+            }
+
+            if (digit === 1) return 'primary';
+            if (digit === 2) return 'secondary';
+
+            // Unstressed central vowels are reduced toward schwa
+            return this.languagePack.reducedVowels.includes(vowel.phoneme) ? 'reduced' : 'unstressed';
+        });
+
+        return phonemes.map((p, index) => {
+            const { lexicalStress, ...phoneme } = p;
+            const stress = syllableStress[syllableIndex[index]] || 'unstressed';
+            const scale = this.stressDurationScale[stress];
+
+            phoneme.stress = stress;
+            phoneme.syllable = syllableIndex[index];
+            // Vowels take the full stress scaling, consonants half of it
+            phoneme.duration *= this.isVowel(p.phoneme) ? scale : 1 + (scale - 1) / 2;
+
+            return phoneme;
+        });
+    }
+
+    // Guess phonemes from spelling using the letter patterns
+    extractPhonemesByRules(word) {
         const phonemes = [];
         let remainingWord = word;
         
-        // Try to match longer patterns first
-        const sortedPatterns = Object.entries(this.phonemePatterns)
-            .sort((a, b) => b[0].length - a[0].length);
-        
         while (remainingWord.length > 0) {
             let matched = false;
             
-            for (const [key, pattern] of sortedPatterns) {
+            for (const [, pattern] of this.phonemePatterns) {
                 pattern.match.lastIndex = 0; // Reset regex
                 const match = pattern.match.exec(remainingWord);
                 
                 if (match && match.index === 0) {
                     // Found a match at the beginning of the remaining word
-                    phonemes.push({
-                        phoneme: pattern.phoneme,
-                        duration: this.getPhoneticDuration(pattern.phoneme, word),
-                        viseme: this.mapPhonemeToViseme(pattern.phoneme)
-                    });
+                    // A rule gives either one phoneme or a list of them (empty for silent letters)
+                    const rulePhonemes = pattern.phonemes || [pattern.phoneme];
+                    for (const phoneme of rulePhonemes) {
+                        phonemes.push({
+                            phoneme,
+                            duration: this.getPhoneticDuration(phoneme, word),
+                            viseme: this.mapPhonemeToViseme(phoneme)
+                        });
+                    }
                     
                     // Remove the matched part
                     remainingWord = remainingWord.substring(match[0].length);
@@ -308,32 +750,9 @@ class PhonemeLipSyncService {
         // This follows natural speech patterns where longer words are said more quickly per-syllable
         const wordLengthFactor = word && word.length > 5 ? 0.85 : 1.0;
         
-        // More detailed phoneme duration modeling based on linguistic research
-        if (/^(AA|AE|AO|AW|AY)$/.test(phoneme)) {
-            // Open vowels tend to be longer
-            return 0.22 * wordLengthFactor;
-        } else if (/^(EH|ER|EY|IH|IY|OW|OY|UH|UW)$/.test(phoneme)) {
-            // Other vowels
-            return 0.20 * wordLengthFactor;
-        } else if (/^(R|L|W|Y)$/.test(phoneme)) {
-            // Semivowels and liquids have medium duration
-            return 0.15 * wordLengthFactor;
-        } else if (/^(M|N|NG)$/.test(phoneme)) {
-            // Nasals have medium duration
-            return 0.15 * wordLengthFactor;
-        } else if (/^(F|V|S|Z|SH|ZH|TH|DH)$/.test(phoneme)) {
-            // Fricatives can be sustained
-            return 0.18 * wordLengthFactor;
-        } else if (/^(P|B|T|D|K|G)$/.test(phoneme)) {
-            // Stops are quick
-            return 0.12 * wordLengthFactor;
-        } else if (/^(CH|JH)$/.test(phoneme)) {
-            // Affricates
-            return 0.15 * wordLengthFactor;
-        } else {
-            // Default case
-            return 0.15 * wordLengthFactor;
-        }
+        // Phoneme duration by sound class, see phonemeClassDurations
+        const classDuration = this.phonemeClassDurations[this.getPhonemeClass(phoneme)];
+        return (classDuration || this.phonemeClassDurations.other) * wordLengthFactor;
     }
     
     // Fallback to simple estimation if phoneme extraction fails
@@ -438,8 +857,8 @@ class PhonemeLipSyncService {
             let startTime = currentTime;
             
             // Consonant clusters have more overlap than vowel-consonant transitions
-            const isCurrentConsonant = !/^(AA|AE|AH|AO|AW|AY|EH|ER|EY|IH|IY|OW|OY|UH|UW)$/.test(phoneme.phoneme);
-            const isPrevConsonant = i > 0 && !/^(AA|AE|AH|AO|AW|AY|EH|ER|EY|IH|IY|OW|OY|UH|UW)$/.test(phonemes[i-1].phoneme);
+            const isCurrentConsonant = !this.isVowel(phoneme.phoneme);
+            const isPrevConsonant = i > 0 && !this.isVowel(phonemes[i-1].phoneme);
             
             if (i > 0 && phoneme.phoneme !== 'sil' && phonemes[i-1].phoneme !== 'sil') {
                 if (isCurrentConsonant && isPrevConsonant) {
@@ -486,16 +905,132 @@ class PhonemeLipSyncService {
     }
 
     // Create a viseme animation timeline from text and audio duration
-    async createVisemeTimeline(text, audioDuration) {
+    // With the decoded audio, the timing is also force-aligned to its pauses and syllables
+    async createVisemeTimeline(text, audioDuration, audioBuffer = null) {
+        // Make sure the pronunciation lexicon (and eSpeak, if used) are available before converting
+        await Promise.all([
+            this.languagePack.useLexicon ? this.lexicon.load() : null,
+            this.phonemizer === 'mespeak' ? this.meSpeakPhonemizer.load() : null
+        ]);
+
         // Convert text to phonemes
         const phonemes = this.textToPhonemes(text);
         
         // Calculate timing
         const timedVisemes = this.calculateVisemeTiming(phonemes, audioDuration);
         
+        if (audioBuffer) {
+            return this.alignTimelineToAudio(timedVisemes, audioBuffer);
+        }
+        
         return timedVisemes;
     }
 
+    // Create a timeline from the character timings a TTS engine reports with its audio
+    // alignment: { characters, characterStartTimes, characterEndTimes } with times in seconds
+    // Words and pauses are placed exactly where the voice has them, only the phonemes
+    // inside each word are spread by their estimated durations
+    async createVisemeTimelineFromAlignment(alignment, audioDuration) {
+        if (this.languagePack.useLexicon) {
+            await this.lexicon.load();
+        }
+        
+        const phonemes = [];
+        const addSilence = (duration) => {
+            if (duration > 0) {
+                phonemes.push({ phoneme: 'sil', duration, viseme: 'viseme_sil' });
+            }
+        };
+        
+        let currentTime = 0;
+        let inAsterisks = false;
+        for (const word of this.groupAlignmentIntoWords(alignment)) {
+            // Pause before the word, straight from the audio
+            addSilence(word.startTime - currentTime);
+            
+            const startTime = Math.max(word.startTime, currentTime);
+            const duration = word.endTime - startTime;
+            if (duration <= 0) continue;
+            
+            const wordPhonemes = this.wordToPhonemes(word.text);
+            if (wordPhonemes.length > 0) {
+                phonemes.push(...this.fitPhonemesToDuration(wordPhonemes, duration));
+            } else {
+                addSilence(duration);
+            }
+            currentTime = word.endTime;
+            
+            // Emphasis and sentence/phrase ends from the written word
+            if (word.text.startsWith('*')) inAsterisks = true;
+            if (inAsterisks || this.isShoutedWord(word.text)) {
+                this.emphasizeLastWord(phonemes, wordPhonemes.length);
+            }
+            if (/\*\W*$/.test(word.text)) inAsterisks = false;
+            
+            const sentenceType = this.getEndingSentenceType(word.text);
+            if (sentenceType) {
+                this.markBoundary(phonemes, 'sentenceEnd', sentenceType);
+            } else if (/[,;:]$/.test(word.text)) {
+                this.markBoundary(phonemes, 'phraseEnd', true);
+            }
+        }
+        addSilence((audioDuration || currentTime) - currentTime);
+        
+        // Lay the entries end to end - their durations already follow the audio
+        let time = 0;
+        return this.annotateSentences(this.reduceVisemes(phonemes, false)).map(entry => {
+            const timed = { ...entry, startTime: time, endTime: time + entry.duration };
+            time = timed.endTime;
+            return timed;
+        });
+    }
+    
+    // Group aligned characters into words with the time span they are spoken in
+    groupAlignmentIntoWords(alignment) {
+        const words = [];
+        if (!alignment || !alignment.characters) return words;
+        
+        let current = null;
+        alignment.characters.forEach((character, i) => {
+            if (/\s/.test(character)) {
+                current = null;
+                return;
+            }
+            
+            if (!current) {
+                current = { text: '', startTime: alignment.characterStartTimes[i], endTime: 0 };
+                words.push(current);
+            }
+            current.text += character;
+            current.endTime = alignment.characterEndTimes[i];
+        });
+        
+        return words;
+    }
+    
+    // Phonemes for one written word - normalization may turn it into several ("$20" -> "twenty dollars")
+    wordToPhonemes(text) {
+        const normalizedText = this.languagePack.normalizeText
+            ? this.textNormalizer.normalize(text)
+            : this.textNormalizer.removeEmoji(text);
+        
+        return normalizedText.toLowerCase().split(/\s+/)
+            .map(word => this.cleanWord(word))
+            .filter(word => word.length > 0)
+            .flatMap(word => this.extractPhonemesFromWord(word));
+    }
+
+    // Warp a timeline onto the speech, silences and syllable nuclei of the decoded audio
+    // Keeps the estimated timing if the alignment fails
+    alignTimelineToAudio(visemeTimeline, audioBuffer) {
+        try {
+            return this.aligner.alignToBuffer(visemeTimeline, audioBuffer);
+        } catch (error) {
+            console.error('Forced alignment failed, using estimated timing:', error);
+            return visemeTimeline;
+        }
+    }
+
     // Get the active viseme at a specific time
     getVisemeAtTime(visemeTimeline, currentTime) {
         if (!visemeTimeline || visemeTimeline.length === 0) {
@@ -529,53 +1064,107 @@ class PhonemeLipSyncService {
             intensity = 0.95; // Increased intensity
         }
         
+        const viseme = this.mapViseme(currentViseme);
+        return { 
+            viseme, 
+            intensity: intensity * this.getVisemeIntensityScale({ ...currentViseme, viseme }),
+            secondaryMorphs: this.secondaryMorphs[viseme]
+        };
+    }
+
+    // How far a timeline entry's viseme is driven
+    getVisemeIntensityScale(entry) {
         // Scale intensity based on the viseme type
         // Vowels should be more pronounced for clearer speech
-        const isVowelViseme = /viseme_(aa|E|I|O|U)/.test(currentViseme.viseme);
+        const isVowelViseme = /viseme_(aa|E|I|O|U)/.test(entry.viseme);
         
         // Apply specific intensity scaling based on viseme type
         let intensityScale;
-        if (currentViseme.viseme === 'viseme_sil') {
+        if (entry.viseme === 'viseme_sil') {
             intensityScale = 0.1; // Almost closed mouth for silence
         } else if (isVowelViseme) {
-            if (currentViseme.viseme === 'viseme_aa') {
+            if (entry.viseme === 'viseme_aa') {
                 intensityScale = 0.65; // Much more open for 'aa' vowel
-            } else if (currentViseme.viseme === 'viseme_O') {
+            } else if (entry.viseme === 'viseme_O') {
                 intensityScale = 0.55; // More pronounced for 'O' vowel
             } else {
                 intensityScale = 0.45; // Other vowels more pronounced
             }
-        } else if (currentViseme.viseme === 'viseme_PP') {
+        } else if (entry.viseme === 'viseme_PP') {
             intensityScale = 0.25; // Closed mouth consonants
         } else {
             intensityScale = 0.35; // Other consonants more pronounced
         }
         
-        return { 
-            viseme: currentViseme.viseme, 
-            intensity: intensity * intensityScale,
-            secondaryMorphs: this.secondaryMorphs[currentViseme.viseme]
-        };
+        // Stressed syllables open the mouth further, reduced vowels stay lax
+        if (entry.stress) {
+            intensityScale *= this.stressIntensityScale[entry.stress] || 1;
+        }
+        
+        // SSML <emphasis> on top of the lexical stress
+        if (entry.emphasis) {
+            intensityScale *= entry.emphasis;
+        }
+        
+        return intensityScale;
+    }
+
+    // Target morph weights a timeline entry drives the face toward at its peak
+    getVisemeTargets(entry) {
+        const viseme = this.mapViseme(entry);
+        const intensity = 0.95 * this.getVisemeIntensityScale({ ...entry, viseme });
+        const targets = { [viseme]: intensity };
+        
+        const secondary = this.secondaryMorphs[viseme];
+        if (secondary) {
+            secondary.morphs.forEach(morphName => {
+                targets[morphName] = intensity * secondary.weight * 0.85;
+            });
+        }
+        
+        if (this.jawOpenBoost[viseme]) {
+            targets.jawOpen = intensity * this.jawOpenBoost[viseme];
+        }
+        
+        // Exclamations are said with a wider jaw
+        if (entry.sentenceType === 'exclamation' && targets.jawOpen) {
+            targets.jawOpen *= this.exclamationJawScale;
+        }
+        
+        return targets;
+    }
+
+    // Weight for every viseme and mouth morph at a time, with coarticulation between
+    // neighbouring visemes, e.g. { viseme_aa: 0.42, jawOpen: 0.18, mouthPucker: 0.05 }
+    // On ARKit-only avatars the viseme weights come back as ARKit shapes
+    getMorphWeightsAtTime(visemeTimeline, currentTime) {
+        const weights = this.coarticulation.getMorphWeights(
+            visemeTimeline,
+            currentTime,
+            entry => this.getVisemeTargets(entry)
+        );
+        
+        return this.useARKitVisemes ? this.arkitMapper.mapWeights(weights) : weights;
     }
 
     // Get appropriate duration for breaks between words
     getWordBreakDuration(previousWord, currentWord) {
+        const pauses = this.languagePack.pauses;
+        
         // Punctuation checks (simulate commas with longer pauses)
         if (previousWord.endsWith(',') || previousWord.endsWith(';')) {
-            return 0.2; // Medium pause for commas/semicolons
+            return pauses.clause; // Medium pause for commas/semicolons
         }
         
         // Basic linguistic rules for natural pauses
         
         // Check if words are function words (usually said quickly with less pause)
-        const functionWords = ['the', 'a', 'an', 'and', 'or', 'but', 'if', 'in', 'on', 'at', 'to', 'of', 'for'];
-        
-        if (functionWords.includes(previousWord) || functionWords.includes(currentWord)) {
-            return 0.05; // Slight pause between function words and content words
+        if (this.functionWords.includes(previousWord) || this.functionWords.includes(currentWord)) {
+            return pauses.functionWord; // Slight pause between function words and content words
         }
         
         // Default word break duration
-        return 0.1; // Standard pause between content words
+        return pauses.word; // Standard pause between content words
     }
 }
 
@@ -0,0 +1,72 @@
+class PronunciationLexicon {
+    constructor() {
+        // CMUdict-style dictionary: lowercase word -> space separated ARPAbet string
+        // e.g. "through" -> "TH R UW1". Alternate pronunciations use "word(2)" keys.
+        // No prototype, so words like "constructor" only match real entries
+        this.dictionary = Object.create(null);
+        this.isLoaded = false;
+        this.loadPromise = null;
+    }
+
+    // Load the bundled CMU pronouncing dictionary
+    // The dictionary is large, so it is imported lazily into its own chunk
+    async load() {
+        if (this.loadPromise) return this.loadPromise;
+
+        this.loadPromise = import('cmu-pronouncing-dictionary')
+            .then(({ dictionary }) => {
+                this.addEntries(dictionary);
+                this.isLoaded = true;
+                console.log('Pronunciation lexicon loaded with', Object.keys(this.dictionary).length, 'entries');
+            })
+            .catch(error => {
+                // Lip sync still works without the lexicon - every word uses the letter rules
+                console.error('Failed to load pronunciation lexicon:', error);
+            });
+
+        return this.loadPromise;
+    }
+
+    // Merge entries into the lexicon, later entries win
+    addEntries(entries) {
+        for (const [word, pronunciation] of Object.entries(entries)) {
+            this.dictionary[word.toLowerCase()] = pronunciation;
+        }
+    }
+
+    // Parse dictionary text in the CMUdict file format and merge it into the lexicon
+    // Lines look like "THROUGH  TH R UW1", comments start with ";;;"
+    addDictionaryText(text) {
+        const entries = {};
+
+        for (const line of text.split(/\r?\n/)) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith(';;;')) continue;
+
+            const match = trimmed.match(/^(\S+)\s+(.+)$/);
+            if (match) {
+                entries[match[1]] = match[2].trim();
+            }
+        }
+
+        this.addEntries(entries);
+    }
+
+    // Look up a word and return its ARPAbet phonemes with stress digits
+    // e.g. "one" -> ['W', 'AH1', 'N'], or null when the word is unknown
+    lookup(word) {
+        if (!word) return null;
+
+        const key = word.toLowerCase();
+        const trimmed = key.replace(/^'+|'+$/g, '');
+        const match = [key, trimmed].find(candidate => Object.hasOwn(this.dictionary, candidate));
+
+        return match !== undefined ? this.dictionary[match].split(/\s+/) : null;
+    }
+
+    has(word) {
+        return this.lookup(word) !== null;
+    }
+}
+
+export default PronunciationLexicon;
@@ -0,0 +1,145 @@
+// ARPAbet phonemes accepted in overrides (stress digits 0-2 are allowed on the vowels)
+const ARPABET_PHONEMES = [
+    'AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'B', 'CH', 'D', 'DH', 'EH', 'ER', 'EY', 'F', 'G', 'HH',
+    'IH', 'IY', 'JH', 'K', 'L', 'M', 'N', 'NG', 'OW', 'OY', 'P', 'R', 'S', 'SH', 'T', 'TH',
+    'UH', 'UW', 'V', 'W', 'Y', 'Z', 'ZH'
+];
+
+// User pronunciations for names, medications and jargon the dictionary and letter rules get wrong
+// ("sertraline" -> "S ER1 T R AH0 L IY2 N"). They are checked before anything else and kept
+// in localStorage, so they survive reloads; JSON import/export lets a team share them.
+class PronunciationOverrides {
+    constructor(storageKey = 'lipsync.pronunciationOverrides') {
+        this.storageKey = storageKey;
+
+        // Lowercase word -> space separated ARPAbet string; no prototype, so words like
+        // "constructor" are never mistaken for an entry
+        this.entries = Object.create(null);
+
+        this.load();
+    }
+
+    // Read the saved overrides; without localStorage (e.g. in Node) the list starts empty
+    load() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            if (saved) {
+                this.entries = this.parseEntries(JSON.parse(saved));
+            }
+        } catch (error) {
+            console.error('Failed to load pronunciation overrides:', error);
+        }
+    }
+
+    save() {
+        if (typeof localStorage === 'undefined') return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.error('Failed to save pronunciation overrides:', error);
+        }
+    }
+
+    // Add or replace an override, throws if the word or the ARPAbet string is invalid
+    set(word, arpabet) {
+        const key = this.normalizeWord(word);
+        if (!key) {
+            throw new Error('The word must not be empty or contain spaces');
+        }
+
+        this.entries[key] = this.normalizePronunciation(arpabet);
+        this.save();
+    }
+
+    remove(word) {
+        const key = this.normalizeWord(word);
+        if (!Object.hasOwn(this.entries, key)) return;
+
+        delete this.entries[key];
+        this.save();
+    }
+
+    clear() {
+        this.entries = Object.create(null);
+        this.save();
+    }
+
+    // ARPAbet phonemes for a word, e.g. ['D', 'IY1', 'B', 'IY1', 'T', 'IY1'], or null
+    lookup(word) {
+        const key = this.normalizeWord(word);
+        return Object.hasOwn(this.entries, key) ? this.entries[key].split(' ') : null;
+    }
+
+    has(word) {
+        return Object.hasOwn(this.entries, this.normalizeWord(word));
+    }
+
+    // Entries sorted by word, for display
+    getAll() {
+        return Object.keys(this.entries)
+            .sort()
+            .map(word => ({ word, pronunciation: this.entries[word] }));
+    }
+
+    toJSON() {
+        return JSON.stringify({
+            format: 'pronunciation-overrides',
+            version: 1,
+            entries: this.entries
+        }, null, 2);
+    }
+
+    // Import overrides exported by toJSON (or a plain { word: arpabet } object)
+    // Merges into the current list unless replace is set; returns the number of entries imported
+    importJSON(text, { replace = false } = {}) {
+        const data = JSON.parse(text);
+        const entries = this.parseEntries(data.format === 'pronunciation-overrides' ? data.entries : data);
+
+        this.entries = replace ? entries : Object.assign(Object.create(null), this.entries, entries);
+        this.save();
+
+        return Object.keys(entries).length;
+    }
+
+    // Validate a { word: arpabet } object, invalid entries are skipped with a warning
+    parseEntries(data) {
+        const entries = Object.create(null);
+        if (!data || typeof data !== 'object') return entries;
+
+        for (const [word, arpabet] of Object.entries(data)) {
+            try {
+                const key = this.normalizeWord(word);
+                if (key) entries[key] = this.normalizePronunciation(arpabet);
+            } catch (error) {
+                console.warn(`Skipping pronunciation override for "${word}":`, error.message);
+            }
+        }
+        return entries;
+    }
+
+    normalizeWord(word) {
+        const key = String(word || '').trim().toLowerCase();
+        return /\s/.test(key) ? '' : key;
+    }
+
+    // "s er1 t r ah0 l iy2 n" -> "S ER1 T R AH0 L IY2 N"
+    normalizePronunciation(arpabet) {
+        const phonemes = String(arpabet || '').trim().toUpperCase().split(/\s+/).filter(p => p.length > 0);
+        if (phonemes.length === 0) {
+            throw new Error('The pronunciation is empty');
+        }
+
+        for (const phoneme of phonemes) {
+            const match = phoneme.match(/^([A-Z]+)([012])?$/);
+            if (!match || !ARPABET_PHONEMES.includes(match[1])) {
+                throw new Error(`"${phoneme}" is not an ARPAbet phoneme`);
+            }
+        }
+        return phonemes.join(' ');
+    }
+}
+
+export default PronunciationOverrides;
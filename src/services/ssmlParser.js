@@ -0,0 +1,311 @@
+// Parses the SSML subset the lip sync understands into a flat list of segments:
+//
+//   { type: 'text', text, emphasis, rate }
+//   { type: 'phoneme', text, pronunciation, alphabet, ph, emphasis, rate }
+//   { type: 'break', duration }
+//
+// Supported: <speak>, <break time|strength>, <emphasis level>, <prosody rate>,
+// <say-as interpret-as> and <phoneme alphabet ph>. Other tags are dropped, their text is kept.
+// Works on strings only, so it runs without a DOM.
+
+// IPA symbols to ARPAbet, longest symbols are matched first
+const IPA_TO_ARPABET = [
+    ['tʃ', 'CH'], ['dʒ', 'JH'], ['eɪ', 'EY'], ['aɪ', 'AY'], ['ɔɪ', 'OY'], ['aʊ', 'AW'],
+    ['oʊ', 'OW'], ['əʊ', 'OW'], ['ɝ', 'ER'], ['ɚ', 'ER'], ['ɜ', 'ER'],
+    ['i', 'IY'], ['ɪ', 'IH'], ['e', 'EH'], ['ɛ', 'EH'], ['æ', 'AE'], ['a', 'AA'], ['ɑ', 'AA'],
+    ['ɒ', 'AA'], ['ɔ', 'AO'], ['o', 'OW'], ['ʊ', 'UH'], ['u', 'UW'], ['ʌ', 'AH'], ['ə', 'AH'],
+    ['p', 'P'], ['b', 'B'], ['t', 'T'], ['d', 'D'], ['k', 'K'], ['g', 'G'], ['ɡ', 'G'],
+    ['f', 'F'], ['v', 'V'], ['θ', 'TH'], ['ð', 'DH'], ['s', 'S'], ['z', 'Z'], ['ʃ', 'SH'],
+    ['ʒ', 'ZH'], ['h', 'HH'], ['m', 'M'], ['n', 'N'], ['ŋ', 'NG'], ['l', 'L'], ['r', 'R'],
+    ['ɹ', 'R'], ['w', 'W'], ['j', 'Y']
+];
+
+const ARPABET_VOWELS = ['AA', 'AE', 'AH', 'AO', 'AW', 'AY', 'EH', 'ER', 'EY', 'IH', 'IY', 'OW', 'OY', 'UH', 'UW'];
+
+class SsmlParser {
+    constructor() {
+        // Pause lengths in seconds for <break strength>
+        this.breakStrengths = {
+            'none': 0,
+            'x-weak': 0.1,
+            'weak': 0.2,
+            'medium': 0.4,
+            'strong': 0.7,
+            'x-strong': 1.2
+        };
+
+        // Intensity multipliers for <emphasis level>
+        this.emphasisLevels = {
+            'strong': 1.3,
+            'moderate': 1.15,
+            'none': 1,
+            'reduced': 0.8
+        };
+
+        // Speaking rate multipliers for <prosody rate>
+        this.rates = {
+            'x-slow': 0.6,
+            'slow': 0.8,
+            'medium': 1,
+            'fast': 1.25,
+            'x-fast': 1.5
+        };
+    }
+
+    // Text is treated as SSML when it is wrapped in <speak> or uses one of the supported tags
+    isSsml(text) {
+        if (typeof text !== 'string') return false;
+        return /^\s*<speak[\s>]/.test(text) || /<(break|emphasis|prosody|say-as|phoneme)[\s/>]/.test(text);
+    }
+
+    parse(ssml) {
+        const segments = [];
+        const stack = [{ name: 'root', emphasis: 1, rate: 1, sayAs: null, phoneme: null }];
+        const tagPattern = /<(\/?)([a-zA-Z][\w:-]*)([^>]*?)(\/?)>/g;
+
+        const addText = (raw) => {
+            const context = stack[stack.length - 1];
+            let text = this.decodeEntities(raw);
+
+            if (context.phoneme) {
+                context.phoneme.text += text;
+                return;
+            }
+            if (context.sayAs) {
+                text = this.interpretAs(text, context.sayAs);
+            }
+            if (text.trim().length === 0) return;
+
+            segments.push({ type: 'text', text, emphasis: context.emphasis, rate: context.rate });
+        };
+
+        let lastIndex = 0;
+        let match;
+        while ((match = tagPattern.exec(ssml)) !== null) {
+            addText(ssml.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            const [, closing, tagName, attributeText, selfClosing] = match;
+            const name = tagName.toLowerCase();
+            const parent = stack[stack.length - 1];
+
+            if (closing) {
+                // Close the innermost matching tag (and anything left open inside it)
+                const index = stack.map(context => context.name).lastIndexOf(name);
+                if (index <= 0) continue;
+
+                for (const context of stack.splice(index)) {
+                    if (context.phoneme) segments.push(this.createPhonemeSegment(context));
+                }
+                continue;
+            }
+
+            const attributes = this.parseAttributes(attributeText);
+
+            if (name === 'break') {
+                segments.push({ type: 'break', duration: this.getBreakDuration(attributes) });
+                continue;
+            }
+            if (selfClosing) continue;
+
+            const context = { ...parent, name, phoneme: null };
+            if (name === 'emphasis') {
+                context.emphasis = parent.emphasis * (this.emphasisLevels[attributes.level || 'moderate'] || 1);
+            } else if (name === 'prosody' && attributes.rate) {
+                context.rate = parent.rate * this.parseRate(attributes.rate);
+            } else if (name === 'say-as') {
+                context.sayAs = (attributes['interpret-as'] || '').toLowerCase();
+            } else if (name === 'phoneme') {
+                context.phoneme = {
+                    text: '',
+                    ph: attributes.ph || '',
+                    alphabet: (attributes.alphabet || 'ipa').toLowerCase()
+                };
+            }
+            stack.push(context);
+        }
+        addText(ssml.slice(lastIndex));
+
+        // Unclosed phoneme tags still count
+        for (const context of stack) {
+            if (context.phoneme) segments.push(this.createPhonemeSegment(context));
+        }
+
+        return segments;
+    }
+
+    createPhonemeSegment(context) {
+        const { text, ph, alphabet } = context.phoneme;
+        return {
+            type: 'phoneme',
+            text: text.trim(),
+            ph,
+            alphabet,
+            pronunciation: this.toArpabet(ph, alphabet),
+            emphasis: context.emphasis,
+            rate: context.rate
+        };
+    }
+
+    parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1].toLowerCase()] = this.decodeEntities(match[3] !== undefined ? match[3] : match[4]);
+        }
+        return attributes;
+    }
+
+    // "500ms", "1.5s" or a strength keyword
+    getBreakDuration(attributes) {
+        const time = (attributes.time || '').trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)$/i);
+        if (time) {
+            const value = parseFloat(time[1]);
+            return time[2].toLowerCase() === 'ms' ? value / 1000 : value;
+        }
+
+        const strength = this.breakStrengths[attributes.strength];
+        return strength !== undefined ? strength : this.breakStrengths.medium;
+    }
+
+    // "slow", "120%", "+20%", "-10%" or a plain multiplier like "0.9"
+    parseRate(rate) {
+        const value = rate.trim().toLowerCase();
+        if (this.rates[value]) return this.rates[value];
+
+        const relative = value.match(/^([+-])(\d+(?:\.\d+)?)%$/);
+        if (relative) {
+            const change = parseFloat(relative[2]) / 100;
+            return Math.max(0.2, relative[1] === '+' ? 1 + change : 1 - change);
+        }
+
+        const percentage = value.match(/^(\d+(?:\.\d+)?)%$/);
+        if (percentage) return Math.max(0.2, parseFloat(percentage[1]) / 100);
+
+        const number = parseFloat(value);
+        return number > 0 ? number : 1;
+    }
+
+    // Rewrite <say-as> content into text the normalizer reads the intended way
+    interpretAs(text, interpretAs) {
+        switch (interpretAs) {
+            case 'characters':
+            case 'spell-out':
+            case 'verbatim':
+                return ' ' + Array.from(text.replace(/\s+/g, '')).join(' ') + ' ';
+            case 'digits':
+            case 'telephone':
+                return text.replace(/\d/g, digit => ` ${digit} `);
+            case 'ordinal':
+                return text.replace(/\d+/g, digits => digits + this.ordinalSuffix(parseInt(digits, 10)));
+            default:
+                // cardinal, number, date, time... are already handled by the text normalizer
+                return text;
+        }
+    }
+
+    ordinalSuffix(value) {
+        if (value % 100 >= 11 && value % 100 <= 13) return 'th';
+        return { 1: 'st', 2: 'nd', 3: 'rd' }[value % 10] || 'th';
+    }
+
+    // Pronunciation as ARPAbet phonemes with stress digits on the vowels, e.g. ['T', 'AH0', 'M', 'EY1', 'T', 'OW0']
+    toArpabet(ph, alphabet) {
+        if (/arpabet|cmu/.test(alphabet)) {
+            return ph.trim().toUpperCase().split(/\s+/).filter(phoneme => phoneme.length > 0);
+        }
+        return this.ipaToArpabet(ph);
+    }
+
+    // IPA stress marks (ˈ primary, ˌ secondary) go onto the next vowel
+    ipaToArpabet(ph) {
+        const phonemes = [];
+        const text = ph.normalize('NFC').replace(/[ː.\s]/g, '');
+        let pendingStress = null;
+        const hasStress = /[ˈˌ']/.test(text);
+
+        for (let i = 0; i < text.length;) {
+            const character = text[i];
+            if (character === 'ˈ' || character === "'") {
+                pendingStress = 1;
+                i++;
+                continue;
+            }
+            if (character === 'ˌ') {
+                pendingStress = 2;
+                i++;
+                continue;
+            }
+
+            const entry = IPA_TO_ARPABET.find(([symbol]) => text.startsWith(symbol, i));
+            if (!entry) {
+                // Unknown symbol (diacritic, tone mark...) - skip it
+                i++;
+                continue;
+            }
+
+            const [symbol, arpabet] = entry;
+            if (ARPABET_VOWELS.includes(arpabet)) {
+                // Without stress marks the lexical stress rules decide
+                const stress = hasStress ? (pendingStress !== null ? pendingStress : 0) : '';
+                phonemes.push(arpabet + stress);
+                pendingStress = null;
+            } else {
+                phonemes.push(arpabet);
+            }
+            i += symbol.length;
+        }
+
+        return phonemes;
+    }
+
+    decodeEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    encodeEntities(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // The words of the SSML without any markup, e.g. for the chat window
+    toPlainText(ssml) {
+        if (!this.isSsml(ssml)) return ssml;
+
+        return this.parse(ssml)
+            .filter(segment => segment.type !== 'break')
+            .map(segment => segment.text)
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .replace(/\s+([,.!?;:])/g, '$1')
+            .trim();
+    }
+
+    // Rewrite SSML for a TTS provider that only understands some of the tags
+    // Unsupported tags are dropped and their text kept; with 'speak' in the list the result is wrapped
+    toProviderText(ssml, tags) {
+        const parts = this.parse(ssml).map(segment => {
+            if (segment.type === 'break') {
+                return tags.includes('break') ? `<break time="${Number(segment.duration.toFixed(3))}s" />` : ' ';
+            }
+            if (segment.type === 'phoneme' && tags.includes('phoneme')) {
+                return `<phoneme alphabet="${this.encodeEntities(segment.alphabet)}" ph="${this.encodeEntities(segment.ph)}">${this.encodeEntities(segment.text)}</phoneme>`;
+            }
+            return tags.includes('speak') ? this.encodeEntities(segment.text) : segment.text;
+        });
+
+        const text = parts.join(' ').replace(/\s+/g, ' ').replace(/\s+([,.!?;:])/g, '$1').trim();
+        return tags.includes('speak') ? `<speak>${text}</speak>` : text;
+    }
+}
+
+export default SsmlParser;
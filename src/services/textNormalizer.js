@@ -0,0 +1,324 @@
+import compromise from 'compromise';
+
+const ONES = [
+    'zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine',
+    'ten', 'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen',
+    'seventeen', 'eighteen', 'nineteen'
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand'], [100, 'hundred']];
+
+// Irregular ordinal endings, everything else just gets "th"
+const ORDINAL_WORDS = {
+    one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth',
+    nine: 'ninth', twelve: 'twelfth'
+};
+
+const MONTHS = [
+    'january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'
+];
+
+// Words right before a "3/14" that make it a date rather than a fraction
+const DATE_WORDS = [
+    'on', 'by', 'until', 'till', 'since',
+    'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+    'mon', 'tue', 'tues', 'wed', 'thu', 'thurs', 'fri', 'sat', 'sun',
+    ...MONTHS
+];
+
+// Words after which a number is read digit by digit ("dial 911", "room 1205")
+const DIGIT_WORDS = [
+    'dial', 'call', 'room', 'suite', 'apartment', 'apt', 'unit', 'flight', 'gate', 'platform',
+    'ext', 'extension', 'pin', 'code'
+];
+
+class TextNormalizer {
+    constructor(lexicon = null, overrides = null) {
+        // Optional pronunciation lexicon, used to tell acronyms apart from shouted words
+        this.lexicon = lexicon;
+
+        // Optional user pronunciations - words in it are left as written ("DBT" isn't spelled out)
+        this.overrides = overrides;
+
+        // Abbreviations the TTS voice expands when reading
+        // The trailing period is dropped so it doesn't end the sentence
+        this.abbreviations = {
+            'dr.': 'doctor',
+            'mr.': 'mister',
+            'mrs.': 'missus',
+            'ms.': 'miz',
+            'prof.': 'professor',
+            'jr.': 'junior',
+            'sr.': 'senior',
+            'st.': 'saint',
+            'vs.': 'versus',
+            'etc.': 'et cetera',
+            'e.g.': 'for example',
+            'i.e.': 'that is',
+            'approx.': 'approximately',
+            'min.': 'minutes',
+            'hr.': 'hour',
+            'hrs.': 'hours',
+            'no.': 'number'
+        };
+
+        // Acronyms that are said as a word rather than spelled out
+        this.spokenAcronyms = ['NASA', 'NATO', 'UNICEF', 'AIDS', 'COVID', 'SCUBA', 'LASER', 'RADAR', 'ASAP', 'FOMO', 'YOLO'];
+
+        // Currency symbols with [singular, plural] major and minor units
+        this.currencies = {
+            '$': [['dollar', 'dollars'], ['cent', 'cents']],
+            '£': [['pound', 'pounds'], ['penny', 'pence']],
+            '€': [['euro', 'euros'], ['cent', 'cents']],
+            '₹': [['rupee', 'rupees'], ['paisa', 'paise']]
+        };
+
+        // Symbols read out as words
+        this.symbols = {
+            '&': 'and',
+            '%': 'percent',
+            '+': 'plus',
+            '=': 'equals',
+            '@': 'at'
+        };
+    }
+
+    // Rewrite text into the words the TTS voice actually says
+    // Sentence punctuation is kept so the phoneme conversion can still find sentence breaks
+    normalize(text) {
+        if (!text) return '';
+
+        let result = text;
+        result = this.removeEmoji(result);
+        result = this.expandAbbreviations(result);
+        result = this.expandCurrency(result);
+        result = this.expandDigitSequences(result);
+        result = this.expandDates(result);
+        result = this.expandFractions(result);
+        result = this.expandTimes(result);
+        result = this.expandYears(result);
+        result = this.expandAcronyms(result);
+        result = this.expandNumbers(result);
+        result = this.expandSymbols(result);
+
+        return result.replace(/\s+/g, ' ').trim();
+    }
+
+    // Emoji are not spoken, so they shouldn't move the mouth
+    removeEmoji(text) {
+        return text.replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu, ' ');
+    }
+
+    expandAbbreviations(text) {
+        return text.replace(/\b[a-z]+(?:\.[a-z]+)*\./gi, (match) => {
+            const expansion = this.abbreviations[match.toLowerCase()];
+            return expansion || match;
+        });
+    }
+
+    // "$20.50" -> "twenty dollars and fifty cents"
+    expandCurrency(text) {
+        return text.replace(/([$£€₹])\s?(\d[\d,]*)(?:\.(\d{1,2}))?\b/g, (match, symbol, major, minor) => {
+            const [majorUnits, minorUnits] = this.currencies[symbol];
+            const majorValue = parseInt(major.replace(/,/g, ''), 10);
+            const minorValue = minor ? parseInt(minor.padEnd(2, '0'), 10) : 0;
+
+            const parts = [];
+            if (majorValue > 0 || minorValue === 0) {
+                parts.push(`${this.numberToWords(majorValue)} ${majorUnits[majorValue === 1 ? 0 : 1]}`);
+            }
+            if (minorValue > 0) {
+                parts.push(`${this.numberToWords(minorValue)} ${minorUnits[minorValue === 1 ? 0 : 1]}`);
+            }
+            return parts.join(' and ');
+        });
+    }
+
+    // Phone numbers and numbers after "dial", "room", ... are read digit by digit:
+    // "1-800-555-1234" -> "one eight zero zero five five five one two three four"
+    expandDigitSequences(text) {
+        const spellDigits = (digits) => digits.replace(/\D/g, '').split('').map(digit => ONES[parseInt(digit, 10)]).join(' ');
+        const digitWords = new RegExp(`\\b(${DIGIT_WORDS.join('|')})(\\.?\\s+#?)(\\d+)\\b(?![.,]\\d)`, 'gi');
+
+        return text
+            .replace(/(?:\+?1[-. ])?(?:\(\d{3}\)\s?|\b\d{3}[-. ])\d{3}[-. ]\d{4}\b|\b\d{3}-\d{4}\b/g, spellDigits)
+            .replace(digitWords, (match, word, separator, digits) => `${word}${separator}${spellDigits(digits)}`);
+    }
+
+    // "3/14/2024" and "2024-03-14" -> "march fourteenth twenty twenty four"
+    // Without a year, "3/14" is only a date after "on", a weekday or a month; otherwise it
+    // is left for expandNumbers to read as a fraction ("3/4 full")
+    expandDates(text) {
+        const spellDate = (month, day, year) => {
+            if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+            const words = [MONTHS[month - 1], this.numberToOrdinalWords(day)];
+            if (year !== undefined) {
+                words.push(this.yearToWords(year < 100 ? 2000 + year : year));
+            }
+            return words.join(' ');
+        };
+
+        return text
+            .replace(/\b(\d{4})-(\d{2})-(\d{2})\b/g, (match, year, month, day) =>
+                spellDate(parseInt(month, 10), parseInt(day, 10), parseInt(year, 10)) || match)
+            .replace(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2}|\d{4}))?\b/g, (match, month, day, year, offset, string) => {
+                if (!year) {
+                    const previousWord = (string.slice(0, offset).match(/([a-z]+)\.?,?\s*$/i) || [])[1];
+                    if (!previousWord || !DATE_WORDS.includes(previousWord.toLowerCase())) return match;
+                }
+                return spellDate(parseInt(month, 10), parseInt(day, 10), year ? parseInt(year, 10) : undefined) || match;
+            });
+    }
+
+    // "3/4" -> "three quarters", "1/2" -> "one half", "2/3" -> "two thirds"
+    expandFractions(text) {
+        return text.replace(/\b(\d+)\/(\d+)\b(?!\/\d)/g, (match, numerator, denominator) => {
+            const top = parseInt(numerator, 10);
+            const bottom = parseInt(denominator, 10);
+            if (bottom < 2) return match;
+
+            const plural = top !== 1;
+            let unit;
+            if (bottom === 2) unit = plural ? 'halves' : 'half';
+            else if (bottom === 4) unit = plural ? 'quarters' : 'quarter';
+            else unit = this.numberToOrdinalWords(bottom) + (plural ? 's' : '');
+            return `${this.numberToWords(top)} ${unit}`;
+        });
+    }
+
+    // "10:30 pm" -> "ten thirty p m", "3pm" -> "three p m", "4:00" -> "four o'clock"
+    expandTimes(text) {
+        const meridiem = (value) => value ? ' ' + value.replace(/\./g, '').toLowerCase().split('').join(' ') : '';
+
+        // "am", "p.m." - the period after it is kept when it also ends the sentence ("at 3 pm. Bring
+        // snacks."), so the sentences stay apart; no /i flag, the lookahead needs to tell the cases apart
+        const meridiemPattern = /([aApP]\.?[mM])(\.(?=\s*$|\s+[^a-z\s]))?\.?(?![a-zA-Z])/.source;
+
+        return text
+            .replace(new RegExp(`\\b(\\d{1,2}):(\\d{2})(?:\\s*${meridiemPattern})?`, 'g'), (match, hours, minutes, period, sentenceEnd) => {
+                const hourValue = parseInt(hours, 10);
+                const minuteValue = parseInt(minutes, 10);
+                if (hourValue > 23 || minuteValue > 59) return match;
+
+                let words = this.numberToWords(hourValue);
+                if (minuteValue === 0) {
+                    words += period ? '' : " o'clock";
+                } else if (minuteValue < 10) {
+                    words += ' oh ' + this.numberToWords(minuteValue);
+                } else {
+                    words += ' ' + this.numberToWords(minuteValue);
+                }
+                return words + meridiem(period) + (sentenceEnd || '');
+            })
+            .replace(new RegExp(`\\b(\\d{1,2})\\s*${meridiemPattern}`, 'g'), (match, hours, period, sentenceEnd) => {
+                const hourValue = parseInt(hours, 10);
+                if (hourValue < 1 || hourValue > 12) return match;
+                return this.numberToWords(hourValue) + meridiem(period) + (sentenceEnd || '');
+            });
+    }
+
+    // Four digit numbers without separators are read as years: "2024" -> "twenty twenty four"
+    // Digit groups joined by "-" or "/" (codes, serial numbers) are not years, except for
+    // a range of two years: "1990-2000" -> "nineteen ninety to two thousand"
+    expandYears(text) {
+        const year = '1[1-9]\\d\\d|20\\d\\d';
+        text = text.replace(new RegExp(`(?<![\\d-/])\\b(${year})\\s?[-–]\\s?(${year})\\b(?![-/]\\d)`, 'g'), (match, from, to) =>
+            `${this.yearToWords(parseInt(from, 10))} to ${this.yearToWords(parseInt(to, 10))}`);
+
+        return text.replace(/(^|[^\d.,$£€₹])(?<!\d[-/])(1[1-9]\d\d|20\d\d)(s?)\b(?![.,]\d|%|[-/]\d)/g, (match, before, year, plural) => {
+            let words = this.yearToWords(parseInt(year, 10));
+            if (plural) {
+                // "1990s" -> "nineteen nineties"
+                words = words.replace(/(\w+)$/, (last) => last.endsWith('y') ? last.slice(0, -1) + 'ies' : last + 's');
+            }
+            return before + words;
+        });
+    }
+
+    // "CBT" -> "C B T", unless the acronym is said as a word ("NASA")
+    expandAcronyms(text) {
+        return text.replace(/\b([A-Z]{2,6})(s?)\b/g, (match, letters, plural) => {
+            if (this.spokenAcronyms.includes(letters)) return match;
+            if (this.overrides && this.overrides.has(match)) return match;
+
+            // All-caps words with vowels that are real words are emphasis, not acronyms ("I'm SO proud")
+            if (/[AEIOU]/.test(letters) && this.lexicon && this.lexicon.has(letters.toLowerCase())) {
+                return match;
+            }
+
+            const spelled = letters.split('').join(' ');
+            return plural ? `${spelled}'s` : spelled;
+        });
+    }
+
+    // Remaining numbers, ordinals and percentages are converted with compromise
+    expandNumbers(text) {
+        if (!/\d/.test(text)) return text;
+
+        let result = text;
+        try {
+            const doc = compromise(result);
+            doc.numbers().toText();
+            result = doc.text();
+        } catch (error) {
+            console.warn('compromise failed to expand numbers:', error);
+        }
+
+        // Anything compromise left behind is read digit by digit
+        return result.replace(/\d+/g, (digits) =>
+            digits.split('').map(digit => ONES[parseInt(digit, 10)]).join(' '));
+    }
+
+    expandSymbols(text) {
+        return text.replace(/[&%+=@]/g, (symbol) => ` ${this.symbols[symbol]} `);
+    }
+
+    // Integer to words: 1250 -> "one thousand two hundred fifty"
+    numberToWords(value) {
+        if (value < 20) return ONES[value];
+        if (value < 100) {
+            const tens = TENS[Math.floor(value / 10)];
+            return value % 10 ? `${tens} ${ONES[value % 10]}` : tens;
+        }
+
+        for (const [scale, name] of SCALES) {
+            if (value >= scale) {
+                const head = `${this.numberToWords(Math.floor(value / scale))} ${name}`;
+                const rest = value % scale;
+                return rest ? `${head} ${this.numberToWords(rest)}` : head;
+            }
+        }
+
+        return String(value);
+    }
+
+    // 14 -> "fourteenth", 22 -> "twenty second"
+    numberToOrdinalWords(value) {
+        const words = this.numberToWords(value).split(' ');
+        const last = words.pop();
+
+        let ordinal = ORDINAL_WORDS[last];
+        if (!ordinal) {
+            ordinal = last.endsWith('y') ? last.slice(0, -1) + 'ieth' : last + 'th';
+        }
+
+        return [...words, ordinal].join(' ');
+    }
+
+    // 2024 -> "twenty twenty four", 2005 -> "two thousand five", 1905 -> "nineteen oh five"
+    yearToWords(year) {
+        if (year >= 2000 && year < 2010) {
+            return this.numberToWords(year);
+        }
+
+        const century = Math.floor(year / 100);
+        const rest = year % 100;
+
+        if (rest === 0) return `${this.numberToWords(century)} hundred`;
+        if (rest < 10) return `${this.numberToWords(century)} oh ${this.numberToWords(rest)}`;
+        return `${this.numberToWords(century)} ${this.numberToWords(rest)}`;
+    }
+}
+
+export default TextNormalizer;
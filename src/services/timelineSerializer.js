@@ -0,0 +1,452 @@
+// Viseme morphs in the order of the Oculus (OVR LipSync) viseme set, with their CSV column names
+const OCULUS_VISEMES = [
+    ['viseme_sil', 'sil'], ['viseme_PP', 'PP'], ['viseme_FF', 'FF'], ['viseme_TH', 'TH'],
+    ['viseme_DD', 'DD'], ['viseme_kk', 'kk'], ['viseme_CH', 'CH'], ['viseme_SS', 'SS'],
+    ['viseme_nn', 'nn'], ['viseme_RR', 'RR'], ['viseme_aa', 'aa'], ['viseme_E', 'E'],
+    ['viseme_I', 'ih'], ['viseme_O', 'oh'], ['viseme_U', 'ou']
+];
+
+// Rhubarb Lip Sync mouth shapes
+// A closed (P B M), B clenched teeth (most consonants, "ee"), C open ("eh"), D wide open ("aa"),
+// E slightly rounded ("ao", "er"), F puckered ("oo", "w"), G teeth on lip (F V), H tongue up (L), X rest
+const RHUBARB_SHAPES = {
+    'viseme_sil': 'X', 'viseme_PP': 'A', 'viseme_FF': 'G', 'viseme_TH': 'B', 'viseme_DD': 'B',
+    'viseme_kk': 'B', 'viseme_CH': 'B', 'viseme_SS': 'B', 'viseme_nn': 'B', 'viseme_RR': 'E',
+    'viseme_aa': 'D', 'viseme_E': 'C', 'viseme_I': 'B', 'viseme_O': 'E', 'viseme_U': 'F'
+};
+const RHUBARB_VISEMES = {
+    'A': 'viseme_PP', 'B': 'viseme_SS', 'C': 'viseme_E', 'D': 'viseme_aa', 'E': 'viseme_O',
+    'F': 'viseme_U', 'G': 'viseme_FF', 'H': 'viseme_DD', 'X': 'viseme_sil'
+};
+
+// Preston Blair mouth set used by Papagayo and MOHO switch layers
+const PRESTON_BLAIR_SHAPES = {
+    'viseme_sil': 'rest', 'viseme_PP': 'MBP', 'viseme_FF': 'FV', 'viseme_TH': 'etc', 'viseme_DD': 'etc',
+    'viseme_kk': 'etc', 'viseme_CH': 'etc', 'viseme_SS': 'etc', 'viseme_nn': 'etc', 'viseme_RR': 'etc',
+    'viseme_aa': 'AI', 'viseme_E': 'E', 'viseme_I': 'E', 'viseme_O': 'O', 'viseme_U': 'U'
+};
+const PRESTON_BLAIR_VISEMES = {
+    'AI': 'viseme_aa', 'E': 'viseme_E', 'O': 'viseme_O', 'U': 'viseme_U', 'etc': 'viseme_DD',
+    'L': 'viseme_DD', 'WQ': 'viseme_U', 'MBP': 'viseme_PP', 'FV': 'viseme_FF', 'rest': 'viseme_sil'
+};
+
+// Representative phoneme for imported visemes, so entries look like the text timeline
+const VISEME_PHONEMES = {
+    'viseme_sil': 'sil', 'viseme_PP': 'P', 'viseme_FF': 'F', 'viseme_TH': 'TH', 'viseme_DD': 'D',
+    'viseme_kk': 'K', 'viseme_CH': 'CH', 'viseme_SS': 'S', 'viseme_nn': 'N', 'viseme_RR': 'R',
+    'viseme_aa': 'AA', 'viseme_E': 'EH', 'viseme_I': 'IY', 'viseme_O': 'OW', 'viseme_U': 'UW'
+};
+
+// Reads and writes viseme timelines in our own versioned JSON and in the formats of common
+// lip sync tools, so lines can be inspected and fixed by hand and played back later
+//
+// Formats: 'json', 'rhubarb-tsv', 'rhubarb-json', 'papagayo' (.pgo), 'moho' (.dat), 'oculus-csv'
+class TimelineSerializer {
+    constructor() {
+        this.version = 1;
+        this.defaultFps = 24;       // Papagayo and MOHO default
+        this.csvFps = 30;           // Frame rate of exported Oculus CSV rows
+    }
+
+    // Serialize a timeline; options: { fps, text, soundFile }
+    export(timeline, format, options = {}) {
+        switch (format) {
+            case 'json': return this.exportJSON(timeline, options);
+            case 'rhubarb-tsv': return this.exportRhubarbTSV(timeline);
+            case 'rhubarb-json': return this.exportRhubarbJSON(timeline, options);
+            case 'papagayo': return this.exportPapagayo(timeline, options);
+            case 'moho': return this.exportMoho(timeline, options);
+            case 'oculus-csv': return this.exportOculusCSV(timeline, options);
+            default: throw new Error(`Unknown timeline format: ${format}`);
+        }
+    }
+
+    // Parse a timeline; the format is detected from the file name or content if not given
+    import(content, format = null, options = {}) {
+        switch (format || this.detectFormat(content, options.fileName)) {
+            case 'json': return this.importJSON(content);
+            case 'rhubarb-tsv': return this.importRhubarbTSV(content, options);
+            case 'rhubarb-json': return this.importRhubarbJSON(content);
+            case 'papagayo': return this.importPapagayo(content);
+            case 'moho': return this.importMoho(content, options);
+            case 'oculus-csv': return this.importOculusCSV(content);
+            default: throw new Error(`Unknown timeline format: ${format}`);
+        }
+    }
+
+    detectFormat(content, fileName = '') {
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (extension === 'pgo') return 'papagayo';
+        if (extension === 'dat') return 'moho';
+        if (extension === 'tsv' || extension === 'txt') return 'rhubarb-tsv';
+
+        const text = content.trim();
+        if (text.startsWith('lipsync version')) return 'papagayo';
+        if (text.startsWith('MohoSwitch')) return 'moho';
+        if (text.startsWith('{')) {
+            return JSON.parse(text).mouthCues ? 'rhubarb-json' : 'json';
+        }
+        if (/^time,/i.test(text)) return 'oculus-csv';
+        if (/^\d+(\.\d+)?\t[A-HX]/.test(text)) return 'rhubarb-tsv';
+
+        throw new Error('Could not detect the timeline format');
+    }
+
+    // --- Versioned JSON ---
+
+    exportJSON(timeline, options = {}) {
+        return JSON.stringify({
+            format: 'viseme-timeline',
+            version: this.version,
+            duration: this.getDuration(timeline),
+            text: options.text || null,
+            entries: timeline.map(entry => ({
+                phoneme: entry.phoneme,
+                viseme: entry.viseme,
+                startTime: entry.startTime,
+                endTime: entry.endTime,
+                stress: entry.stress,
+                emphasis: entry.emphasis,
+                sentenceType: entry.sentenceType,
+                sentenceEnd: entry.sentenceEnd,
+                phraseEnd: entry.phraseEnd,
+                word: entry.word
+            }))
+        }, null, 2);
+    }
+
+    importJSON(content) {
+        const data = JSON.parse(content);
+        if (data.format !== 'viseme-timeline' || !Array.isArray(data.entries)) {
+            throw new Error('Not a viseme timeline file');
+        }
+        if (data.version > this.version) {
+            throw new Error(`Timeline version ${data.version} is newer than supported (${this.version})`);
+        }
+
+        return data.entries.map(entry => this.createEntry(entry.viseme, entry.startTime, entry.endTime, entry));
+    }
+
+    // --- Rhubarb Lip Sync ---
+
+    // One "start<TAB>shape" line per cue; the last cue closes the mouth at the end
+    exportRhubarbTSV(timeline) {
+        const cues = this.toCues(timeline, entry => this.toRhubarbShape(entry));
+        const lines = cues.map(cue => `${cue.start.toFixed(2)}\t${cue.value}`);
+        lines.push(`${this.getDuration(timeline).toFixed(2)}\tX`);
+        return lines.join('\n') + '\n';
+    }
+
+    importRhubarbTSV(content, options = {}) {
+        const cues = content.trim().split(/\r?\n/)
+            .map(line => line.trim().split(/\s+/))
+            .filter(parts => parts.length >= 2)
+            .map(([start, value]) => ({ start: parseFloat(start), value }));
+
+        // Each cue lasts until the next one
+        const entries = cues.slice(0, -1).map((cue, i) =>
+            this.createEntry(RHUBARB_VISEMES[cue.value] || 'viseme_sil', cue.start, cues[i + 1].start));
+
+        const last = cues[cues.length - 1];
+        if (last && options.duration > last.start) {
+            entries.push(this.createEntry(RHUBARB_VISEMES[last.value] || 'viseme_sil', last.start, options.duration));
+        }
+        return this.mergeEntries(entries);
+    }
+
+    exportRhubarbJSON(timeline, options = {}) {
+        const cues = this.toCues(timeline, entry => this.toRhubarbShape(entry));
+        return JSON.stringify({
+            metadata: {
+                soundFile: options.soundFile || '',
+                duration: Number(this.getDuration(timeline).toFixed(2))
+            },
+            mouthCues: cues.map(cue => ({
+                start: Number(cue.start.toFixed(2)),
+                end: Number(cue.end.toFixed(2)),
+                value: cue.value
+            }))
+        }, null, 2);
+    }
+
+    importRhubarbJSON(content) {
+        const data = JSON.parse(content);
+        if (!Array.isArray(data.mouthCues)) {
+            throw new Error('Not a Rhubarb JSON file');
+        }
+
+        return data.mouthCues.map(cue => this.createEntry(RHUBARB_VISEMES[cue.value] || 'viseme_sil', cue.start, cue.end));
+    }
+
+    toRhubarbShape(entry) {
+        // The phoneme tells "L" (tongue up) apart from the other tongue consonants
+        if (entry.phoneme === 'L') return 'H';
+        return RHUBARB_SHAPES[entry.viseme] || 'X';
+    }
+
+    // --- Papagayo (.pgo) ---
+
+    // Words come from the timeline: an entry with a `word` starts that word, which runs up to
+    // the next word or pause. Timelines without words (imported from other formats) get one
+    // word per stretch of speech between pauses, named after options.text when the counts
+    // line up and after their phonemes ("AH-L-OW") otherwise
+    exportPapagayo(timeline, options = {}) {
+        const fps = options.fps || this.defaultFps;
+        const toFrame = time => Math.round(time * fps);
+        const duration = this.getDuration(timeline);
+        const hasWords = timeline.some(entry => entry.word);
+
+        const words = [];
+        let current = null;
+        for (const entry of timeline) {
+            const isPause = hasWords ? entry.phoneme === 'sil' && !entry.word : entry.viseme === 'viseme_sil';
+            if (isPause) {
+                current = null;
+                continue;
+            }
+            if (!current || entry.word) {
+                current = { name: entry.word || null, startTime: entry.startTime, endTime: entry.endTime, phonemes: [] };
+                words.push(current);
+            }
+            current.endTime = entry.endTime;
+            current.phonemes.push({ frame: toFrame(entry.startTime), shape: this.toPrestonBlairShape(entry), phoneme: entry.phoneme });
+        }
+
+        if (!hasWords) {
+            const textWords = (options.text || '').split(/\s+/).filter(word => word.length > 0);
+            words.forEach((word, i) => {
+                word.name = textWords.length === words.length
+                    ? textWords[i]
+                    : word.phonemes.map(phoneme => phoneme.phoneme).join('-');
+            });
+        }
+
+        // Papagayo splits the phrase on spaces, so the phrase is the words that are said
+        const text = hasWords || !options.text ? words.map(word => word.name).join(' ') : options.text;
+
+        const lines = [
+            'lipsync version 1',
+            options.soundFile || '',
+            String(fps),
+            String(toFrame(duration)),
+            '1',
+            '\tVoice 1',
+            `\t${text.replace(/\n/g, '|')}`,
+            '\t1',
+            `\t\t${text.replace(/\n/g, ' ')}`,
+            `\t\t${words.length ? toFrame(words[0].startTime) : 0}`,
+            `\t\t${words.length ? toFrame(words[words.length - 1].endTime) : 0}`,
+            `\t\t${words.length}`
+        ];
+        words.forEach(word => {
+            lines.push(`\t\t\t${word.name} ${toFrame(word.startTime)} ${toFrame(word.endTime)} ${word.phonemes.length}`);
+            word.phonemes.forEach(phoneme => lines.push(`\t\t\t\t${phoneme.frame} ${phoneme.shape}`));
+        });
+
+        return lines.join('\n') + '\n';
+    }
+
+    importPapagayo(content) {
+        const lines = content.split(/\r?\n/);
+        if (!lines[0].startsWith('lipsync version')) {
+            throw new Error('Not a Papagayo file');
+        }
+
+        const fps = parseFloat(lines[2]) || this.defaultFps;
+        const totalFrames = parseInt(lines[3], 10) || 0;
+
+        // Word lines have three indents and four fields, phoneme lines four indents and two
+        const keys = [];
+        let wordEnd = null;
+        let wordName = null;
+        for (const line of lines.slice(5)) {
+            const indent = line.match(/^\t*/)[0].length;
+            const parts = line.trim().split(/\s+/);
+
+            if (indent === 3 && parts.length === 4) {
+                if (wordEnd !== null) keys.push({ frame: wordEnd, shape: 'rest' });
+                wordEnd = parseInt(parts[2], 10);
+                wordName = parts[0];
+            } else if (indent === 4 && parts.length === 2) {
+                // The word starts at its first phoneme
+                keys.push({ frame: parseInt(parts[0], 10), shape: parts[1], word: wordName });
+                wordName = null;
+            }
+        }
+        if (wordEnd !== null) keys.push({ frame: wordEnd, shape: 'rest' });
+
+        return this.keysToTimeline(keys, fps, totalFrames);
+    }
+
+    toPrestonBlairShape(entry) {
+        if (entry.phoneme === 'L') return 'L';
+        if (entry.phoneme === 'W') return 'WQ';
+        return PRESTON_BLAIR_SHAPES[entry.viseme] || 'rest';
+    }
+
+    // --- MOHO switch data (.dat) ---
+
+    // Frames are 1-based
+    exportMoho(timeline, options = {}) {
+        const fps = options.fps || this.defaultFps;
+        const cues = this.toCues(timeline, entry => this.toPrestonBlairShape(entry));
+
+        const lines = ['MohoSwitch1'];
+        cues.forEach(cue => lines.push(`${Math.round(cue.start * fps) + 1} ${cue.value}`));
+        lines.push(`${Math.round(this.getDuration(timeline) * fps) + 1} rest`);
+        return lines.join('\n') + '\n';
+    }
+
+    importMoho(content, options = {}) {
+        const lines = content.trim().split(/\r?\n/);
+        if (!lines[0].startsWith('MohoSwitch')) {
+            throw new Error('Not a MOHO switch data file');
+        }
+
+        const fps = options.fps || this.defaultFps;
+        const keys = lines.slice(1)
+            .map(line => line.trim().split(/\s+/))
+            .filter(parts => parts.length >= 2)
+            .map(([frame, shape]) => ({ frame: parseInt(frame, 10) - 1, shape }));
+
+        return this.keysToTimeline(keys, fps, keys.length ? keys[keys.length - 1].frame : 0);
+    }
+
+    // --- Oculus viseme CSV ---
+
+    // One row per frame with a weight for each of the 15 Oculus visemes
+    exportOculusCSV(timeline, options = {}) {
+        const fps = options.fps || this.csvFps;
+        const duration = this.getDuration(timeline);
+        const rows = ['time,' + OCULUS_VISEMES.map(([, column]) => column).join(',')];
+
+        let index = 0;
+        for (let frame = 0; frame <= Math.round(duration * fps); frame++) {
+            const time = frame / fps;
+            while (index < timeline.length - 1 && time >= timeline[index].endTime) index++;
+            const viseme = timeline[index] ? timeline[index].viseme : 'viseme_sil';
+
+            rows.push(time.toFixed(3) + ',' + OCULUS_VISEMES.map(([morph]) => (morph === viseme ? 1 : 0)).join(','));
+        }
+
+        return rows.join('\n') + '\n';
+    }
+
+    importOculusCSV(content) {
+        const lines = content.trim().split(/\r?\n/);
+        const header = lines[0].split(',').map(column => column.trim());
+        const timeColumn = header.findIndex(column => /^time$/i.test(column));
+        if (timeColumn < 0) {
+            throw new Error('Oculus viseme CSV needs a time column');
+        }
+
+        const columns = OCULUS_VISEMES
+            .map(([morph, name]) => ({ morph, index: header.findIndex(column => column.toLowerCase() === name.toLowerCase()) }))
+            .filter(column => column.index >= 0);
+        if (columns.length === 0) {
+            throw new Error(`Oculus viseme CSV needs at least one viseme column (${OCULUS_VISEMES.map(([, name]) => name).join(', ')})`);
+        }
+
+        // The strongest viseme of each row wins
+        const frames = lines.slice(1).map(line => {
+            const values = line.split(',').map(Number);
+            let best = columns[0];
+            for (const column of columns) {
+                if (values[column.index] > values[best.index]) best = column;
+            }
+            return { time: values[timeColumn], viseme: best.morph };
+        });
+
+        return this.mergeEntries(frames.map((frame, i) =>
+            this.createEntry(frame.viseme, frame.time, i < frames.length - 1 ? frames[i + 1].time : frame.time)));
+    }
+
+    // --- Helpers ---
+
+    // Snap entry boundaries to a frame grid; entries shorter than a frame are absorbed by their neighbours
+    quantize(timeline, fps) {
+        const snap = time => Math.round(time * fps) / fps;
+        return this.mergeEntries(timeline.map(entry => {
+            const startTime = snap(entry.startTime);
+            const endTime = snap(entry.endTime);
+            return { ...entry, startTime, endTime, duration: endTime - startTime };
+        }));
+    }
+
+    // Merge consecutive entries that map to the same cue value
+    toCues(timeline, getValue) {
+        const cues = [];
+        for (const entry of timeline) {
+            const value = getValue(entry);
+            const last = cues[cues.length - 1];
+            if (last && last.value === value) {
+                last.end = entry.endTime;
+            } else {
+                cues.push({ start: last ? last.end : entry.startTime, end: entry.endTime, value });
+            }
+        }
+        return cues;
+    }
+
+    // Turn frame-keyed Preston Blair shapes into timeline entries, at rest until the first key
+    keysToTimeline(keys, fps, totalFrames) {
+        const sorted = [{ frame: 0, shape: 'rest' }, ...keys].sort((a, b) => a.frame - b.frame);
+
+        return this.mergeEntries(sorted.map((key, i) => {
+            const endFrame = i < sorted.length - 1 ? sorted[i + 1].frame : Math.max(totalFrames, key.frame);
+            return this.createEntry(PRESTON_BLAIR_VISEMES[key.shape] || 'viseme_sil', key.frame / fps, endFrame / fps, key);
+        }));
+    }
+
+    // Join neighbouring entries with the same viseme and drop empty ones
+    // An entry that starts a word is kept, so the word boundary survives
+    mergeEntries(entries) {
+        const merged = [];
+        let pendingWord = null;
+        for (const entry of entries) {
+            if (entry.duration <= 0.001) {
+                // A word that started on a dropped entry starts on the next one instead
+                if (entry.word) pendingWord = entry.word;
+                continue;
+            }
+            if (pendingWord && !entry.word) entry.word = pendingWord;
+            pendingWord = null;
+
+            const last = merged[merged.length - 1];
+            if (last && last.viseme === entry.viseme && !entry.word) {
+                last.endTime = entry.endTime;
+                last.duration = last.endTime - last.startTime;
+            } else {
+                merged.push(entry);
+            }
+        }
+        return merged;
+    }
+
+    createEntry(viseme, startTime, endTime, extra = {}) {
+        const entry = {
+            phoneme: extra.phoneme || VISEME_PHONEMES[viseme] || 'sil',
+            viseme,
+            duration: endTime - startTime,
+            startTime,
+            endTime
+        };
+        if (extra.stress) entry.stress = extra.stress;
+
+        // Prosody from the source text (only kept by the JSON format)
+        if (extra.emphasis) entry.emphasis = extra.emphasis;
+        if (extra.sentenceType) entry.sentenceType = extra.sentenceType;
+        if (extra.sentenceEnd) entry.sentenceEnd = extra.sentenceEnd;
+        if (extra.phraseEnd) entry.phraseEnd = true;
+
+        // Spoken word starting at this entry (JSON and Papagayo)
+        if (extra.word) entry.word = extra.word;
+        return entry;
+    }
+
+    getDuration(timeline) {
+        return timeline.length ? Math.max(...timeline.map(entry => entry.endTime)) : 0;
+    }
+}
+
+export default TimelineSerializer;
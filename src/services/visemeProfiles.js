@@ -0,0 +1,87 @@
+// Viseme profiles: how many distinct mouth shapes the lip sync uses
+//
+// Every profile maps the 15 Oculus visemes onto the viseme morphs it keeps; neighbouring
+// phonemes that land on the same viseme are merged into one mouth movement. `phonemes`
+// overrides the mapping for single phonemes that get a shape of their own.
+
+const oculus = {
+    name: 'Oculus (15 visemes)',
+    visemes: {
+        'viseme_sil': 'viseme_sil',
+        'viseme_PP': 'viseme_PP',
+        'viseme_FF': 'viseme_FF',
+        'viseme_TH': 'viseme_TH',
+        'viseme_DD': 'viseme_DD',
+        'viseme_kk': 'viseme_kk',
+        'viseme_CH': 'viseme_CH',
+        'viseme_SS': 'viseme_SS',
+        'viseme_nn': 'viseme_nn',
+        'viseme_RR': 'viseme_RR',
+        'viseme_aa': 'viseme_aa',
+        'viseme_E': 'viseme_E',
+        'viseme_I': 'viseme_I',
+        'viseme_O': 'viseme_O',
+        'viseme_U': 'viseme_U'
+    },
+    phonemes: {}
+};
+
+// Fewer consonant shapes for calmer speech - the Disney principle of simplification
+const reduced = {
+    name: 'Reduced',
+    visemes: {
+        ...oculus.visemes,
+        'viseme_SS': 'viseme_FF',   // Map to FF (simplified)
+        'viseme_nn': 'viseme_DD',   // Map to DD (simplified)
+        'viseme_RR': 'viseme_TH'    // Map to TH (simplified)
+    },
+    phonemes: {}
+};
+
+// The classic 10 mouth chart used by Papagayo and MOHO:
+// rest, MBP, FV, etc, L, AI, E, O, U, WQ
+// "etc" (C D G K N R S TH Y Z) uses viseme_DD, L gets viseme_nn to itself,
+// and WQ shares the rounded viseme_U with U
+const prestonBlair = {
+    name: 'Preston Blair (10 shapes)',
+    visemes: {
+        'viseme_sil': 'viseme_sil', // rest
+        'viseme_PP': 'viseme_PP',   // MBP
+        'viseme_FF': 'viseme_FF',   // FV
+        'viseme_TH': 'viseme_DD',   // etc
+        'viseme_DD': 'viseme_DD',
+        'viseme_kk': 'viseme_DD',
+        'viseme_CH': 'viseme_DD',
+        'viseme_SS': 'viseme_DD',
+        'viseme_nn': 'viseme_DD',
+        'viseme_RR': 'viseme_DD',
+        'viseme_aa': 'viseme_aa',   // AI
+        'viseme_E': 'viseme_E',     // E
+        'viseme_I': 'viseme_E',
+        'viseme_O': 'viseme_O',     // O
+        'viseme_U': 'viseme_U'      // U, WQ
+    },
+    phonemes: {
+        'L': 'viseme_nn'            // L - tongue up behind the teeth
+    }
+};
+
+const profiles = {
+    oculus,
+    reduced,
+    prestonBlair
+};
+
+// Look up a profile by name, falling back to the reduced set
+export function getVisemeProfile(name) {
+    if (profiles[name]) return profiles[name];
+
+    console.warn(`No viseme profile "${name}", using the reduced set`);
+    return profiles.reduced;
+}
+
+export function getVisemeProfileNames() {
+    return Object.keys(profiles);
+}
+
+export default profiles;
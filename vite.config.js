@@ -14,6 +14,17 @@ export default defineConfig({
             workbox: {
                 globPatterns: ['**/*.{js,css,html,ico,png,svg,json,vue,txt,woff2}'],
                 maximumFileSizeToCacheInBytes: 3 * 1024 * 1024, // 3 MiB
+                // The pronunciation lexicon is too large to precache, cache it on first use instead
+                globIgnores: ['**/lexicon-*.js'],
+                runtimeCaching: [
+                    {
+                        urlPattern: /\/assets\/lexicon-.*\.js$/,
+                        handler: 'CacheFirst',
+                        options: {
+                            cacheName: 'lexicon'
+                        }
+                    }
+                ]
             },
             includeAssets: ['favicon.ico', 'apple-touch-icon.png', 'masked-icon.svg'],
             manifest: {
@@ -88,6 +99,12 @@ export default defineConfig({
                     if (id.includes('node_modules/@google')) {
                         return 'google-ai';
                     }
+                    if (id.includes('node_modules/cmu-pronouncing-dictionary')) {
+                        return 'lexicon';
+                    }
+                    if (id.includes('node_modules/mespeak') && id.endsWith('.json')) {
+                        return 'mespeak-data';
+                    }
                     if (id.includes('node_modules/react') || 
                         id.includes('node_modules/react-dom')) {
                         return 'vendor-react';